@@ -0,0 +1,401 @@
+// accname.js
+// ARIA role and accessible name computation for the element inspector, loaded before content.js.
+// Follows WAI-ARIA 1.2, HTML-AAM and the W3C Accessible Name and Description Computation (accname 1.2),
+// with the same choices as Playwright's role engine so the generated `getByRole` / `getByLabel` locators
+// resolve to the captured element.
+
+if (!window.AccName) {
+    // Roles accepted in a `role` attribute; the first valid token of the attribute wins.
+    const VALID_ROLES = new Set([
+        'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+        'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+        'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+        'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'mark',
+        'marquee', 'math', 'meter', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+        'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup',
+        'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+        'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist',
+        'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+    ]);
+
+    // Roles whose name is computed from their content (accname step 2F).
+    const NAME_FROM_CONTENT_ROLES = new Set([
+        'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+        'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+        'tooltip', 'treeitem'
+    ]);
+
+    // Implicit roles of `<input>` types that are not text fields (HTML-AAM).
+    const INPUT_TYPE_ROLES = {
+        button: 'button',
+        checkbox: 'checkbox',
+        image: 'button',
+        number: 'spinbutton',
+        radio: 'radio',
+        range: 'slider',
+        reset: 'button',
+        submit: 'button',
+        // Not mapped by the spec, but every browser exposes (and renders) file inputs as buttons
+        file: 'button'
+    };
+
+    // Input types whose placeholder names the field when it has no label or title.
+    const PLACEHOLDER_INPUT_TYPES = ['text', 'password', 'search', 'tel', 'email', 'url'];
+
+    // Sectioning elements: `<header>` and `<footer>` inside them are not landmarks.
+    const SECTIONING_SELECTOR = 'article, aside, main, nav, section';
+
+    /**
+     * @function getIdRefs
+     * @description Resolves an ID reference list attribute (`aria-labelledby`) within the element's own root,
+     * so references inside a shadow root find their targets.
+     * @param {HTMLElement} element - The element carrying the attribute.
+     * @param {string} attribute - The attribute name.
+     * @returns {HTMLElement[]} - The referenced elements, in attribute order; unknown IDs are skipped.
+     */
+    function getIdRefs(element, attribute) {
+        const value = element.getAttribute(attribute);
+        if (!value) return [];
+        const root = element.getRootNode();
+        return value.split(/\s+/).filter(Boolean).map(id => root.getElementById(id)).filter(Boolean);
+    }
+
+    function normalizeWhitespace(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    function hasExplicitName(element) {
+        return !!(element.getAttribute('aria-label') || element.getAttribute('aria-labelledby'));
+    }
+
+    /**
+     * @function getImplicitRole
+     * @description The role an element has without a `role` attribute (HTML-AAM).
+     * @param {HTMLElement} element - The DOM element.
+     * @returns {string|null}
+     */
+    function getImplicitRole(element) {
+        const tag = element.tagName.toLowerCase();
+        const type = (element.getAttribute('type') || '').toLowerCase();
+
+        switch (tag) {
+            case 'a':
+            case 'area':
+                return element.hasAttribute('href') ? 'link' : null;
+            case 'article': return 'article';
+            case 'aside': return 'complementary';
+            case 'blockquote': return 'blockquote';
+            case 'button': return 'button';
+            case 'caption': return 'caption';
+            case 'code': return 'code';
+            case 'datalist': return 'listbox';
+            case 'dd': return 'definition';
+            case 'del': return 'deletion';
+            case 'details': return 'group';
+            case 'dfn':
+            case 'dt':
+                return 'term';
+            case 'dialog': return 'dialog';
+            case 'em': return 'emphasis';
+            case 'fieldset': return 'group';
+            case 'figure': return 'figure';
+            case 'footer': return element.closest(SECTIONING_SELECTOR) ? null : 'contentinfo';
+            case 'form': return hasExplicitName(element) ? 'form' : null;
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                return 'heading';
+            case 'header': return element.closest(SECTIONING_SELECTOR) ? null : 'banner';
+            case 'hr': return 'separator';
+            case 'html': return 'document';
+            case 'img':
+                // An empty alt marks the image as decorative
+                return element.getAttribute('alt') === '' && !element.getAttribute('title') && !hasExplicitName(element)
+                    ? 'presentation' : 'img';
+            case 'input': {
+                if (type === 'hidden') return null;
+                if (INPUT_TYPE_ROLES[type]) return INPUT_TYPE_ROLES[type];
+                if (type === 'search') return element.hasAttribute('list') ? 'combobox' : 'searchbox';
+                const list = getIdRefs(element, 'list')[0];
+                return list && list.tagName === 'DATALIST' ? 'combobox' : 'textbox';
+            }
+            case 'ins': return 'insertion';
+            case 'li': return 'listitem';
+            case 'main': return 'main';
+            case 'mark': return 'mark';
+            case 'math': return 'math';
+            case 'menu':
+            case 'ol':
+            case 'ul':
+                return 'list';
+            case 'meter': return 'meter';
+            case 'nav': return 'navigation';
+            case 'optgroup': return 'group';
+            case 'option': return 'option';
+            case 'output': return 'status';
+            case 'p': return 'paragraph';
+            case 'progress': return 'progressbar';
+            case 'search': return 'search';
+            case 'section': return hasExplicitName(element) ? 'region' : null;
+            case 'select':
+                return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+            case 'strong': return 'strong';
+            case 'sub': return 'subscript';
+            case 'sup': return 'superscript';
+            case 'svg': return 'img';
+            case 'table': return 'table';
+            case 'tbody':
+            case 'tfoot':
+            case 'thead':
+                return 'rowgroup';
+            case 'td': {
+                const table = element.closest('table');
+                const tableRole = table && table.getAttribute('role');
+                return tableRole === 'grid' || tableRole === 'treegrid' ? 'gridcell' : 'cell';
+            }
+            case 'textarea': return 'textbox';
+            case 'th':
+                return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+            case 'time': return 'time';
+            case 'tr': return 'row';
+            default: return null;
+        }
+    }
+
+    /**
+     * @function getRole
+     * @description Computes an element's ARIA role: the first valid token of its `role` attribute, otherwise
+     * its implicit role. `none` / `presentation` are ignored on focusable elements (presentational role
+     * conflict resolution).
+     * @param {HTMLElement} element - The DOM element.
+     * @returns {string|null} - The role, or `null` when the element has none (generic containers).
+     */
+    function getRole(element) {
+        const explicit = (element.getAttribute('role') || '').split(/\s+/).find(token => VALID_ROLES.has(token));
+        if (explicit && !((explicit === 'none' || explicit === 'presentation') && element.hasAttribute('tabindex'))) {
+            return explicit;
+        }
+        return getImplicitRole(element);
+    }
+
+    /**
+     * @function isHidden
+     * @description Whether an element is excluded from the accessibility tree: `hidden`, `aria-hidden="true"`,
+     * `display: none` or `visibility: hidden`. Ancestors are handled by the traversal, which stops at hidden
+     * subtrees.
+     * @param {HTMLElement} element - The DOM element.
+     * @returns {boolean}
+     */
+    function isHidden(element) {
+        if (element.hasAttribute('hidden') || element.getAttribute('aria-hidden') === 'true') return true;
+        const style = getComputedStyle(element);
+        return style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse';
+    }
+
+    // Text of the selected options of a select or listbox, for the embedded control rule (step 2E)
+    function getSelectedOptionsText(element) {
+        if (element.tagName === 'SELECT') {
+            return [...element.selectedOptions].map(option => normalizeWhitespace(option.textContent)).join(' ');
+        }
+        const selected = element.querySelectorAll('[role="option"][aria-selected="true"]');
+        return [...selected].map(option => normalizeWhitespace(option.textContent)).join(' ');
+    }
+
+    /**
+     * @function getEmbeddedControlValue
+     * @description Step 2E: a text field, combobox, listbox or range met while naming another element
+     * contributes its value rather than its own name.
+     * @returns {string|null} - The value, or `null` when the element is not an embedded control.
+     */
+    function getEmbeddedControlValue(element, role) {
+        if (role === 'textbox' || role === 'searchbox') {
+            return element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' ? element.value : element.textContent;
+        }
+        if (role === 'combobox' || role === 'listbox') {
+            if (element.tagName === 'INPUT') return element.value;
+            return getSelectedOptionsText(element);
+        }
+        if (['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter'].includes(role)) {
+            return element.getAttribute('aria-valuetext') || element.getAttribute('aria-valuenow') || element.value || '';
+        }
+        return null;
+    }
+
+    /**
+     * @function getChildNodes
+     * @description Children in the flattened tree: a shadow host's shadow root children, a slot's assigned
+     * nodes (or its fallback content), otherwise the element's own child nodes.
+     */
+    function getChildNodes(element) {
+        if (element.shadowRoot) return [...element.shadowRoot.childNodes];
+        if (element.tagName === 'SLOT') {
+            const assigned = element.assignedNodes();
+            return assigned.length > 0 ? assigned : [...element.childNodes];
+        }
+        return [...element.childNodes];
+    }
+
+    /**
+     * @function getTextFromContent
+     * @description Step 2F: concatenates the text alternatives of an element's children. Children rendered
+     * as blocks are separated by spaces, like the text a user sees.
+     */
+    function getTextFromContent(element, context) {
+        const parts = getChildNodes(element).map(child => {
+            if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+            if (child.nodeType !== Node.ELEMENT_NODE) return '';
+            const text = computeName(child, { ...context, inContent: true });
+            const display = getComputedStyle(child).display;
+            return display && display !== 'inline' && display !== 'contents' ? ` ${text} ` : text;
+        });
+        return parts.join('');
+    }
+
+    // Step 2D for form fields: the text of their <label> elements
+    function getNativeLabelsText(element, context) {
+        const labels = element.labels ? [...element.labels] : [];
+        return labels
+            .map(label => normalizeWhitespace(computeName(label, { ...context, inContent: true })))
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    /**
+     * @function getNativeName
+     * @description Step 2D: the name given by the host language (labels, `alt`, `value`, `<legend>`,
+     * `<caption>`, `<figcaption>`, SVG `<title>`).
+     * @returns {string} - The name, empty when the markup provides none.
+     */
+    function getNativeName(element, context) {
+        const tag = element.tagName;
+        const type = (element.getAttribute('type') || '').toLowerCase();
+
+        if (tag === 'INPUT' && ['button', 'submit', 'reset'].includes(type)) {
+            const value = element.getAttribute('value');
+            if (value) return value;
+            if (type === 'submit') return 'Submit';
+            if (type === 'reset') return 'Reset';
+            return element.getAttribute('title') || '';
+        }
+        if (tag === 'INPUT' && type === 'image') {
+            return element.getAttribute('alt') || element.getAttribute('value') || element.getAttribute('title') || 'Submit';
+        }
+        if (tag === 'TEXTAREA' || tag === 'SELECT' || tag === 'INPUT') {
+            const labels = getNativeLabelsText(element, context);
+            if (labels) return labels;
+            const usePlaceholder = tag === 'TEXTAREA' || (tag === 'INPUT' && PLACEHOLDER_INPUT_TYPES.includes(type || 'text'));
+            const title = element.getAttribute('title') || '';
+            return !usePlaceholder || title ? title : (element.getAttribute('placeholder') || '');
+        }
+        if (['METER', 'OUTPUT', 'PROGRESS', 'BUTTON'].includes(tag)) {
+            const labels = getNativeLabelsText(element, context);
+            if (labels) return labels;
+        }
+        if (tag === 'FIELDSET') {
+            const legend = [...element.children].find(child => child.tagName === 'LEGEND');
+            if (legend) return computeName(legend, { ...context, inContent: true });
+        }
+        if (tag === 'FIGURE') {
+            const caption = [...element.children].find(child => child.tagName === 'FIGCAPTION');
+            if (caption) return computeName(caption, { ...context, inContent: true });
+        }
+        if (tag === 'TABLE') {
+            const caption = [...element.children].find(child => child.tagName === 'CAPTION');
+            if (caption) return computeName(caption, { ...context, inContent: true });
+        }
+        if (tag === 'IMG' || tag === 'AREA') {
+            return element.getAttribute('alt') || '';
+        }
+        if (tag.toLowerCase() === 'svg') {
+            const title = [...element.children].find(child => child.tagName.toLowerCase() === 'title');
+            if (title) return title.textContent;
+        }
+        return '';
+    }
+
+    /**
+     * @function computeName
+     * @description The text alternative computation (accname 1.2, step 2) for one node.
+     * @param {HTMLElement} element - The node being named.
+     * @param {object} context - `{ visited, inLabelledBy, inContent, inHiddenReference }`: the nodes already used,
+     * whether the node is reached through `aria-labelledby` or while naming an ancestor (or a label) from its
+     * content, and whether it is inside a hidden node referenced by `aria-labelledby`.
+     * @returns {string} - The (unnormalized) text alternative.
+     */
+    function computeName(element, context) {
+        if (context.visited.has(element)) return '';
+        context.visited.add(element);
+
+        // 2A: hidden nodes do not contribute, unless referenced directly by aria-labelledby; inside a referenced
+        // node, hidden descendants are only used when the referenced node itself is hidden
+        if (isHidden(element)) {
+            const directReference = context.inLabelledBy && !context.inContent;
+            if (!directReference && !context.inHiddenReference) return '';
+            context = { ...context, inHiddenReference: true };
+        }
+        const recursing = context.inLabelledBy || context.inContent;
+
+        // 2B: aria-labelledby, not followed again from a referenced node
+        if (!context.inLabelledBy) {
+            const refs = getIdRefs(element, 'aria-labelledby');
+            if (refs.length > 0) {
+                return refs
+                    .map(ref => computeName(ref, { visited: context.visited, inLabelledBy: true, inContent: false }))
+                    .join(' ');
+            }
+        }
+
+        const role = getRole(element);
+
+        // 2C and 2E: while naming something else, an embedded control contributes its value
+        if (recursing) {
+            const value = getEmbeddedControlValue(element, role);
+            if (value !== null) return value;
+        }
+        const ariaLabel = normalizeWhitespace(element.getAttribute('aria-label'));
+        if (ariaLabel) return ariaLabel;
+
+        // 2D: native markup, unless the element is presentational
+        if (role !== 'none' && role !== 'presentation') {
+            const native = normalizeWhitespace(getNativeName(element, context));
+            if (native) return native;
+        }
+
+        // 2F: name from content, for roles that allow it and for every descendant of a node named that way
+        if (recursing || NAME_FROM_CONTENT_ROLES.has(role)) {
+            const text = normalizeWhitespace(getTextFromContent(element, context));
+            if (text) return text;
+        }
+
+        // 2I: tooltip attribute
+        return element.getAttribute('title') || '';
+    }
+
+    /**
+     * @function getAccessibleName
+     * @description Computes an element's accessible name: what `getByRole(role, { name })` matches.
+     * @param {HTMLElement} element - The DOM element.
+     * @returns {string} - The name with whitespace collapsed; empty when the element has none.
+     */
+    function getAccessibleName(element) {
+        return normalizeWhitespace(computeName(element, { visited: new Set(), inLabelledBy: false, inContent: false }));
+    }
+
+    /**
+     * @function getLabelText
+     * @description The text `getByLabel` matches an element by: its `<label>` elements (`for` or wrapping),
+     * else the elements referenced by `aria-labelledby`, else `aria-label`.
+     * @param {HTMLElement} element - The DOM element.
+     * @returns {string} - The label text; empty when the element is not labelled.
+     */
+    function getLabelText(element) {
+        const context = { visited: new Set([element]), inLabelledBy: false, inContent: false };
+        const labels = normalizeWhitespace(getNativeLabelsText(element, context));
+        if (labels) return labels;
+        const refs = getIdRefs(element, 'aria-labelledby');
+        if (refs.length > 0) {
+            return normalizeWhitespace(refs.map(ref => computeName(ref, { ...context, inLabelledBy: true })).join(' '));
+        }
+        return normalizeWhitespace(element.getAttribute('aria-label'));
+    }
+
+    window.AccName = { getRole, getAccessibleName, getLabelText };
+}
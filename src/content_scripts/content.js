@@ -29,6 +29,546 @@ if (!window.elementInspector) {
         };
     }
 
+    // String literal helpers for generated code (escape quotes and backslashes).
+    const quoteDouble = (str) => `"${String(str).replace(/(["\\])/g, '\\$1')}"`;
+    const escapeSingle = (str) => String(str).replace(/(['\\])/g, '\\$1');
+    const quoteSingle = (str) => `'${escapeSingle(str)}'`;
+
+    // CSS attribute selector with the value as a quoted CSS string (quotes, backslashes and line breaks escaped).
+    const cssAttribute = (name, value) => `[${CSS.escape(name)}="${String(value).replace(/(["\\])/g, '\\$1').replace(/\n/g, '\\a ')}"]`;
+
+    /**
+     * @function xpathLiteral
+     * @description Quotes a value for an XPath 1.0 expression, which has no escape sequences: values holding
+     * both quote characters are built with `concat()`.
+     * @param {string} value - The value.
+     * @returns {string} - The XPath string literal.
+     */
+    function xpathLiteral(value) {
+        if (!value.includes('"')) return `"${value}"`;
+        if (!value.includes("'")) return `'${value}'`;
+        return `concat("${value.split('"').join(`", '"', "`)}")`;
+    }
+
+    // Joins the per-root segments of a selector that crosses shadow roots:
+    // `host-selector >>> selector inside that host's shadow root`.
+    const SHADOW_SEPARATOR = ' >>> ';
+
+    // Placeholder recorded instead of the value typed into password and other secret fields.
+    const MASKED_VALUE = '********';
+    // Input types that act as buttons: their clicks are recorded as `click` steps.
+    const BUTTON_INPUT_TYPES = ['button', 'submit', 'reset', 'image'];
+
+    // window.postMessage types used by child frames to learn their frame chain from the parent frame.
+    const FRAME_MESSAGES = {
+        REQUEST_CHAIN: 'aitestgen:requestFrameChain',
+        CHAIN: 'aitestgen:frameChain'
+    };
+    // The parent frame's content script may load after the child's, so the request is repeated.
+    const FRAME_CHAIN_RETRY_MS = 500;
+    const FRAME_CHAIN_MAX_ATTEMPTS = 20;
+
+    // Locator strategies checked by `validateLocator`, in the order the generated Playwright locator
+    // prefers them. The first strategy an element has decides its validation status.
+    const LOCATOR_STRATEGIES = ['testId', 'role', 'label', 'placeholder', 'css', 'xpath'];
+    // DOM changes are batched before the watched locators are checked again.
+    const LOCATOR_VALIDATION_DEBOUNCE_MS = 1000;
+    // Attributes the locator strategies depend on; other attribute changes do not trigger a new check.
+    const LOCATOR_ATTRIBUTES = ['id', 'class', 'name', 'role', 'type', 'href', 'for', 'title', 'alt', 'aria-label', 'placeholder', 'data-testid'];
+    // Elements `getByLabel` can find: labelable form elements (`<label>`) and `aria-labelledby` / `aria-label` targets.
+    const LABELLED_SELECTOR = 'button, input, meter, output, progress, select, textarea, [aria-labelledby], [aria-label]';
+
+    // Containers whose interactive descendants are captured together with Alt+click.
+    const CONTAINER_SELECTOR = 'form, fieldset, table, dialog, [role="dialog"], [role="alertdialog"]';
+    // Elements a test interacts with; bulk captures (container, viewport) keep only these.
+    const INTERACTIVE_SELECTOR = [
+        'input:not([type="hidden"])', 'select', 'textarea', 'button', 'a[href]', '[contenteditable="true"]',
+        '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+        '[role="combobox"]', '[role="textbox"]', '[role="tab"]', '[role="menuitem"]', '[role="option"]'
+    ].join(', ');
+    // Shortcuts listed by the on-page hint shown while inspecting (see `handleKeydown`), when the
+    // `inspectorShortcuts` message is missing.
+    const INSPECTOR_SHORTCUTS = '↑ parent · ↓ child · ← → siblings · Enter select · Backspace undo · Esc stop · Alt+click container';
+    // Ancestors shown in the hint's element path before it is shortened with "…".
+    const HINT_PATH_DEPTH = 5;
+
+    // Upper bound for one bulk capture, so a huge page does not flood the side panel and the prompt.
+    const MAX_BULK_CAPTURE = 150;
+    // Upper bound for the `<select>` options and `<datalist>` suggestions kept in an element's constraints.
+    const MAX_CONSTRAINT_OPTIONS = 50;
+
+    // Ids and classes generated by build tools and frameworks: they change between builds, renders or sessions.
+    const GENERATED_TOKEN_PATTERNS = [
+        /\d{4,}/, // Counters and timestamps (ember1234, input-167890)
+        /^[A-Za-z][\w-]*_[\w-]+__[\w-]{5}$/, // CSS modules (Button_root__x7Ab2)
+        /^sc-(?=[a-z]*[A-Z])[A-Za-z]{5,}$/, // styled-components (sc-bdVaJa)
+        /^css-(?=[a-z]*\d)[a-z0-9]{5,}(?:-[\w-]+)?$/, // Emotion (css-1q2w3e, css-1q2w3e-Button)
+        /^(?:jss|svelte-|astro-)[a-z0-9]+$/, // JSS, Svelte and Astro scoping
+        /^(?:makeStyles|withStyles)-[\w-]+-\d+$/, // Material UI v4 styles
+        /^ng-(?:tns|star)-/, // Angular animation markers
+        /[:«]r[0-9a-z]+[:»]/, // React useId (:r1:, «r1»), also inside ids like radix-:r1:-trigger
+        /(?:^|:)j_id[a-z]*\d+/, // JSF generated component ids (j_idt23:name)
+        /^(?:headlessui|radix|react-select|downshift|rc-[a-z]+|mat-[a-z-]+|cdk-[a-z-]+|ui-id|ext-gen|yui_)[\w-]*?-?\d+(?:-[a-z]+)?$/, // Auto ids (mat-input-0)
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, // UUIDs
+        /^[0-9a-f]{8,}$/i // Hashes
+    ];
+    // Utility classes (Tailwind, Bootstrap helpers) describe styling, not the element: they are rarely
+    // unique and change with the design. Variants (md:, hover:) and arbitrary values ([...]) are utilities too.
+    const UTILITY_CLASS_KEYWORDS = new Set([
+        'flex', 'grid', 'block', 'inline', 'inline-block', 'inline-flex', 'hidden', 'contents', 'table', 'absolute',
+        'relative', 'fixed', 'sticky', 'static', 'container', 'truncate', 'underline', 'uppercase', 'lowercase',
+        'capitalize', 'italic', 'sr-only', 'shadow', 'rounded', 'border', 'transition', 'transform', 'grow', 'shrink',
+        'visible', 'invisible', 'clearfix', 'row', 'col', 'antialiased', 'outline', 'ring'
+    ]);
+    const UTILITY_CLASS_PATTERN = new RegExp('^-?(?:'
+        + '[mp][trblxyse]?|[wh]|min-[wh]|max-[wh]|size|gap(?:-[xy])?|space-[xy]|inset(?:-[xy])?|top|right|bottom|left|z|order'
+        + '|col(?:-span|-start|-end)?|row(?:-span|-start|-end)?|basis|grow|shrink|text|bg|from|via|to|border(?:-[trblxyse])?'
+        + '|rounded(?:-[trblse]{1,2})?|shadow|ring|outline|opacity|font|leading|tracking|items|justify|content|self|place-(?:items|content|self)'
+        + '|flex|grid-(?:cols|rows)|overflow(?:-[xy])?|object|cursor|select|duration|delay|ease|scale|rotate|translate-[xy]'
+        + '|origin|fill|stroke|line-clamp|whitespace|break|decoration|d|align|float|g[xy]?|fs|fw|lh'
+        + ')-(?:(?:sm|md|lg|xl|xxl)-)?'
+        + '(?:\\d+(?:\\.\\d+)?|\\d+\\/\\d+|px|auto|full|screen|min|max|fit|none|0|xs|sm|base|md|lg|xl|\\dxl|center|start|end|between'
+        + '|around|evenly|stretch|baseline|left|right|top|bottom|thin|light|normal|medium|semibold|bold|extrabold|black|white'
+        + '|transparent|current|inherit|hidden|visible|scroll|pointer|block|flex|grid|inline|wrap|nowrap|col|row|y|x'
+        + '|(?:slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple'
+        + '|fuchsia|pink|rose|primary|secondary|success|danger|warning|info|light|dark|muted)(?:-\\d{2,3})?(?:\\/\\d+)?)$');
+    // State classes (active, is-open, ng-dirty, Mui-selected, tab--current...) come and go with the UI state,
+    // so a selector using them stops matching as soon as the state changes.
+    const STATE_CLASS_WORDS = 'active|selected|current|open|opened|closed|expanded|collapsed|checked|disabled|enabled'
+        + '|focus|focused|focus-?visible|hover|hovered|pressed|visited|loading|loaded|valid|invalid|error|dirty|pristine'
+        + '|touched|untouched|highlighted|show|shown|hide|in';
+    const STATE_CLASS_PATTERN = new RegExp(`^(?:(?:Mui-)?(?:${STATE_CLASS_WORDS})|(?:is|has)-[\\w-]+`
+        + '|ng-(?:valid|invalid|pending|dirty|pristine|touched|untouched|submitted)(?:-[\\w-]+)?'
+        + `|(?:router|nuxt)-link-(?:exact-)?active|[\\w-]+--(?:${STATE_CLASS_WORDS}))$`, 'i');
+    // Attributes tried (after the test id attributes) when neither the id nor a class identifies the element.
+    const SELECTOR_ATTRIBUTES = ['name', 'role', 'type', 'aria-label', 'placeholder', 'title', 'alt', 'value', 'href', 'for'];
+    // Longest text matched exactly by an XPath; longer texts are matched on their beginning with contains().
+    const XPATH_TEXT_LENGTH = 50;
+    // Ancestors searched for an identifiable scope of a relative XPath.
+    const XPATH_SCOPE_DEPTH = 6;
+    // Ancestors searched for the table row, list item or repeated item an element belongs to.
+    const ROW_SEARCH_DEPTH = 8;
+    // Siblings sharing tag and classes needed before a generic element counts as a repeated item (cards, tiles).
+    const MIN_REPEATED_ITEMS = 3;
+    // Column headers that usually hold a row's business key; these columns are tried first.
+    const KEY_COLUMN_PATTERN = /#|\b(?:id|no|nr|num|number|ref|reference|code|key|sku|name|title|invoice|order|email)\b/i;
+    const CELL_SELECTOR = 'td, th, [role="cell"], [role="gridcell"], [role="rowheader"], [role="columnheader"]';
+    const GRID_SELECTOR = 'table, [role="grid"], [role="treegrid"], [role="table"]';
+
+    /**
+     * @function classifyToken
+     * @description Classifies an id or a class name for selector synthesis.
+     * @param {string} token - The id or class name.
+     * @param {'id'|'class'} [kind='class'] - Ids are never utilities (`form:email` is a JSF id, not a variant).
+     * @returns {'generated'|'state'|'utility'|'stable'} - `generated` tokens change between builds or renders
+     * and `state` classes with the UI state: neither is used; `utility` classes are only used when no stable
+     * attribute identifies the element.
+     */
+    function classifyToken(token, kind = 'class') {
+        if (GENERATED_TOKEN_PATTERNS.some(pattern => pattern.test(token))) return 'generated';
+        if (kind === 'class' && STATE_CLASS_PATTERN.test(token)) return 'state';
+        if (kind === 'class' && (token.includes(':') || token.includes('[') || UTILITY_CLASS_KEYWORDS.has(token) || UTILITY_CLASS_PATTERN.test(token))) {
+            return 'utility';
+        }
+        return 'stable';
+    }
+
+    // Cypress query from a subject (`scope`), or from `cy` when there is none.
+    const cypressQuery = (scope, selector, options = '') => `${scope ? `${scope}.find` : 'cy.get'}(${quoteSingle(selector)}${options})`;
+    const cypressContains = (scope, tag, text, options = '') => `${scope ? `${scope}.contains` : 'cy.contains'}('${tag}', ${quoteSingle(text)}${options})`;
+
+    /**
+     * @function nestFallbacks
+     * @description Builds the try/catch chain of a Selenium fallback: each locator is tried in turn, the
+     * remaining ones being nested (indented) in the handler of the previous attempt.
+     * @param {string[]} locators - `By` expressions, best first.
+     * @param {function(string): string} attempt - Renders the lookup of one locator.
+     * @param {function(string, string, number): string} wrap - Renders a try block from the attempt, the
+     * nested handler code and the nesting depth.
+     * @param {string} indent - Indentation of the nested code.
+     * @param {number} [depth=0] - Current nesting depth.
+     * @returns {string} - The code.
+     */
+    function nestFallbacks(locators, attempt, wrap, indent, depth = 0) {
+        const [first, ...rest] = locators;
+        if (rest.length === 0) return attempt(first);
+        const inner = nestFallbacks(rest, attempt, wrap, indent, depth + 1).replace(/^/gm, indent);
+        return wrap(attempt(first), inner, depth);
+    }
+
+    /**
+     * @constant SELENIUM_DIALECTS
+     * @description Language bindings used by `getSeleniumLocator` so the emitted snippet compiles as-is
+     * in the language chosen in Settings. Each dialect maps a locator strategy (`id`, `name`, `css`, `xpath`)
+     * to its `By` syntax and knows how to express a lookup, an explicit wait and a fallback chain.
+     * Lookups take an optional search context (`driver` by default) so elements inside a shadow root
+     * are found through the `getShadowRoot()` chain declared by `declareShadowRoot`, and
+     * `switchToFrame` enters the iframes leading to the element.
+     */
+    const SELENIUM_DIALECTS = {
+        java: {
+            by: {
+                id: (v) => `By.id(${quoteDouble(v)})`,
+                name: (v) => `By.name(${quoteDouble(v)})`,
+                css: (v) => `By.cssSelector(${quoteDouble(v)})`,
+                xpath: (v) => `By.xpath(${quoteDouble(v)})`
+            },
+            find: (by, ctx = 'driver') => `${ctx}.findElement(${by})`,
+            wait: (by, ctx = 'driver') => ctx === 'driver'
+                ? `WebDriverWait wait = new WebDriverWait(driver, Duration.ofSeconds(5));\nwait.until(ExpectedConditions.visibilityOfElementLocated(${by}));\n`
+                : `WebDriverWait wait = new WebDriverWait(driver, Duration.ofSeconds(5));\nwait.until(d -> ${ctx}.findElement(${by}).isDisplayed());\n`,
+            // Nested catch parameters need distinct names in Java
+            fallback: (locators, ctx = 'driver') => `WebElement element;\n${nestFallbacks(
+                locators,
+                (by) => `element = ${ctx}.findElement(${by});`,
+                (attempt, inner, depth) => `try {\n    ${attempt}\n} catch (NoSuchElementException ${depth ? `e${depth + 1}` : 'e'}) {\n${inner}\n}`,
+                '    '
+            )}`,
+            shadowRoot: (host) => `${host}.getShadowRoot()`,
+            shadowContext: 'shadowRoot',
+            declareShadowRoot: (expr) => `SearchContext shadowRoot = ${expr};\n`,
+            switchToFrame: (frame) => `driver.switchTo().frame(${frame});\n`
+        },
+        python: {
+            by: {
+                id: (v) => `By.ID, ${quoteDouble(v)}`,
+                name: (v) => `By.NAME, ${quoteDouble(v)}`,
+                css: (v) => `By.CSS_SELECTOR, ${quoteDouble(v)}`,
+                xpath: (v) => `By.XPATH, ${quoteDouble(v)}`
+            },
+            find: (by, ctx = 'driver') => `${ctx}.find_element(${by})`,
+            wait: (by, ctx = 'driver') => ctx === 'driver'
+                ? `WebDriverWait(driver, 5).until(EC.visibility_of_element_located((${by})))\n`
+                : `WebDriverWait(driver, 5).until(lambda d: ${ctx}.find_element(${by}).is_displayed())\n`,
+            fallback: (locators, ctx = 'driver') => nestFallbacks(
+                locators,
+                (by) => `element = ${ctx}.find_element(${by})`,
+                (attempt, inner) => `try:\n    ${attempt}\nexcept NoSuchElementException:\n${inner}`,
+                '    '
+            ),
+            shadowRoot: (host) => `${host}.shadow_root`,
+            shadowContext: 'shadow_root',
+            declareShadowRoot: (expr) => `shadow_root = ${expr}\n`,
+            switchToFrame: (frame) => `driver.switch_to.frame(${frame})\n`
+        },
+        csharp: {
+            by: {
+                id: (v) => `By.Id(${quoteDouble(v)})`,
+                name: (v) => `By.Name(${quoteDouble(v)})`,
+                css: (v) => `By.CssSelector(${quoteDouble(v)})`,
+                xpath: (v) => `By.XPath(${quoteDouble(v)})`
+            },
+            find: (by, ctx = 'driver') => `${ctx}.FindElement(${by})`,
+            wait: (by, ctx = 'driver') => `var wait = new WebDriverWait(driver, TimeSpan.FromSeconds(5));\nwait.Until(d => ${ctx === 'driver' ? 'd' : ctx}.FindElement(${by}).Displayed);\n`,
+            fallback: (locators, ctx = 'driver') => `IWebElement element;\n${nestFallbacks(
+                locators,
+                (by) => `element = ${ctx}.FindElement(${by});`,
+                (attempt, inner) => `try\n{\n    ${attempt}\n}\ncatch (NoSuchElementException)\n{\n${inner}\n}`,
+                '    '
+            )}`,
+            shadowRoot: (host) => `${host}.GetShadowRoot()`,
+            shadowContext: 'shadowRoot',
+            declareShadowRoot: (expr) => `ISearchContext shadowRoot = ${expr};\n`,
+            switchToFrame: (frame) => `driver.SwitchTo().Frame(${frame});\n`
+        },
+        javascript: {
+            by: {
+                id: (v) => `By.id(${quoteSingle(v)})`,
+                name: (v) => `By.name(${quoteSingle(v)})`,
+                css: (v) => `By.css(${quoteSingle(v)})`,
+                xpath: (v) => `By.xpath(${quoteSingle(v)})`
+            },
+            // Awaited contexts are parenthesized so the chain reads `await (await …).findElement(…)`
+            find: (by, ctx = 'driver') => `await ${/^\w+$/.test(ctx) ? ctx : `(${ctx})`}.findElement(${by})`,
+            wait: (by, ctx = 'driver') => ctx === 'driver'
+                ? `await driver.wait(until.elementIsVisible(await driver.wait(until.elementLocated(${by}), 5000)), 5000);\n`
+                : `await driver.wait(async () => (await ${ctx}.findElement(${by})).isDisplayed(), 5000);\n`,
+            fallback: (locators, ctx = 'driver') => `let element;\n${nestFallbacks(
+                locators,
+                (by) => `element = await ${ctx}.findElement(${by});`,
+                (attempt, inner) => `try {\n  ${attempt}\n} catch (e) {\n  if (e.name !== 'NoSuchElementError') throw e;\n${inner}\n}`,
+                '  '
+            )}`,
+            shadowRoot: (host) => `await (${host}).getShadowRoot()`,
+            shadowContext: 'shadowRoot',
+            declareShadowRoot: (expr) => `const shadowRoot = ${expr};\n`,
+            switchToFrame: (frame) => `await driver.switchTo().frame(${frame});\n`
+        }
+    };
+
+    /**
+     * @function getSeleniumShadowRoot
+     * @description Builds the expression of the shadow root reached through a chain of shadow hosts.
+     * Shadow roots only support CSS lookups, so every host is found by its CSS selector.
+     * @param {object} dialect - Entry of `SELENIUM_DIALECTS`.
+     * @param {string[]} hostSelectors - Host selectors, outermost first, each unique within its own root.
+     * @returns {string} - The search context expression in the dialect's syntax.
+     */
+    function getSeleniumShadowRoot(dialect, hostSelectors) {
+        return hostSelectors.reduce(
+            (expr, selector) => dialect.shadowRoot(dialect.find(dialect.by.css(selector), expr)),
+            'driver'
+        );
+    }
+
+    /**
+     * @function playwrightTestIdLocator
+     * @description Builds the Playwright locator of a test id attribute. `getByTestId` only reads the
+     * attribute configured as `testIdAttribute` (`data-testid` by default), so other attributes are
+     * matched with a CSS attribute selector.
+     * @param {{name: string, value: string}} testId - The attribute found by `getTestIdAttribute`.
+     * @returns {string} - e.g. `getByTestId('submit')` or `locator('[data-qa="submit"]')`.
+     */
+    function playwrightTestIdLocator(testId) {
+        if (testId.name === 'data-testid') {
+            return `getByTestId(${quoteSingle(testId.value)})`;
+        }
+        return `locator(${quoteSingle(cssAttribute(testId.name, testId.value))})`;
+    }
+
+    // Inline style of the overlay host: it covers the viewport without catching the pointer, and page CSS
+    // cannot restyle it (the highlights themselves are styled inside the host's shadow root).
+    const OVERLAY_HOST_STYLE = 'all: initial !important; position: fixed !important; inset: 0 !important; '
+        + 'pointer-events: none !important; z-index: 2147483647 !important;';
+    const OVERLAY_STYLES = `
+        .box {
+            position: absolute;
+            box-sizing: border-box;
+            display: none;
+        }
+        /* Temporary highlight of the element under the cursor (or reached with the keyboard). */
+        .hover {
+            outline: 2px solid #f59e0b;
+            box-shadow: 0 0 0 4px rgba(245, 158, 11, 0.3);
+        }
+        /* Elements selected by the user. */
+        .selected {
+            outline: 2px dashed #10B981;
+            box-shadow: 0 0 0 4px rgba(16, 185, 129, 0.3);
+        }
+        /* Selector of the hovered element, shown above it (below it at the top of the viewport). */
+        .tooltip {
+            position: absolute;
+            display: none;
+            background: #1e293b;
+            color: white;
+            padding: 4px 8px;
+            border-radius: 4px;
+            font: 12px/1.4 system-ui, sans-serif;
+            white-space: nowrap;
+            transform: translateY(-100%);
+        }
+        .tooltip.below {
+            transform: none;
+        }
+        /* Keyboard shortcuts and the highlighted element's path. */
+        .hint {
+            position: absolute;
+            right: 12px;
+            bottom: 12px;
+            max-width: 420px;
+            display: none;
+            background: rgba(30, 41, 59, 0.92);
+            color: white;
+            padding: 6px 10px;
+            border-radius: 6px;
+            font: 12px/1.4 system-ui, sans-serif;
+        }
+        .hint-path {
+            font-family: monospace;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .hint-keys {
+            opacity: 0.75;
+        }
+    `;
+    // Room needed above an element for the tooltip; closer to the top it goes below the element.
+    const TOOLTIP_HEIGHT = 24;
+
+    /**
+     * @class HighlightOverlay
+     * @description Draws the inspector's highlights (hover outline, selector tooltip, selected outlines and the
+     * shortcut hint) in a click-through layer of its own, inside a closed shadow root. Page elements are never
+     * modified: their layout and the `outerHTML` captured for the prompt stay untouched, and elements that
+     * cannot hold children (`input`, `img`) are highlighted like any other. Boxes are placed with
+     * `getBoundingClientRect` and follow scrolling, resizing and DOM changes.
+     */
+    class HighlightOverlay {
+        constructor() {
+            this.host = null; // The only node added to the page; the boxes live in its shadow root
+            this.hoverBox = null;
+            this.tooltip = null;
+            this.hint = null;
+            this.hoveredElement = null;
+            this.selectedBoxes = new Map(); // Selected element -> its outline
+            this.observer = null;
+            this.frameRequest = null;
+            this.scheduleRefresh = this.scheduleRefresh.bind(this);
+        }
+
+        /**
+         * @method mount
+         * @description Creates the layer on first use, and puts it back if the page removed it.
+         */
+        mount() {
+            if (this.host) {
+                if (!this.host.isConnected) document.documentElement.appendChild(this.host);
+                return;
+            }
+            this.host = document.createElement('aitestgen-overlay');
+            this.host.setAttribute('style', OVERLAY_HOST_STYLE);
+            const root = this.host.attachShadow({ mode: 'closed' });
+            const style = document.createElement('style');
+            style.textContent = OVERLAY_STYLES;
+            this.hoverBox = this.createNode('box hover');
+            this.tooltip = this.createNode('tooltip');
+            this.hint = this.createNode('hint');
+            this.hint.append(this.createNode('hint-path'), this.createNode('hint-keys'));
+            root.append(style, this.hoverBox, this.tooltip, this.hint);
+            document.documentElement.appendChild(this.host);
+
+            // Capture phase: scrolling inside any container moves the highlighted elements too
+            document.addEventListener('scroll', this.scheduleRefresh, true);
+            window.addEventListener('resize', this.scheduleRefresh);
+            // Changes inside the closed shadow root are not observed, so drawing never feeds back
+            this.observer = new MutationObserver(this.scheduleRefresh);
+            this.observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+        }
+
+        createNode(className) {
+            const node = document.createElement('div');
+            node.className = className;
+            return node;
+        }
+
+        /**
+         * @method showHover
+         * @description Outlines the element under the cursor.
+         * @param {HTMLElement} element - The hovered element.
+         * @param {string|null} label - Tooltip text (the element's selector), or `null` for no tooltip.
+         */
+        showHover(element, label) {
+            this.mount();
+            this.hoveredElement = element;
+            this.tooltip.textContent = label || '';
+            this.refresh();
+        }
+
+        hideHover() {
+            this.hoveredElement = null;
+            if (!this.host) return;
+            this.hoverBox.style.display = 'none';
+            this.tooltip.style.display = 'none';
+        }
+
+        addSelected(element) {
+            if (this.selectedBoxes.has(element)) return;
+            this.mount();
+            const box = this.createNode('box selected');
+            this.hoverBox.before(box); // Below the hover box and the tooltip
+            this.selectedBoxes.set(element, box);
+            this.placeBox(box, element);
+        }
+
+        removeSelected(element) {
+            const box = this.selectedBoxes.get(element);
+            if (!box) return;
+            box.remove();
+            this.selectedBoxes.delete(element);
+        }
+
+        clearSelected() {
+            this.selectedBoxes.forEach(box => box.remove());
+            this.selectedBoxes.clear();
+        }
+
+        /**
+         * @method showHint
+         * @description Shows the shortcut hint with the given element path.
+         * @param {string} path - Path of the highlighted element.
+         * @param {string} shortcuts - The shortcut list.
+         */
+        showHint(path, shortcuts) {
+            this.mount();
+            const [pathNode, keysNode] = this.hint.children;
+            pathNode.textContent = path;
+            pathNode.title = path;
+            keysNode.textContent = shortcuts;
+            this.hint.style.display = 'block';
+        }
+
+        hideHint() {
+            if (this.hint) this.hint.style.display = 'none';
+        }
+
+        /**
+         * @method placeBox
+         * @description Moves a box over an element; hides it while the element is detached or not rendered.
+         * @returns {DOMRect|null} - The element's rectangle, or `null` when the box is hidden.
+         */
+        placeBox(box, element) {
+            const rect = element.isConnected ? element.getBoundingClientRect() : null;
+            if (!rect || (rect.width === 0 && rect.height === 0)) {
+                box.style.display = 'none';
+                return null;
+            }
+            box.style.left = `${rect.left}px`;
+            box.style.top = `${rect.top}px`;
+            box.style.width = `${rect.width}px`;
+            box.style.height = `${rect.height}px`;
+            box.style.display = 'block';
+            return rect;
+        }
+
+        /**
+         * @method refresh
+         * @description Re-places every box after the page scrolled, resized or changed.
+         */
+        refresh() {
+            this.frameRequest = null;
+            if (!this.host) return;
+            this.selectedBoxes.forEach((box, element) => this.placeBox(box, element));
+            const rect = this.hoveredElement ? this.placeBox(this.hoverBox, this.hoveredElement) : null;
+            if (!rect || !this.tooltip.textContent) {
+                if (!rect) this.hoverBox.style.display = 'none';
+                this.tooltip.style.display = 'none';
+                return;
+            }
+            const below = rect.top < TOOLTIP_HEIGHT;
+            this.tooltip.classList.toggle('below', below);
+            this.tooltip.style.left = `${Math.max(rect.left, 0)}px`;
+            this.tooltip.style.top = `${below ? rect.bottom : rect.top}px`;
+            this.tooltip.style.display = 'block';
+        }
+
+        // Batches refreshes to one per animation frame
+        scheduleRefresh() {
+            if (this.frameRequest === null) {
+                this.frameRequest = requestAnimationFrame(() => this.refresh());
+            }
+        }
+
+        /**
+         * @method destroy
+         * @description Removes the layer and its listeners from the page.
+         */
+        destroy() {
+            if (!this.host) return;
+            if (this.frameRequest !== null) cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+            document.removeEventListener('scroll', this.scheduleRefresh, true);
+            window.removeEventListener('resize', this.scheduleRefresh);
+            this.observer.disconnect();
+            this.observer = null;
+            this.host.remove();
+            this.host = null;
+            this.hoveredElement = null;
+            this.selectedBoxes.clear();
+        }
+    }
+
     /**
      * @class ElementInspector
      * @description Manages the interactive element inspection process on a web page.
@@ -36,6 +576,7 @@ if (!window.elementInspector) {
      * generating robust CSS selectors and XPaths, and communicating selected element data
      * back to the extension's popup or background script. It uses advanced locator strategies including:
      * - Shadow DOM penetration
+     * - Iframe-scoped locators (one inspector runs in every frame)
      * - Dynamic waits
      * - Resilience scoring
      * - Fallback chains
@@ -56,20 +597,48 @@ if (!window.elementInspector) {
             this.highlightedElement = null; // Stores the DOM element currently under the mouse cursor (hovered).
             this.currentPort = null; // Reserved for potential long-lived connections with the extension (not currently used).
             this.domNodeCreationTimes = new WeakMap(); // Tracks when elements were added to the DOM (for dynamic wait strategies)
+            this.targetLanguage = 'java'; // Language chosen in Settings; drives the syntax of generated Selenium locators.
+            this.locatorPolicy = LocatorPolicy.normalize(); // Locator policy from Settings (see locator-policy.js)
             this.mutationObserver = null;
-
-            // Flags and references for managing injected styles.
-            this.highlightStyleAdded = false; // Tracks if the custom <style> element has been appended to <head>.
-            this.highlightStyleElement = null; // Reference to the actual <style> DOM element for later removal.
+            // Selectors of the <iframe> elements leading from the top document to this frame, outermost first.
+            // Empty in the top frame; child frames get it from their parent (`null` until then).
+            this.frameChain = window === window.top ? [] : null;
+            this.frameChainPromise = null;
+            // Record mode: the page keeps working while user actions are sent to the side panel as steps.
+            this.isRecording = false;
+            this.lastStepTime = 0; // When the previous step was recorded; elements added later get a wait step
+            this.pendingFill = null; // Text field being typed into; recorded once the user moves on
+            this.isStoppingRecord = false; // Set while the pending fill is flushed by `stopRecording`
+            this.recordedValues = new WeakMap(); // Last value recorded per text field, to skip duplicate fills
+            // Locator validation: captured elements of this frame whose locators are re-checked on DOM changes.
+            this.validationTargets = [];
+            this.validationObserver = null;
+            this.validationTimer = null;
+            this.lastValidation = null; // Last results sent, so unchanged results are not sent again
+            this.rowContexts = null; // Row contexts found during the current `describeElement`, per element
+            // Keyboard navigation: selectors added by each selection (a bulk capture is one entry), for Backspace undo.
+            this.selectionHistory = [];
+
+            // Highlights are drawn in a layer of their own; page elements are never modified.
+            this.overlay = new HighlightOverlay();
 
             // Bind methods that will be used as event listeners to ensure 'this' context is correct.
             // `handleMouseMove` is throttled to improve performance for frequent mouse events.
             this.handleMouseMove = throttle(this.handleMouseMove.bind(this), 50); // Throttle to max 20 calls/sec
             this.handleElementClick = this.handleElementClick.bind(this);
+            this.handleMouseOut = this.handleMouseOut.bind(this);
+            this.handleKeydown = this.handleKeydown.bind(this);
             this.handleRuntimeMessage = this.handleRuntimeMessage.bind(this);
+            this.handleFrameMessage = this.handleFrameMessage.bind(this);
+            this.handleRecordClick = this.handleRecordClick.bind(this);
+            this.handleRecordInput = this.handleRecordInput.bind(this);
+            this.handleRecordKeydown = this.handleRecordKeydown.bind(this);
+            this.flushPendingFill = this.flushPendingFill.bind(this);
+            this.sendLocatorValidation = this.sendLocatorValidation.bind(this);
             // Bind newly added methods
             this.getPlaywrightLocator = this.getPlaywrightLocator.bind(this);
             this.getSeleniumLocator = this.getSeleniumLocator.bind(this);
+            this.getCypressLocator = this.getCypressLocator.bind(this);
             // Binding for the `beforeunload` event, crucial for cleanup when the page is closed/navigated away.
             this.boundHandleUnload = this.handlePageUnload.bind(this);
 
@@ -95,24 +664,20 @@ if (!window.elementInspector) {
 
         /**
          * @method init
-         * @description Initializes the ElementInspector by setting up global event listeners
-         * and injecting necessary CSS styles. This method should be called once after class instantiation.
+         * @description Initializes the ElementInspector by setting up global event listeners.
+         * This method should be called once after class instantiation.
          */
         init() {
             this._log("Starting ElementInspector initialization...");
 
-            // Add custom CSS styles for element highlighting if they haven't been added yet.
-            if (!this.highlightStyleAdded) {
-                this._log("Adding highlight styles to document head.");
-                this.addHighlightStyles();
-                this.highlightStyleAdded = true; // Mark as added to prevent re-addition
-            }
-
             // Set up the listener for messages from the browser extension's background script or popup.
             // This is how the extension commands the content script (e.g., to start/stop inspection).
             chrome.runtime.onMessage.addListener(this.handleRuntimeMessage);
             this._log("Runtime message listener added.");
 
+            // Answers frame chain requests from child frames and receives this frame's own chain.
+            window.addEventListener('message', this.handleFrameMessage);
+
             // Add a listener for the `beforeunload` event to ensure proper cleanup
             // when the user navigates away from the page or closes the tab.
             window.addEventListener('beforeunload', this.boundHandleUnload);
@@ -136,63 +701,103 @@ if (!window.elementInspector) {
         }
 
         /**
-         * @method addHighlightStyles
-         * @description Dynamically creates a `<style>` element and appends it to the document's `<head>`.
-         * This injects the CSS rules required for element highlighting and tooltips.
-         * Includes error handling for robustness.
+         * @method restoreSession
+         * @description Reads the capture session from `chrome.storage.local` and re-registers the
+         * elements that were selected on the current page URL, so a multi-page session survives
+         * navigation (highlights and the internal Map are rebuilt). Only run when the side panel starts
+         * or resumes a multi-page inspection. Elements that can no longer be resolved are still kept
+         * in the Map so they are not dropped from the session.
          */
-        addHighlightStyles() {
-            this._log("Attempting to add highlight styles.");
+        restoreSession() {
+            chrome.storage.local.get(['selectedElements'], (result) => {
+                const stored = (result && result.selectedElements) || [];
+                const pageElements = stored.filter(el => (el.frameUrl || el.pageUrl) === location.href && this.isOwnFrame(el.frameChain));
+                if (pageElements.length === 0) {
+                    this._log("No stored selections for this page.");
+                    return;
+                }
 
-            // Prevent re-adding styles if a reference to the style element already exists.
-            if (this.highlightStyleElement) {
-                this._log("Styles already added, skipping re-addition.");
-                return;
+                pageElements.forEach(details => {
+                    if (this.selectedElements.has(details.selector)) return;
+                    this.selectedElements.set(details.selector, details);
+                    try {
+                        const element = this.querySelectorDeep(details.selector);
+                        if (element) this.overlay.addSelected(element);
+                    } catch (e) {
+                        this._log(`WARN: Could not resolve stored selector '${details.selector}':`, e);
+                    }
+                });
+                this._log(`Restored ${pageElements.length} selected element(s) for this page.`);
+            });
+        }
+
+        /**
+         * @method requestFrameChain
+         * @description Resolves this frame's chain of iframe selectors. A child frame cannot inspect its
+         * `<iframe>` element when the parent is cross-origin, so it asks the parent frame's inspector via
+         * `postMessage`; the parent answers with its own chain plus the selector of the requesting iframe.
+         * @returns {Promise<string[]|null>} - The frame chain, or `null` if the parent never answered.
+         */
+        requestFrameChain() {
+            if (this.frameChain) {
+                return Promise.resolve(this.frameChain);
+            }
+            if (!this.frameChainPromise) {
+                this.frameChainPromise = new Promise((resolve) => {
+                    let attempts = 0;
+                    const ask = () => {
+                        if (this.frameChain) {
+                            resolve(this.frameChain);
+                            return;
+                        }
+                        if (attempts++ >= FRAME_CHAIN_MAX_ATTEMPTS) {
+                            this._log("WARN: Parent frame did not report a frame chain.");
+                            this.frameChainPromise = null; // Ask again on the next startInspect
+                            resolve(null);
+                            return;
+                        }
+                        window.parent.postMessage({ type: FRAME_MESSAGES.REQUEST_CHAIN }, '*');
+                        setTimeout(ask, FRAME_CHAIN_RETRY_MS);
+                    };
+                    ask();
+                });
             }
+            return this.frameChainPromise;
+        }
 
-            try {
-                this.highlightStyleElement = document.createElement('style');
-                this.highlightStyleElement.textContent = `
-                    /* Styles for the temporary highlight when hovering over an element. */
-                    .element-highlight {
-                        outline: 2px solid #f59e0b !important; /* Vibrant orange outline for hover */
-                        box-shadow: 0 0 0 4px rgba(245, 158, 11, 0.3) !important; /* Soft, transparent orange shadow */
-                        position: relative; /* Essential for correct tooltip positioning */
-                        z-index: 9999; /* Ensures the hover highlight is above most page content */
-                    }
-                    /* Styles for the tooltip that displays the element's CSS selector. */
-                    .element-tooltip {
-                        position: absolute;
-                        background: #1e293b; /* Dark background for readability */
-                        color: white; /* White text color */
-                        padding: 4px 8px;
-                        border-radius: 4px;
-                        font-size: 12px;
-                        z-index: 10000; /* Ensures the tooltip is always on top */
-                        pointer-events: none; /* Allows mouse events to pass through the tooltip to the element beneath */
-                        transform: translateY(-100%); /* Positions the tooltip above the element it describes */
-                        white-space: nowrap; /* Prevents the selector text from wrapping */
-                        top: 0; /* Aligns to the top edge of the highlighted element */
-                        left: 0;
-                    }
-                    /* Styles for elements that have been explicitly selected (clicked) by the user. */
-                    .element-selected-highlight {
-                        outline: 2px dashed #10B981 !important; /* Green dashed outline for selected elements */
-                        box-shadow: 0 0 0 4px rgba(16, 185, 129, 0.3) !important; /* Semi-transparent green shadow */
-                        position: relative;
-                        z-index: 9998; /* Slightly below the hover highlight, but still prominent */
-                    }
-                `;
-                document.head.appendChild(this.highlightStyleElement);
-                this._log("Highlight styles successfully added to document head.");
-            } catch (error) {
-                this._log("ERROR: Failed to add highlight styles:", error);
-                // Reset flag if insertion failed, so a subsequent attempt might work
-                this.highlightStyleAdded = false;
-                this.highlightStyleElement = null;
+        /**
+         * @method handleFrameMessage
+         * @description `message` listener implementing both sides of the frame chain exchange.
+         * @param {MessageEvent} event - The posted message.
+         */
+        handleFrameMessage(event) {
+            const data = event.data;
+            if (!data || typeof data !== 'object') return;
+
+            if (data.type === FRAME_MESSAGES.REQUEST_CHAIN) {
+                const frame = this.querySelectorAllDeep('iframe, frame').find(el => el.contentWindow === event.source);
+                if (!frame) return;
+                this.requestFrameChain().then(chain => {
+                    if (!chain) return;
+                    event.source.postMessage({ type: FRAME_MESSAGES.CHAIN, chain: [...chain, this.getElementSelector(frame)] }, '*');
+                });
+            } else if (data.type === FRAME_MESSAGES.CHAIN && event.source === window.parent && !this.frameChain && Array.isArray(data.chain)) {
+                this.frameChain = data.chain;
+                this._log(`Frame chain resolved: ${this.frameChain.join(' | ')}.`);
             }
         }
 
+        /**
+         * @method isOwnFrame
+         * @description Tells whether a recorded frame chain designates this frame. Messages from the side panel
+         * reach every frame of the tab, so frames use this to ignore selections made in other frames.
+         * @param {string[]} [frameChain] - The chain recorded with a selection (missing means the top frame).
+         * @returns {boolean}
+         */
+        isOwnFrame(frameChain) {
+            return JSON.stringify(frameChain || []) === JSON.stringify(this.frameChain || []);
+        }
+
         /**
          * @method handleRuntimeMessage
          * @description Processes messages received from other parts of the Chrome extension (e.g., popup or background script).
@@ -209,6 +814,12 @@ if (!window.elementInspector) {
                 switch (request.action) {
                     case "startInspect":
                         this._log("Received request to start inspection.");
+                        this.setTargetLanguage(request.language);
+                        this.setLocatorPolicy(request.locatorPolicy);
+                        // Child frames first need their frame chain to recognise their own selections
+                        this.requestFrameChain().then(() => {
+                            if (request.multiPage) this.restoreSession();
+                        });
                         this.startInspection();
                         sendResponse({ status: "started" }); // Acknowledge message receipt and action taken
                         break;
@@ -217,16 +828,70 @@ if (!window.elementInspector) {
                         this.stopInspection();
                         sendResponse({ status: "stopped" });
                         break;
+                    case "startRecord":
+                        this._log("Received request to start recording.");
+                        this.setTargetLanguage(request.language);
+                        this.setLocatorPolicy(request.locatorPolicy);
+                        this.requestFrameChain();
+                        this.startRecording();
+                        sendResponse({ status: "recording" });
+                        break;
+                    case "stopRecord":
+                        this._log("Received request to stop recording.");
+                        this.stopRecording();
+                        sendResponse({ status: "stopped" });
+                        break;
                     case "resetInspect":
                         this._log("Received request to reset inspection (clear selections).");
                         this.resetInspection();
                         sendResponse({ status: "reset" });
                         break;
                     case "removeHighlight":
+                        // Sent to every frame: only the frame the element was captured in answers.
+                        if (!this.isOwnFrame(request.frameChain)) {
+                            return false;
+                        }
                         this._log(`Received request to remove highlight for selector: ${request.selector}`);
                         this.removeSpecificHighlight(request.selector);
                         sendResponse({ status: "removed" });
                         break;
+                    case "captureViewport":
+                        // Sent to every frame: each one captures what is visible in its own viewport.
+                        this._log("Received request to capture the interactive elements in the viewport.");
+                        this.setTargetLanguage(request.language);
+                        this.setLocatorPolicy(request.locatorPolicy);
+                        this.requestFrameChain().then(() => {
+                            if (this.captureViewport() > 0) {
+                                this.sendSelectedElementsToExtension();
+                            }
+                        });
+                        sendResponse({ status: "capturing" });
+                        break;
+                    case "reorderElements": {
+                        // Sent to every frame with the new order of the page's elements: each frame applies its own.
+                        const selectors = (request.elements || [])
+                            .filter(el => this.isOwnFrame(el.frameChain))
+                            .map(el => el.selector);
+                        if (selectors.length === 0) {
+                            return false;
+                        }
+                        this.reorderSelectedElements(selectors);
+                        sendResponse({ status: "reordered" });
+                        break;
+                    }
+                    case "validateLocators": {
+                        // Sent to every frame with the elements captured on the page: each frame checks its own.
+                        const targets = (request.elements || [])
+                            .filter(el => (el.frameUrl || el.pageUrl) === location.href && this.isOwnFrame(el.frameChain));
+                        if (targets.length === 0) {
+                            this.stopWatchingLocators();
+                            return false;
+                        }
+                        this._log(`Received request to validate ${targets.length} locator(s).`);
+                        this.watchLocators(targets);
+                        sendResponse({ status: "validated" });
+                        break;
+                    }
                     case "clearAll":
                         this._log("Received request to clear all inspector states.");
                         this.clearAllStates();
@@ -255,9 +920,11 @@ if (!window.elementInspector) {
         clearAllStates() {
             this._log("Initiating full cleanup: clearing all states.");
 
-            // Deactivate inspection mode.
+            // Deactivate inspection and record modes.
             this.isActive = false;
+            this.stopRecording();
             this.stopMutationObserver();
+            this.stopWatchingLocators();
             this._log("Inspection deactivated.");
 
             // Clear all selected elements from the internal Map.
@@ -265,17 +932,12 @@ if (!window.elementInspector) {
             this.selectedElements.clear();
             this._log(`Cleared ${selectedCount} selected elements from internal storage.`);
 
-            // Remove all active highlight classes from any elements on the page.
-            document.querySelectorAll('.element-highlight, .element-selected-highlight').forEach(el => {
-                el.classList.remove('element-highlight', 'element-selected-highlight');
-            });
-            this._log("Removed all highlight classes from DOM elements.");
+            this.selectionHistory = [];
 
-            // Remove all tooltips that might be present on the page.
-            document.querySelectorAll('.element-tooltip').forEach(tooltip => {
-                tooltip.remove();
-            });
-            this._log("Removed all tooltips from DOM.");
+            // Remove the highlight layer (hover and selected outlines, tooltip, shortcut hint).
+            this.overlay.destroy();
+            this.highlightedElement = null;
+            this._log("Removed the highlight overlay.");
 
             // Reset the body's cursor style to default.
             document.body.style.cursor = '';
@@ -283,21 +945,143 @@ if (!window.elementInspector) {
 
             // Crucially, remove all event listeners to prevent memory leaks.
             document.removeEventListener('mousemove', this.handleMouseMove);
+            document.removeEventListener('mouseout', this.handleMouseOut);
             document.removeEventListener('click', this.handleElementClick, true); // `true` matches addEventListener's capture phase
+            document.removeEventListener('keydown', this.handleKeydown, true);
             window.removeEventListener('beforeunload', this.boundHandleUnload); // Remove the unload listener itself
+            window.removeEventListener('message', this.handleFrameMessage);
             this._log("All DOM event listeners removed.");
 
-            // Remove the dynamically injected style element from the document head.
-            if (this.highlightStyleElement && this.highlightStyleElement.parentNode) {
-                this.highlightStyleElement.parentNode.removeChild(this.highlightStyleElement);
-                this.highlightStyleElement = null; // Clear the reference
-                this.highlightStyleAdded = false; // Reset the flag
-                this._log("Injected style element removed from document head.");
-            } else {
-                this._log("No style element to remove or already removed.");
+            this._log("All ElementInspector states cleared successfully.");
+        }
+
+        /**
+         * @method setTargetLanguage
+         * @description Records the programming language selected in Settings so new selections get
+         * Selenium locators in that language's syntax. Unknown or missing values keep the current language.
+         * @param {string} language - Language code from Settings (e.g. 'java', 'python', 'csharp', 'javascript').
+         */
+        setTargetLanguage(language) {
+            const code = (language || '').toLowerCase();
+            if (SELENIUM_DIALECTS[code]) {
+                this.targetLanguage = code;
+                this._log(`Target language set to '${code}'.`);
             }
+        }
 
-            this._log("All ElementInspector states cleared successfully.");
+        /**
+         * @method setLocatorPolicy
+         * @description Applies the locator policy edited in Settings (test id attributes, strategy weights and
+         * switches, id and class blocklists, fallback count) to new selections. A missing policy keeps the
+         * current one.
+         * @param {object} [policy] - The stored `locatorPolicy`.
+         */
+        setLocatorPolicy(policy) {
+            if (!policy) return;
+            this.locatorPolicy = LocatorPolicy.normalize(policy);
+            this._log("Locator policy applied.", this.locatorPolicy);
+        }
+
+        /**
+         * @method isStrategyEnabled
+         * @description Tells whether the locator policy allows a strategy.
+         * @param {string} strategy - One of `LocatorPolicy.STRATEGIES`.
+         * @returns {boolean}
+         */
+        isStrategyEnabled(strategy) {
+            return !this.locatorPolicy.disabled.includes(strategy);
+        }
+
+        /**
+         * @method isBlockedToken
+         * @description Tells whether an id or a class matches one of the policy's blocklist patterns.
+         * @param {'id'|'class'} kind - Which blocklist to check.
+         * @param {string} value - The id or class name.
+         * @returns {boolean}
+         */
+        isBlockedToken(kind, value) {
+            const patterns = kind === 'id' ? this.locatorPolicy.idBlocklist : this.locatorPolicy.classBlocklist;
+            return patterns.some(pattern => new RegExp(pattern).test(value));
+        }
+
+        /**
+         * @method isUsableToken
+         * @description Tells whether an id or a class may appear in a selector: it is neither generated by a
+         * build tool or framework nor a state class (`classifyToken`), and not blocked by the locator policy.
+         * @param {'id'|'class'} kind - What the token is.
+         * @param {string} value - The id or class name.
+         * @returns {boolean}
+         */
+        isUsableToken(kind, value) {
+            return !['generated', 'state'].includes(classifyToken(value, kind)) && !this.isBlockedToken(kind, value);
+        }
+
+        /**
+         * @method getSelectorClasses
+         * @description Sorts the element's usable classes into stable ones and utility ones (`classifyToken`).
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {{stable: string[], utility: string[]}} - Class names, in the element's order.
+         */
+        getSelectorClasses(element) {
+            const classes = { stable: [], utility: [] };
+            Array.from(element.classList).forEach(cls => {
+                if (!this.isUsableToken('class', cls)) return;
+                classes[classifyToken(cls) === 'utility' ? 'utility' : 'stable'].push(cls);
+            });
+            return classes;
+        }
+
+        /**
+         * @method getStableAttributes
+         * @description Lists the attributes selectors and XPaths can be built from: the test id attributes
+         * (policy order) then `SELECTOR_ATTRIBUTES`. Empty or long values are skipped, and so are generated
+         * `name` / `for` values (they mirror generated ids).
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {Array<{name: string, value: string}>} - The attributes, in that order.
+         */
+        getStableAttributes(element) {
+            return [...new Set([...this.locatorPolicy.testIdAttributes, ...SELECTOR_ATTRIBUTES])]
+                .map(name => ({ name, value: element.getAttribute(name) }))
+                .filter(({ name, value }) => value && value.length <= 100
+                    && !((name === 'name' || name === 'for') && classifyToken(value, 'id') === 'generated'));
+        }
+
+        /**
+         * @method getSelectorAttributes
+         * @description Lists the attribute selectors of `getStableAttributes`.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {string[]} - Attribute selectors, e.g. `[name="email"]`.
+         */
+        getSelectorAttributes(element) {
+            return this.getStableAttributes(element).map(({ name, value }) => cssAttribute(name, value));
+        }
+
+        /**
+         * @method getTestIdAttribute
+         * @description Finds the first attribute of the policy's test id list (in priority order) the element has.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {{name: string, value: string}|null} - The attribute, or `null` when the element has none.
+         */
+        getTestIdAttribute(element) {
+            for (const name of this.locatorPolicy.testIdAttributes) {
+                const value = element.getAttribute(name);
+                if (value) return { name, value };
+            }
+            return null;
+        }
+
+        /**
+         * @method rankCandidates
+         * @description Drops the candidates of strategies the locator policy turned off and sorts the rest by
+         * score, best first (stable: equal scores keep their order). When every candidate is turned off the
+         * CSS ones are kept, since an element must stay reachable.
+         * @param {Array<{strategy: string, score: number}>} candidates - The candidates of one tool.
+         * @returns {Array<{strategy: string, score: number}>} - The allowed candidates, best first.
+         */
+        rankCandidates(candidates) {
+            const allowed = candidates.filter(candidate => this.isStrategyEnabled(candidate.strategy));
+            const ranked = allowed.length > 0 ? allowed : candidates.filter(candidate => candidate.strategy === 'css');
+            return ranked.sort((a, b) => b.score - a.score);
         }
 
         /**
@@ -317,9 +1101,12 @@ if (!window.elementInspector) {
 
             // Add event listeners for dynamic highlighting on hover and selecting elements on click.
             document.addEventListener('mousemove', this.handleMouseMove);
+            document.addEventListener('mouseout', this.handleMouseOut);
             // Attach `click` listener in the capture phase (`true`) to intercept clicks before
             // they reach their target elements, preventing default actions (e.g., link navigation).
             document.addEventListener('click', this.handleElementClick, true);
+            // Keyboard navigation reaches elements too small or too deeply nested to hover precisely.
+            document.addEventListener('keydown', this.handleKeydown, true);
             document.body.style.cursor = 'crosshair'; // Visual cue for inspection mode
 
             this.startMutationObserver();
@@ -345,22 +1132,16 @@ if (!window.elementInspector) {
 
             // Remove the previously added event listeners.
             document.removeEventListener('mousemove', this.handleMouseMove);
+            document.removeEventListener('mouseout', this.handleMouseOut);
             document.removeEventListener('click', this.handleElementClick, true);
+            document.removeEventListener('keydown', this.handleKeydown, true);
             document.body.style.cursor = ''; // Reset cursor to default
 
             this.stopMutationObserver();
 
-            // If an element is currently highlighted (hovered) and it's NOT a selected element,
-            // remove its hover highlight and tooltip. This ensures selected elements remain highlighted.
-            if (this.highlightedElement && !this.selectedElements.has(this.getElementSelector(this.highlightedElement))) {
-                this._log("Removing hover highlight upon stopping inspection.");
-                this.removeHighlight();
-            } else if (this.highlightedElement) {
-                this._log("Currently hovered element is selected; preserving its highlight.");
-                // Clear the hovered element reference, but keep its selected highlight.
-                this.highlightedElement = null;
-            }
-            // If no element was highlighted, no action needed.
+            // Remove the hover highlight and the shortcut hint; selected elements keep their outline.
+            this.removeHighlight();
+            this.overlay.hideHint();
 
             this._log("Inspection mode deactivated.");
         }
@@ -374,17 +1155,9 @@ if (!window.elementInspector) {
             this._log("Resetting inspection state: clearing selected elements.");
 
             const selectedCount = this.selectedElements.size;
-            // Iterate over all currently selected elements and remove their specific highlight class from the DOM.
-            this.selectedElements.forEach((details, selector) => {
-                const element = document.querySelector(selector);
-                if (element) {
-                    element.classList.remove('element-selected-highlight');
-                    // Also ensure any tooltip for a selected element is removed if it's not the hovered element
-                    this.removeTooltip(element);
-                }
-            });
-
+            this.overlay.clearSelected(); // Remove the outlines of all selected elements.
             this.selectedElements.clear(); // Clear the internal Map of selected elements.
+            this.selectionHistory = [];
             this.removeHighlight(); // Ensure any current hover highlight is also removed if active.
 
             this._log(`Reset complete: cleared ${selectedCount} selected elements.`);
@@ -392,6 +1165,204 @@ if (!window.elementInspector) {
             chrome.runtime.sendMessage({ action: "selectionCleared" });
         }
 
+        /**
+         * @method startRecording
+         * @description Activates record mode. Unlike inspection, clicks are not intercepted: the page keeps
+         * working while clicks, typed values, selections, checks and key presses are sent to the side panel
+         * as an ordered list of steps. Listeners use the capture phase and composed events (`input`,
+         * `focusout`) so actions inside shadow roots are seen as well.
+         */
+        startRecording() {
+            if (this.isRecording) {
+                this._log("Recording already active, skipping start request.");
+                return;
+            }
+            if (this.isActive) {
+                this.stopInspection(); // Inspect mode would swallow the clicks being recorded
+            }
+
+            this.isRecording = true;
+            this.lastStepTime = Date.now();
+            document.addEventListener('click', this.handleRecordClick, true);
+            document.addEventListener('input', this.handleRecordInput, true);
+            document.addEventListener('keydown', this.handleRecordKeydown, true);
+            document.addEventListener('focusout', this.flushPendingFill, true);
+            // A submit that navigates away must not lose the value typed last
+            window.addEventListener('pagehide', this.flushPendingFill);
+            this.startMutationObserver();
+            this._log("Recording started.");
+        }
+
+        /**
+         * @method stopRecording
+         * @description Deactivates record mode after recording any pending typed value.
+         */
+        stopRecording() {
+            if (!this.isRecording) {
+                return;
+            }
+            // The side panel has already left record mode: the last fill is flagged so it is still accepted
+            this.isStoppingRecord = true;
+            this.flushPendingFill();
+            this.isStoppingRecord = false;
+            this.isRecording = false;
+            document.removeEventListener('click', this.handleRecordClick, true);
+            document.removeEventListener('input', this.handleRecordInput, true);
+            document.removeEventListener('keydown', this.handleRecordKeydown, true);
+            document.removeEventListener('focusout', this.flushPendingFill, true);
+            window.removeEventListener('pagehide', this.flushPendingFill);
+            if (!this.isActive) {
+                this.stopMutationObserver();
+            }
+            this._log("Recording stopped.");
+        }
+
+        /**
+         * @method handleRecordClick
+         * @description Records a `click` step. Clicks on form fields (and on labels of form fields) are
+         * skipped: the resulting value change is recorded by `handleRecordInput` instead.
+         * @param {MouseEvent} e - The mouse event object.
+         */
+        handleRecordClick(e) {
+            if (!this.isRecording || !e.isTrusted) return;
+            const path = e.composedPath();
+            const target = path && path.length > 0 ? path[0] : e.target;
+            if (!(target instanceof Element)) return;
+
+            // Report the actionable element rather than the icon or text span that was hit
+            const element = target.closest('button, a[href], summary, input, select, textarea, label, [role="button"], [role="link"], [role="menuitem"], [role="tab"], [role="option"], [role="checkbox"], [role="switch"]') || target;
+            const tag = element.tagName.toLowerCase();
+            if ((tag === 'input' && !BUTTON_INPUT_TYPES.includes(element.type)) || tag === 'select' || tag === 'textarea' || tag === 'option') return;
+            if (tag === 'label' && element.control) return;
+
+            this.flushPendingFill();
+            this.recordStep('click', element);
+        }
+
+        /**
+         * @method handleRecordInput
+         * @description Records `check`/`uncheck`, `select` and `upload` steps as soon as the value changes.
+         * Typed text is only remembered here and recorded by `flushPendingFill`, so one field gives one
+         * `fill` step with its final value.
+         * @param {InputEvent} e - The input event object.
+         */
+        handleRecordInput(e) {
+            if (!this.isRecording || !e.isTrusted) return;
+            const path = e.composedPath();
+            const element = path && path.length > 0 ? path[0] : e.target;
+            if (!(element instanceof Element)) return;
+            const tag = element.tagName.toLowerCase();
+
+            if (tag === 'select') {
+                this.flushPendingFill();
+                const options = Array.from(element.selectedOptions);
+                this.recordStep('select', element, {
+                    value: options.map(option => option.text.trim()).join(', '),
+                    optionValue: options.map(option => option.value).join(', ')
+                });
+            } else if (tag === 'input' && (element.type === 'checkbox' || element.type === 'radio')) {
+                this.flushPendingFill();
+                this.recordStep(element.checked ? 'check' : 'uncheck', element);
+            } else if (tag === 'input' && element.type === 'file') {
+                this.flushPendingFill();
+                this.recordStep('upload', element, { value: Array.from(element.files || []).map(file => file.name).join(', ') });
+            } else if (tag === 'input' || tag === 'textarea' || element.isContentEditable) {
+                if (this.pendingFill && this.pendingFill !== element) {
+                    this.flushPendingFill();
+                }
+                this.pendingFill = element;
+            }
+        }
+
+        /**
+         * @method handleRecordKeydown
+         * @description Records Enter pressed in a single-line field (implicit form submission), after the
+         * value typed so far.
+         * @param {KeyboardEvent} e - The keyboard event object.
+         */
+        handleRecordKeydown(e) {
+            if (!this.isRecording || !e.isTrusted || e.key !== 'Enter') return;
+            const path = e.composedPath();
+            const element = path && path.length > 0 ? path[0] : e.target;
+            if (!(element instanceof Element) || element.tagName.toLowerCase() !== 'input') return;
+
+            this.flushPendingFill();
+            this.recordStep('press', element, { key: 'Enter' });
+        }
+
+        /**
+         * @method flushPendingFill
+         * @description Records the `fill` step of the field being typed into, unless its value did not
+         * change since the last recorded fill. Password and other secret fields are recorded masked.
+         */
+        flushPendingFill() {
+            const element = this.pendingFill;
+            this.pendingFill = null;
+            if (!element || !this.isRecording) return;
+
+            const value = element.isContentEditable ? element.innerText : element.value;
+            if (this.recordedValues.get(element) === value) return;
+            this.recordedValues.set(element, value);
+
+            const autocomplete = element.getAttribute('autocomplete') || '';
+            const isSecret = element.type === 'password' || /password|cc-|one-time-code/.test(autocomplete);
+            this.recordStep('fill', element, isSecret ? { value: MASKED_VALUE, masked: true } : { value });
+        }
+
+        /**
+         * @method recordStep
+         * @description Sends one recorded step to the side panel. When the element appeared after the
+         * previous step (e.g. a dialog opened by the last click), a `wait` step for it is sent first.
+         * @param {string} type - `click`, `fill`, `select`, `check`, `uncheck`, `upload` or `press`.
+         * @param {HTMLElement} element - The element acted on.
+         * @param {object} [extra] - Step data such as `value` or `key`.
+         */
+        recordStep(type, element, extra = {}) {
+            const appearedAt = this.getInsertionTime(element);
+            const appeared = appearedAt !== null && appearedAt > this.lastStepTime;
+            // Steps do not carry the element HTML: the locators and name describe the target
+            const { html, ...details } = this.describeElement(element, appeared || this.isDynamicElement(element));
+            const timestamp = Date.now();
+
+            if (appeared) {
+                this.sendStep({ type: 'wait', state: 'visible', ...details, timestamp });
+            }
+            this.sendStep({ type, ...extra, ...details, timestamp });
+            this.lastStepTime = timestamp;
+            this._log(`Recorded '${type}' on ${details.selector}.`);
+        }
+
+        /**
+         * @method sendStep
+         * @private
+         * @description Sends a recorded step to the side panel. Steps flushed while recording stops carry
+         * `flushedOnStop`.
+         * @param {object} step - The step.
+         */
+        sendStep(step) {
+            chrome.runtime.sendMessage({ action: "recordedStep", step, flushedOnStop: this.isStoppingRecord })
+                .catch(error => this._log("WARN: Could not send recorded step:", error));
+        }
+
+        /**
+         * @method getInsertionTime
+         * @description Returns when the element, or the closest ancestor added with it, was inserted into the
+         * DOM while the mutation observer was running. `null` for content present from the start.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {number|null} - A `Date.now()` timestamp, or `null`.
+         */
+        getInsertionTime(element) {
+            let node = element;
+            while (node) {
+                if (this.domNodeCreationTimes.has(node)) {
+                    return this.domNodeCreationTimes.get(node);
+                }
+                const root = node.getRootNode();
+                node = node.parentElement || (root instanceof ShadowRoot ? root.host : null);
+            }
+            return null;
+        }
+
         /**
          * @method startMutationObserver
          * @description Starts observing the DOM for added nodes to track their creation time.
@@ -441,7 +1412,19 @@ if (!window.elementInspector) {
 
             // Use composedPath() to penetrate Shadow DOM and get the real target
             const path = e.composedPath();
-            const element = path && path.length > 0 ? path[0] : e.target;
+            let element = path && path.length > 0 ? path[0] : e.target;
+
+            // The frame's own inspector highlights what is inside it; outlining the <iframe> as well
+            // would leave two highlights on screen.
+            if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+                this.removeHighlight();
+                return;
+            }
+
+            // With Alt held, the container an Alt+click would capture is highlighted instead
+            if (e.altKey) {
+                element = this.getCaptureContainer(element) || element;
+            }
 
             // Optimize: If the mouse is still over the same element, no need to update highlight.
             if (element === this.highlightedElement) {
@@ -457,40 +1440,41 @@ if (!window.elementInspector) {
             this.highlightElement(element);
         }
 
+        /**
+         * @method handleMouseOut
+         * @description Event handler for `mouseout` events. Clears the hover highlight when the pointer
+         * leaves this frame's document (`relatedTarget` is null), e.g. when it moves into an iframe or
+         * back to the parent frame, so only one frame shows a hover highlight at a time.
+         * @param {MouseEvent} e - The mouse event object.
+         */
+        handleMouseOut(e) {
+            if (!this.isActive || e.relatedTarget) return;
+            this._log("Pointer left the document; clearing hover highlight.");
+            this.removeHighlight();
+        }
+
         /**
          * @method highlightElement
-         * @description Applies either a temporary hover highlight or a permanent selected highlight
-         * to the given DOM element, and adds/updates its associated tooltip.
+         * @description Outlines the element under the cursor (or reached with the keyboard) in the overlay, with
+         * a tooltip showing its selector unless it is selected already, and updates the shortcut hint.
          * @param {HTMLElement} element - The DOM element to highlight.
          */
         highlightElement(element) {
             const selector = this.getElementSelector(element);
             this._log(`Attempting to highlight element: ${selector}.`);
 
-            // Always remove both highlight classes first to ensure correct state.
-            element.classList.remove('element-highlight', 'element-selected-highlight');
-
-            if (this.selectedElements.has(selector)) {
-                // If the element is already selected, apply the 'selected' highlight.
-                this._log(`Element '${selector}' is already selected; applying selected highlight.`);
-                element.classList.add('element-selected-highlight');
-                this.removeTooltip(element); // Selected elements don't need hover tooltips.
-            } else {
-                // Otherwise, apply the temporary 'hover' highlight and its tooltip.
-                this._log(`Element '${selector}' not selected; applying regular hover highlight.`);
-                element.classList.add('element-highlight');
-                this.addTooltip(element);
-            }
+            // Selected elements already show their selector in the side panel; they get no tooltip.
+            this.overlay.showHover(element, this.selectedElements.has(selector) ? null : selector);
             // Update the reference to the currently highlighted element.
             this.highlightedElement = element;
+            this.updateHintOverlay();
             this._log(`Element highlighted successfully: ${selector}.`);
         }
 
         /**
          * @method removeHighlight
-         * @description Removes the temporary hover highlight and its tooltip from the
-         * `highlightedElement` (the element currently under the cursor), if it exists.
-         * This method does *not* remove the `element-selected-highlight` class.
+         * @description Removes the temporary hover highlight and its tooltip, if an element is highlighted.
+         * Selected elements keep their outline.
          */
         removeHighlight() {
             if (!this.highlightedElement) {
@@ -498,56 +1482,10 @@ if (!window.elementInspector) {
                 return;
             }
 
-            const selector = this.getElementSelector(this.highlightedElement);
-            this._log(`Removing hover highlight from: ${selector}.`);
-
-            // Only remove the `element-highlight` class if the element is not also selected.
-            // This prevents a selected element from losing its highlight when the mouse moves off it.
-            if (!this.selectedElements.has(selector)) {
-                this.highlightedElement.classList.remove('element-highlight');
-                this.removeTooltip(this.highlightedElement); // Remove tooltip only if it's a hover highlight
-            } else {
-                this._log(`Element '${selector}' is selected, preserving selected highlight.`);
-            }
-
+            this._log("Removing hover highlight.");
+            this.overlay.hideHover();
             this.highlightedElement = null; // Clear the reference to the hovered element.
-            this._log(`Hover highlight removed from: ${selector}.`);
-        }
-
-        /**
-         * @method addTooltip
-         * @description Creates a small informational tooltip displaying the element's CSS selector
-         * and appends it to the element itself.
-         * @param {HTMLElement} element - The DOM element to which the tooltip should be attached.
-         */
-        addTooltip(element) {
-            // Prevent adding multiple tooltips to the same element.
-            if (element.querySelector('.element-tooltip')) {
-                this._log("Tooltip already exists on element, skipping addition.");
-                return;
-            }
-
-            const tooltip = document.createElement('div');
-            tooltip.className = 'element-tooltip';
-            tooltip.textContent = this.getElementSelector(element); // Display the generated CSS selector
-            element.appendChild(tooltip); // Append the tooltip directly into the element.
-            this._log(`Tooltip added to element: ${tooltip.textContent}.`);
-        }
-
-        /**
-         * @method removeTooltip
-         * @description Removes the tooltip element from a given DOM element, if present.
-         * @param {HTMLElement} element - The element from which the tooltip should be removed.
-         */
-        removeTooltip(element) {
-            const tooltip = element.querySelector('.element-tooltip');
-            if (!tooltip) {
-                this._log("No tooltip found on element to remove.");
-                return;
-            }
-
-            this._log(`Removing tooltip: ${tooltip.textContent}.`);
-            tooltip.remove(); // Removes the tooltip DOM element.
+            this.updateHintOverlay();
         }
 
         /**
@@ -572,6 +1510,26 @@ if (!window.elementInspector) {
             // Use composedPath() to penetrate Shadow DOM
             const path = e.composedPath();
             const element = path && path.length > 0 ? path[0] : e.target;
+
+            // Alt+click captures every interactive element of the surrounding form, table or dialog
+            if (e.altKey && this.captureContainer(this.getCaptureContainer(element) || element)) {
+                this.sendSelectedElementsToExtension();
+                return;
+            }
+
+            this.toggleSelection(element);
+
+            // Always send the updated list of selected elements to the extension after a click.
+            this.sendSelectedElementsToExtension();
+        }
+
+        /**
+         * @method toggleSelection
+         * @description Selects an element, or deselects it when it is selected already. Used by clicks and
+         * by the Enter shortcut.
+         * @param {HTMLElement} element - The DOM element.
+         */
+        toggleSelection(element) {
             const selector = this.getElementSelector(element);
             this._log(`Clicked element selector: ${selector}.`);
 
@@ -579,58 +1537,842 @@ if (!window.elementInspector) {
                 // Element is already selected, so deselect it.
                 this._log(`Element '${selector}' is already selected; deselecting.`);
                 this.selectedElements.delete(selector); // Remove from internal selection Map.
-                element.classList.remove('element-selected-highlight'); // Remove the selected highlight.
+                this.overlay.removeSelected(element); // Remove the selected outline.
 
                 // If this element was also the one currently highlighted by hover, clear its hover state.
                 if (this.highlightedElement === element) {
-                    element.classList.remove('element-highlight');
-                    this.removeTooltip(element);
-                    this.highlightedElement = null;
+                    this.removeHighlight();
                 }
                 this._log(`Element '${selector}' unselected.`);
             } else {
                 // Element is not selected, so select it.
                 this._log(`Selecting new element: ${selector}.`);
-                // Check if element is dynamic (created within the last 2 seconds)
-                let isDynamic = false;
-                if (this.domNodeCreationTimes.has(element)) {
-                    const creationTime = this.domNodeCreationTimes.get(element);
-                    if (Date.now() - creationTime < 2000) {
-                        isDynamic = true;
+                this.selectElement(element);
+                this.selectionHistory.push([selector]);
+                this.removeHighlight(); // The selected outline replaces the hover highlight.
+
+                this._log(`New element selected: ${selector}.`);
+            }
+            this.updateHintOverlay();
+        }
+
+        /**
+         * @method handleKeydown
+         * @description Keyboard controls while inspecting: ↑ moves the highlight to the parent, ↓ to the first
+         * child, ← / → cycle through the siblings, Enter toggles the selection of the highlighted element,
+         * Backspace undoes the last selection and Esc stops inspection (in every frame, through the side panel).
+         * Navigation crosses shadow boundaries like the mouse does.
+         * @param {KeyboardEvent} e - The keyboard event object.
+         */
+        handleKeydown(e) {
+            if (!this.isActive || e.ctrlKey || e.metaKey || e.altKey) return;
+            const current = this.highlightedElement;
+
+            switch (e.key) {
+                case 'ArrowUp':
+                    this.moveHighlight(current ? this.getNavigableParent(current) : document.body);
+                    break;
+                case 'ArrowDown':
+                    this.moveHighlight(current ? this.getNavigableChildren(current)[0] : document.body);
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowRight': {
+                    if (!current) {
+                        this.moveHighlight(document.body);
+                        break;
+                    }
+                    const siblings = this.getNavigableChildren(this.getNavigableParent(current) || current);
+                    const index = siblings.indexOf(current);
+                    if (index === -1) break;
+                    const step = e.key === 'ArrowRight' ? 1 : -1;
+                    this.moveHighlight(siblings[(index + step + siblings.length) % siblings.length]);
+                    break;
+                }
+                case 'Enter':
+                    if (!current) return;
+                    this.toggleSelection(current);
+                    // Keep the keyboard position on the element that was just (de)selected
+                    this.highlightElement(current);
+                    this.sendSelectedElementsToExtension();
+                    break;
+                case 'Backspace':
+                    this.undoLastSelection();
+                    break;
+                case 'Escape':
+                    this._log("Escape pressed; stopping inspection.");
+                    this.stopInspection();
+                    // The side panel stops the other frames and resets its buttons
+                    chrome.runtime.sendMessage({ action: "inspectionStopped" });
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        /**
+         * @method moveHighlight
+         * @description Moves the hover highlight to another element (keyboard navigation).
+         * @param {HTMLElement|null} element - The new element; nothing happens when it is `null`.
+         */
+        moveHighlight(element) {
+            if (!element || element === this.highlightedElement) return;
+            this.removeHighlight();
+            this.highlightElement(element);
+            element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+
+        /**
+         * @method getNavigableParent
+         * @description Parent for keyboard navigation: the parent element, or the shadow host at the top of a
+         * shadow root. Navigation does not go above `<body>`.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {HTMLElement|null}
+         */
+        getNavigableParent(element) {
+            if (element === document.body) return null;
+            const parent = element.parentElement || (element.parentNode instanceof ShadowRoot ? element.parentNode.host : null);
+            return parent === document.documentElement ? null : parent;
+        }
+
+        /**
+         * @method getNavigableChildren
+         * @description Children for keyboard navigation: the shadow root's children for a shadow host that has
+         * any, otherwise the element's children. Non-rendered tags are skipped.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {HTMLElement[]}
+         */
+        getNavigableChildren(element) {
+            const shadowChildren = element.shadowRoot ? [...element.shadowRoot.children] : [];
+            const children = shadowChildren.length > 0 ? shadowChildren : [...element.children];
+            return children.filter(child => !['SCRIPT', 'STYLE', 'TEMPLATE', 'LINK', 'META'].includes(child.tagName));
+        }
+
+        /**
+         * @method undoLastSelection
+         * @description Deselects the elements added by the last selection that are still selected (all of a
+         * bulk capture at once) and reports the new selection.
+         */
+        undoLastSelection() {
+            while (this.selectionHistory.length > 0) {
+                const selectors = this.selectionHistory.pop().filter(selector => this.selectedElements.has(selector));
+                if (selectors.length === 0) continue; // Already deselected since; undo the one before
+
+                selectors.forEach(selector => {
+                    this.selectedElements.delete(selector);
+                    const element = this.querySelectorDeep(selector);
+                    if (element) {
+                        this.overlay.removeSelected(element);
+                        if (element === this.highlightedElement) {
+                            this.highlightElement(element); // Shows its tooltip again
+                        }
                     }
+                });
+                this._log(`Undid the selection of: ${selectors.join(', ')}.`);
+                this.sendSelectedElementsToExtension();
+                return;
+            }
+            this._log("Nothing to undo.");
+        }
+
+        /**
+         * @method updateHintOverlay
+         * @description Shows the shortcut hint with the highlighted element's path while inspecting, and hides
+         * it when no element of this frame is highlighted (e.g. the pointer is in another frame).
+         */
+        updateHintOverlay() {
+            if (this.isActive && this.highlightedElement) {
+                this.overlay.showHint(this.getElementPath(this.highlightedElement), chrome.i18n.getMessage("inspectorShortcuts") || INSPECTOR_SHORTCUTS);
+            } else {
+                this.overlay.hideHint();
+            }
+        }
+
+        /**
+         * @method getElementPath
+         * @description Short, readable path of an element for the hint: its last ancestors as `tag#id` or
+         * `tag.class`, with `>>>` where the path enters a shadow root.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {string}
+         */
+        getElementPath(element) {
+            const segments = [];
+            let node = element;
+            while (node && node !== document.documentElement && segments.length < HINT_PATH_DEPTH) {
+                const segment = node.tagName.toLowerCase() + (node.id ? `#${node.id}` : (node.classList[0] ? `.${node.classList[0]}` : ''));
+                if (node.parentElement) {
+                    segments.unshift(segment);
+                    node = node.parentElement;
+                } else if (node.parentNode instanceof ShadowRoot) {
+                    segments.unshift(`>>> ${segment}`);
+                    node = node.parentNode.host;
+                } else {
+                    segments.unshift(segment);
+                    node = null;
+                }
+            }
+            const path = segments.join(' › ').replace(/ › >>> /g, ' >>> ');
+            return node && node !== document.documentElement ? `… › ${path}` : path;
+        }
+
+        /**
+         * @method getCaptureContainer
+         * @description Finds the form, fieldset, table or dialog an element belongs to (the element itself
+         * included). The search continues past shadow roots into their hosts' trees.
+         * @param {HTMLElement} element - The clicked element.
+         * @returns {HTMLElement|null} - The closest container, or `null` if there is none.
+         */
+        getCaptureContainer(element) {
+            let node = element;
+            while (node) {
+                const container = node.closest(CONTAINER_SELECTOR);
+                if (container) return container;
+                const root = node.getRootNode();
+                node = root instanceof ShadowRoot ? root.host : null;
+            }
+            return null;
+        }
+
+        /**
+         * @method getInteractiveElements
+         * @description Lists the rendered interactive elements inside a root (shadow roots included), in
+         * document order within each tree. Nested iframes are left to their own inspector.
+         * @param {Document|HTMLElement} root - Where to search.
+         * @returns {HTMLElement[]}
+         */
+        getInteractiveElements(root) {
+            return this.querySelectorAllDeep(INTERACTIVE_SELECTOR, root)
+                .filter(element => element.getClientRects().length > 0);
+        }
+
+        /**
+         * @method describeContainer
+         * @description Builds the parent reference stored on elements captured through a container.
+         * @param {HTMLElement} container - The form, fieldset, table or dialog.
+         * @returns {{selector: string, name: string, tag: string}}
+         */
+        describeContainer(container) {
+            const caption = container.querySelector('legend, caption, h1, h2, h3, h4');
+            const name = container.getAttribute('aria-label')
+                || container.getAttribute('name')
+                || container.id
+                || (caption && caption.textContent.trim().substring(0, 50))
+                || container.tagName.toLowerCase();
+            return {
+                selector: this.getElementSelector(container),
+                name: name,
+                tag: container.tagName.toLowerCase()
+            };
+        }
+
+        /**
+         * @method getRowContext
+         * @description Finds the table row (`<tr>` or ARIA `row` of a table, grid or treegrid), list item or
+         * repeated item (siblings sharing tag and stable classes, e.g. product cards) an element belongs to,
+         * with the column headers and the key cell that tells the row apart from the others (e.g. an invoice
+         * number). List and repeated items only count when another item holds the same kind of element
+         * (an "Edit" button in every card); a table row always does.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {object|null} - `{ kind, row, container, rows, index, position, headers, column, key }` where
+         * `kind` is `table`, `list` or `repeated`, `rows` the data rows (the element's included), `index` the row's
+         * 1-based position among them, `position` among all rows of the container (header rows included),
+         * `column` the header of the element's cell and `key` `{ element, text, column }` (or `null` when no text
+         * identifies the row); `null` outside rows and in header rows. Found once per element while
+         * `describeElement` runs, since every tool's locators start from it.
+         */
+        getRowContext(element) {
+            if (this.rowContexts?.has(element)) return this.rowContexts.get(element);
+            const context = this.findRowContext(element);
+            this.rowContexts?.set(element, context);
+            return context;
+        }
+
+        /**
+         * @method findRowContext
+         * @description Walks up from the element to its row and builds the row context (see `getRowContext`).
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {object|null}
+         */
+        findRowContext(element) {
+            let node = element.parentElement;
+            for (let depth = 0; node && node !== document.body && depth < ROW_SEARCH_DEPTH; depth++, node = node.parentElement) {
+                const role = node.getAttribute('role');
+                if (node.localName === 'tr' || role === 'row') {
+                    return this.getTableRowContext(element, node);
                 }
 
-                // Also classify as dynamic if the ID or class looks auto-generated (lots of digits)
-                if (!isDynamic) {
-                    const id = element.id || "";
-                    const className = typeof element.className === 'string' ? element.className : "";
-                    if (/\d{4,}/.test(id) || /\d{4,}/.test(className)) {
-                        isDynamic = true;
+                const parent = node.parentElement;
+                if (!parent) break;
+                let kind = null;
+                let rows = [];
+                if (node.localName === 'li' || role === 'listitem') {
+                    kind = 'list';
+                    rows = Array.from(parent.children).filter(item => item.localName === node.localName && item.getAttribute('role') === role);
+                } else {
+                    const classes = this.getSelectorClasses(node).stable.sort().join(' ');
+                    if (classes) {
+                        kind = 'repeated';
+                        rows = Array.from(parent.children).filter(item => item.localName === node.localName
+                            && this.getSelectorClasses(item).stable.sort().join(' ') === classes);
+                        if (rows.length < MIN_REPEATED_ITEMS) rows = [];
                     }
                 }
+                if (rows.length > 1 && this.isRepeatedInRows(element, node, rows)) {
+                    return {
+                        kind,
+                        row: node,
+                        container: parent,
+                        rows,
+                        index: rows.indexOf(node) + 1,
+                        position: rows.indexOf(node) + 1,
+                        headers: [],
+                        column: null,
+                        key: this.findRowKey(element, node, rows, this.getItemKeyCandidates(node))
+                    };
+                }
+            }
+            return null;
+        }
+
+        /**
+         * @method getTableRowContext
+         * @description Builds the row context of an element inside a table or grid row (see `getRowContext`).
+         * Layout tables (`role="presentation"`) and header rows have none.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {HTMLElement} row - The `<tr>` or ARIA row holding it.
+         * @returns {object|null}
+         */
+        getTableRowContext(element, row) {
+            const container = row.parentElement && row.parentElement.closest(GRID_SELECTOR);
+            if (!container || !['table', 'grid', 'treegrid'].includes(AccName.getRole(container))) return null;
 
-                this.selectedElements.set(selector, {
-                    selector: selector,
-                    xpath: this.getElementXPath(element),
-                    name: this.getElementName(element),
-                    html: element.outerHTML,
-                    attributes: this.getElementAttributes(element),
-                    playwrightLocator: this.getPlaywrightLocator(element, isDynamic),
-                    seleniumLocator: this.getSeleniumLocator(element, isDynamic),
-                    isDynamic: isDynamic // Track this flag explicitly
+            const isHeaderRow = (candidate) => {
+                const cells = this.getRowCells(candidate);
+                return cells.length > 0 && cells.every(cell => AccName.getRole(cell) === 'columnheader');
+            };
+            const allRows = Array.from(container.querySelectorAll('tr, [role="row"]'))
+                .filter(candidate => candidate.parentElement.closest(GRID_SELECTOR) === container);
+            if (isHeaderRow(row)) return null;
+
+            // Header texts, and the header of each column position (colspans included)
+            const headerRow = allRows.find(isHeaderRow);
+            const headers = headerRow
+                ? this.getRowCells(headerRow).map(cell => this.normalizeText(cell.textContent).substring(0, XPATH_TEXT_LENGTH))
+                : [];
+            const columns = [];
+            if (headerRow) {
+                this.getRowCells(headerRow).forEach((cell, index) => {
+                    for (let span = 0; span < (cell.colSpan || 1); span++) columns.push(headers[index]);
                 });
+            }
+            const columnOf = (cell) => {
+                let position = 0;
+                for (const sibling of this.getRowCells(row)) {
+                    if (sibling === cell) break;
+                    position += sibling.colSpan || 1;
+                }
+                return columns[position] || null;
+            };
 
-                element.classList.add('element-selected-highlight'); // Apply the selected highlight.
-                // Ensure no hover highlight or tooltip remains on a newly selected element.
-                element.classList.remove('element-highlight');
-                this.removeTooltip(element);
-                this.highlightedElement = null; // Clear hovered element reference as it's now selected.
+            // Row headers first, then the columns whose header names a key, then the others, left to right
+            const cells = this.getRowCells(row).map(cell => ({ element: cell, column: columnOf(cell) }));
+            const ordered = [
+                ...cells.filter(cell => AccName.getRole(cell.element) === 'rowheader'),
+                ...cells.filter(cell => cell.column && KEY_COLUMN_PATTERN.test(cell.column)),
+                ...cells
+            ];
+            const rows = allRows.filter(candidate => !isHeaderRow(candidate));
+            const ownCell = cells.find(cell => cell.element.contains(element));
+            return {
+                kind: 'table',
+                row,
+                container,
+                rows,
+                index: rows.indexOf(row) + 1,
+                position: allRows.indexOf(row) + 1,
+                headers: headers.filter(Boolean),
+                column: ownCell ? ownCell.column : null,
+                key: this.findRowKey(element, row, rows, [...new Set(ordered)])
+            };
+        }
 
-                this._log(`New element selected: ${selector}.`);
+        /**
+         * @method getRowCells
+         * @description Lists the cells of a table or grid row (its direct children with a cell role).
+         * @param {HTMLElement} row - The `<tr>` or ARIA row.
+         * @returns {HTMLElement[]}
+         */
+        getRowCells(row) {
+            return Array.from(row.children).filter(child => child.matches(CELL_SELECTOR));
+        }
+
+        /**
+         * @method getItemKeyCandidates
+         * @description Lists the texts of a list or repeated item that may identify it: its headings, then its
+         * other text-only elements, in document order.
+         * @param {HTMLElement} item - The list or repeated item.
+         * @returns {Array<{element: HTMLElement, column: null}>}
+         */
+        getItemKeyCandidates(item) {
+            const headings = Array.from(item.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]'));
+            const leaves = Array.from(item.querySelectorAll('*')).filter(node => node.children.length === 0);
+            return [...new Set([...headings, ...leaves])].map(node => ({ element: node, column: null }));
+        }
+
+        /**
+         * @method findRowKey
+         * @description Picks the first candidate whose short text is found in no other row, the way
+         * Playwright's `filter({ hasText })` matches rows (substring of the row text). Candidates holding the
+         * element, or held by it, are skipped: the key must stay the same whatever the element shows.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {HTMLElement} row - The element's row.
+         * @param {HTMLElement[]} rows - All rows, the element's included.
+         * @param {Array<{element: HTMLElement, column: string|null}>} candidates - Cells or texts, best first.
+         * @returns {{element: HTMLElement, text: string, column: string|null}|null}
+         */
+        findRowKey(element, row, rows, candidates) {
+            const otherTexts = rows.filter(other => other !== row).map(other => this.normalizeText(other.textContent));
+            for (const candidate of candidates) {
+                if (candidate.element.contains(element) || element.contains(candidate.element)) continue;
+                const text = this.normalizeText(candidate.element.textContent);
+                if (text && text.length <= XPATH_TEXT_LENGTH && !otherTexts.some(other => other.includes(text))) {
+                    return { element: candidate.element, text, column: candidate.column };
+                }
             }
+            return null;
+        }
 
-            // Always send the updated list of selected elements to the extension after a click.
-            this.sendSelectedElementsToExtension();
+        /**
+         * @method isRepeatedInRows
+         * @description Tells whether another row holds an element of the same tag and accessible name (or
+         * text), i.e. whether the element can only be told apart by its row.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {HTMLElement} row - The element's row.
+         * @param {HTMLElement[]} rows - All rows.
+         * @returns {boolean}
+         */
+        isRepeatedInRows(element, row, rows) {
+            const signature = (node) => this.normalizeText(AccName.getAccessibleName(node) || node.textContent);
+            const own = signature(element);
+            return rows.some(other => other !== row
+                && Array.from(other.querySelectorAll(element.localName)).some(node => signature(node) === own));
+        }
+
+        /**
+         * @method normalizeText
+         * @description Collapses whitespace the way XPath's `normalize-space()` does.
+         * @param {string} text
+         * @returns {string}
+         */
+        normalizeText(text) {
+            return (text || '').replace(/\s+/g, ' ').trim();
+        }
+
+        /**
+         * @method describeRowContext
+         * @description Builds the row reference stored on a captured element (see `getRowContext`), so the
+         * generated code can target the row by its business key instead of its position.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {object|null} - `{ kind, index, rowCount, headers, column, key: { column, text } }`, or `null`
+         * outside rows.
+         */
+        describeRowContext(element) {
+            const context = this.getRowContext(element);
+            if (!context) return null;
+            return {
+                kind: context.kind,
+                index: context.index,
+                rowCount: context.rows.length,
+                headers: context.headers,
+                column: context.column,
+                key: context.key ? { column: context.key.column, text: context.key.text } : null
+            };
+        }
+
+        /**
+         * @method selectElement
+         * @description Adds an element to the selection and shows its selected highlight.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {object|null} [container=null] - Parent reference (`describeContainer`) for bulk captures.
+         */
+        selectElement(element, container = null) {
+            const details = this.describeElement(element, this.isDynamicElement(element));
+            if (container) {
+                details.container = container;
+            }
+            this.selectedElements.set(details.selector, details);
+            this.overlay.addSelected(element);
+        }
+
+        /**
+         * @method captureContainer
+         * @description Selects every interactive element inside a container, each with a reference to the
+         * container. When all of them are selected already, they are deselected instead (so Alt+click
+         * toggles like a plain click).
+         * @param {HTMLElement} container - The form, fieldset, table or dialog (or any element).
+         * @returns {boolean} - `false` when the container holds no interactive element.
+         */
+        captureContainer(container) {
+            // The container was only hover-highlighted (Alt held); it is not selected itself
+            this.removeHighlight();
+
+            const elements = this.getInteractiveElements(container).slice(0, MAX_BULK_CAPTURE);
+            if (elements.length === 0) {
+                this._log("Container has no interactive elements; selecting the clicked element only.");
+                return false;
+            }
+
+            const selectors = elements.map(element => this.getElementSelector(element));
+            if (selectors.every(selector => this.selectedElements.has(selector))) {
+                elements.forEach((element, index) => {
+                    this.selectedElements.delete(selectors[index]);
+                    this.overlay.removeSelected(element);
+                });
+                this._log(`Deselected the ${elements.length} element(s) of container ${container.tagName}.`);
+                return true;
+            }
+
+            const reference = this.describeContainer(container);
+            const added = [];
+            elements.forEach((element, index) => {
+                if (!this.selectedElements.has(selectors[index])) {
+                    this.selectElement(element, reference);
+                    added.push(selectors[index]);
+                }
+            });
+            this.selectionHistory.push(added);
+            this._log(`Captured ${elements.length} element(s) of container '${reference.selector}'.`);
+            return true;
+        }
+
+        /**
+         * @method captureViewport
+         * @description Selects every interactive element visible in this frame's viewport, for a quick smoke
+         * test. Elements inside a form, table or dialog get a reference to it, as with Alt+click.
+         * @returns {number} - The number of newly selected elements.
+         */
+        captureViewport() {
+            const inViewport = (element) => {
+                const rect = element.getBoundingClientRect();
+                return rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+            };
+            const elements = this.getInteractiveElements(document)
+                .filter(inViewport)
+                .filter(element => !this.selectedElements.has(this.getElementSelector(element)))
+                .slice(0, MAX_BULK_CAPTURE);
+
+            const references = new Map(); // One parent reference per container
+            elements.forEach(element => {
+                const container = this.getCaptureContainer(element);
+                if (container && !references.has(container)) {
+                    references.set(container, this.describeContainer(container));
+                }
+                this.selectElement(element, container ? references.get(container) : null);
+            });
+            this._log(`Captured ${elements.length} interactive element(s) in the viewport.`);
+            return elements.length;
+        }
+
+        /**
+         * @method isDynamicElement
+         * @description Tells whether an element should get dynamic waits: it was added to the DOM within the
+         * last 2 seconds, or its ID or class looks auto-generated (lots of digits).
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {boolean}
+         */
+        isDynamicElement(element) {
+            if (this.domNodeCreationTimes.has(element) && Date.now() - this.domNodeCreationTimes.get(element) < 2000) {
+                return true;
+            }
+            const id = element.id || "";
+            const className = typeof element.className === 'string' ? element.className : "";
+            return /\d{4,}/.test(id) || /\d{4,}/.test(className);
+        }
+
+        /**
+         * @method describeElement
+         * @description Collects everything the extension keeps about a captured element: selectors, locators
+         * for every tool, attributes and the page and frame it was captured in.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {boolean} isDynamic - Whether the locators should include dynamic waits.
+         * @returns {object} - The element details sent to the side panel.
+         */
+        describeElement(element, isDynamic) {
+            this.rowContexts = new Map();
+            try {
+                return this.collectElementDetails(element, isDynamic);
+            } finally {
+                this.rowContexts = null;
+            }
+        }
+
+        /**
+         * @method collectElementDetails
+         * @description Builds the details returned by `describeElement`.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {boolean} isDynamic - Whether the locators should include dynamic waits.
+         * @returns {object}
+         */
+        collectElementDetails(element, isDynamic) {
+            return {
+                selector: this.getElementSelector(element),
+                xpath: this.getElementXPath(element),
+                name: this.getElementName(element),
+                html: element.outerHTML,
+                attributes: this.getElementAttributes(element),
+                // Validation rules and current state, for boundary and negative test cases. Not `state`,
+                // which a recorded wait step spreading these details uses for the state it waits for.
+                constraints: this.getElementConstraints(element),
+                elementState: this.getElementState(element),
+                playwrightLocator: this.getPlaywrightLocator(element, isDynamic),
+                seleniumLocator: this.getSeleniumLocator(element, isDynamic),
+                cypressLocator: this.getCypressLocator(element, isDynamic),
+                strategies: this.getLocatorStrategies(element),
+                candidates: this.getLocatorCandidates(element),
+                // Table row or list item the element belongs to, with the key cell identifying it
+                rowContext: this.describeRowContext(element),
+                isDynamic: isDynamic, // Track this flag explicitly
+                // Page the element was captured on, used to group multi-page sessions.
+                // Child frames report their own URL; the side panel files their elements under the tab's page.
+                pageUrl: location.href,
+                pageTitle: document.title,
+                // Iframes leading to the element (empty in the top frame) and the URL of its frame.
+                frameChain: this.frameChain || [],
+                frameUrl: location.href
+            };
+        }
+
+        /**
+         * @method getLocatorStrategies
+         * @description Collects the values the semantic locator strategies are built from, so they can be
+         * checked against the live page later (`validateLocator`). CSS and XPath are the element's
+         * `selector` and `xpath`.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {object} - `{ testId, testIdAttribute, role, name, label, placeholder }`; missing values are `null`.
+         */
+        getLocatorStrategies(element) {
+            const role = this.getAriaRole(element);
+            const testId = this.getTestIdAttribute(element);
+            return {
+                testId: testId ? testId.value : null,
+                testIdAttribute: testId ? testId.name : null,
+                role: role,
+                name: role ? this.getRoleName(element) : null,
+                label: this.getLabelText(element),
+                placeholder: element.getAttribute('placeholder')
+            };
+        }
+
+        /**
+         * @method getLocatorCandidates
+         * @description Lists, for every tool, each locator that can target the element on its own (no fallback
+         * chain) with its resilience score, so the user can pin one of them in the side panel.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {{playwright: object[], selenium: object[], cypress: object[]}} - `{ strategy, locator, score }`
+         * entries per tool, best score first.
+         */
+        getLocatorCandidates(element) {
+            const dialect = SELENIUM_DIALECTS[this.targetLanguage] || SELENIUM_DIALECTS.java;
+            const seleniumScope = this.getSeleniumScope(element, dialect);
+            const cypressScope = this.getCypressScope(element, '');
+            const tag = element.tagName.toLowerCase();
+
+            return {
+                playwright: this.getPlaywrightCandidates(element),
+                selenium: this.getSeleniumCandidates(element, dialect).map(({ strategy, by, score }) => ({
+                    strategy,
+                    locator: `${seleniumScope.prefix}${dialect.find(by, seleniumScope.ctx)}`,
+                    score
+                })),
+                cypress: this.getCypressCandidates(element).map(({ strategy, selector, text, score }) => ({
+                    strategy,
+                    locator: text !== undefined ? cypressContains(cypressScope, tag, text) : cypressQuery(cypressScope, selector),
+                    score
+                }))
+            };
+        }
+
+        /**
+         * @method watchLocators
+         * @description Validates the locators of the given captured elements now and again whenever the DOM
+         * changes (debounced), sending the results to the side panel.
+         * @param {object[]} targets - Stored elements of this frame (`selector`, `xpath`, `strategies`).
+         */
+        watchLocators(targets) {
+            this.validationTargets = targets;
+            this.lastValidation = null;
+            this.sendLocatorValidation();
+
+            if (!this.validationObserver) {
+                this.validationObserver = new MutationObserver(() => {
+                    clearTimeout(this.validationTimer);
+                    this.validationTimer = setTimeout(this.sendLocatorValidation, LOCATOR_VALIDATION_DEBOUNCE_MS);
+                });
+                this.validationObserver.observe(document.documentElement, {
+                    childList: true,
+                    subtree: true,
+                    characterData: true,
+                    attributes: true,
+                    attributeFilter: [...new Set([...LOCATOR_ATTRIBUTES, ...this.locatorPolicy.testIdAttributes])]
+                });
+                this._log("Watching DOM changes for locator validation.");
+            }
+        }
+
+        /**
+         * @method stopWatchingLocators
+         * @description Stops re-validating locators on DOM changes.
+         */
+        stopWatchingLocators() {
+            this.validationTargets = [];
+            this.lastValidation = null;
+            clearTimeout(this.validationTimer);
+            if (this.validationObserver) {
+                this.validationObserver.disconnect();
+                this.validationObserver = null;
+                this._log("Stopped watching DOM changes for locator validation.");
+            }
+        }
+
+        /**
+         * @method sendLocatorValidation
+         * @description Validates the watched locators and sends the results to the side panel, unless they
+         * are the same as the last ones sent.
+         */
+        sendLocatorValidation() {
+            if (this.validationTargets.length === 0) return;
+            const index = this.createLocatorIndex();
+            const results = this.validationTargets.map(target => this.validateLocator(target, index));
+            const serialized = JSON.stringify(results);
+            if (serialized === this.lastValidation) return;
+            this.lastValidation = serialized;
+
+            chrome.runtime.sendMessage({ action: "locatorValidation", frameChain: this.frameChain || [], results })
+                .catch(error => this._log("WARN: Could not send locator validation:", error));
+        }
+
+        /**
+         * @method createLocatorIndex
+         * @description Collects, on demand, the elements `validateLocator` searches during one validation
+         * pass: the page (with its shadow roots) is walked once per kind of candidate, whatever the number of
+         * locators, and each accessible name or label is computed at most once.
+         * @returns {object} - `{ all, withRole, labelled, nameOf, labelOf }`.
+         */
+        createLocatorIndex() {
+            let all = null;
+            let labelled = null;
+            const getAll = () => (all = all || this.querySelectorAllDeep('*'));
+            const roles = new Map();
+            const names = new Map();
+            const labels = new Map();
+            const memo = (cache, key, compute) => {
+                if (!cache.has(key)) cache.set(key, compute());
+                return cache.get(key);
+            };
+            return {
+                all: getAll,
+                withRole: (role) => memo(roles, role, () => getAll().filter(el => this.getAriaRole(el) === role)),
+                labelled: () => (labelled = labelled || this.querySelectorAllDeep(LABELLED_SELECTOR)),
+                nameOf: (el) => memo(names, el, () => this.getRoleName(el)),
+                labelOf: (el) => memo(labels, el, () => this.getLabelText(el))
+            };
+        }
+
+        /**
+         * @method validateLocator
+         * @description Counts the elements each stored locator strategy of a captured element matches on the
+         * live page. Role, label and placeholder match like Playwright's `getByRole`/`getByLabel`/
+         * `getByPlaceholder` (case-insensitive substring); the test id must match exactly. Accessible names
+         * and labels are only computed for the elements that have the role or can be labelled.
+         * @param {object} target - A stored element (`selector`, `xpath`, `strategies`).
+         * @param {object} [index] - The pass's `createLocatorIndex`, shared by the locators checked together.
+         * @returns {object} - `{ selector, counts, strategy, count, status }`. `counts` has the matches per
+         * strategy; `strategy` is the preferred strategy (what the Playwright locator leads with); `count` is
+         * the worst of its count and the CSS selector's count (what Selenium and Cypress use), and `status`
+         * (`unique`, `multiple` or `not-found`) describes that count.
+         */
+        validateLocator(target, index = this.createLocatorIndex()) {
+            const strategies = target.strategies || {};
+            const contains = (value, needle) => !!value && value.replace(/\s+/g, ' ').toLowerCase().includes(needle.replace(/\s+/g, ' ').toLowerCase());
+
+            const counts = {};
+            if (strategies.testId) {
+                const attribute = strategies.testIdAttribute || 'data-testid';
+                counts.testId = index.all().filter(el => el.getAttribute(attribute) === strategies.testId).length;
+            }
+            if (strategies.role && strategies.name) {
+                counts.role = index.withRole(strategies.role).filter(el => contains(index.nameOf(el), strategies.name)).length;
+            }
+            if (strategies.label) {
+                counts.label = index.labelled().filter(el => contains(index.labelOf(el), strategies.label)).length;
+            }
+            if (strategies.placeholder) {
+                counts.placeholder = index.all().filter(el => contains(el.getAttribute('placeholder'), strategies.placeholder)).length;
+            }
+            if (target.selector) {
+                counts.css = this.countSelectorMatches(target.selector);
+            }
+            if (target.xpath) {
+                counts.xpath = this.countXPathMatches(target.xpath);
+            }
+
+            const strategy = LOCATOR_STRATEGIES.find(name => counts[name] !== undefined) || null;
+            const checked = [strategy, 'css'].filter(name => counts[name] !== undefined).map(name => counts[name]);
+            // The XPath is only a fallback: its count never decides the status or the count shown
+            const count = checked.length === 0 || checked.includes(0) ? 0 : Math.max(...checked);
+            let status = 'unique';
+            if (count === 0) {
+                status = 'not-found';
+            } else if (count > 1) {
+                status = 'multiple';
+            }
+            this._log(`Locator validation for '${target.selector}': ${status}.`, counts);
+            return { selector: target.selector, counts, strategy, count, status };
+        }
+
+        /**
+         * @method countSelectorMatches
+         * @description Counts the elements matched by a selector produced by `getElementSelector`. For a
+         * shadow selector chain, the host segments are resolved first and the last segment is counted
+         * within the innermost shadow root.
+         * @param {string} selector - The CSS selector or shadow selector chain.
+         * @returns {number} - The number of matches (0 for invalid selectors or missing hosts).
+         */
+        countSelectorMatches(selector) {
+            const segments = selector.split(SHADOW_SEPARATOR);
+            const last = segments.pop();
+            const root = segments.length > 0 ? this.querySelectorDeep(segments.join(SHADOW_SEPARATOR))?.shadowRoot : document;
+            if (!root) return 0;
+            try {
+                return root.querySelectorAll(last).length;
+            } catch (e) {
+                this._log(`ERROR: Invalid selector '${selector}':`, e);
+                return 0;
+            }
+        }
+
+        /**
+         * @method countXPathMatches
+         * @description Counts the nodes matched by an XPath produced by `getElementXPath`. Segments of a
+         * ` >>> ` chain are evaluated in the shadow root of the host found by the previous segment.
+         * @param {string} xpath - The XPath expression or shadow XPath chain.
+         * @returns {number} - The number of matches (0 for invalid expressions or missing hosts).
+         */
+        countXPathMatches(xpath) {
+            const segments = xpath.split(SHADOW_SEPARATOR);
+            let context = document;
+            try {
+                for (let i = 0; i < segments.length - 1; i++) {
+                    const host = document.evaluate(segments[i], context, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+                    context = host && host.shadowRoot;
+                    if (!context) return 0;
+                }
+                return document.evaluate(segments[segments.length - 1], context, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+            } catch (e) {
+                this._log(`ERROR: Invalid XPath '${xpath}':`, e);
+                return 0;
+            }
         }
 
         /**
@@ -644,7 +2386,7 @@ if (!window.elementInspector) {
             this._log("Collecting element attributes.");
             const attrs = {};
             // Define a list of attributes deemed most useful for identification/context.
-            const commonAttributes = ['id', 'class', 'name', 'data-testid', 'aria-label', 'role', 'type', 'value', 'placeholder', 'alt', 'src', 'href'];
+            const commonAttributes = [...new Set(['id', 'class', 'name', 'data-testid', 'data-cy', 'data-test', ...this.locatorPolicy.testIdAttributes, 'aria-label', 'role', 'type', 'value', 'placeholder', 'alt', 'src', 'href'])];
             commonAttributes.forEach(attr => {
                 if (element.hasAttribute(attr)) {
                     attrs[attr] = element.getAttribute(attr);
@@ -655,6 +2397,79 @@ if (!window.elementInspector) {
             return attrs;
         }
 
+        /**
+         * @method getElementConstraints
+         * @description Collects the validation rules of a form control, so the prompts can derive boundary
+         * and invalid-input cases: `required` (or `aria-required`), `pattern`, `min` / `max` / `step`,
+         * `minLength` / `maxLength`, `accept`, `multiple`, the `<select>` options, the `<datalist>` suggestions
+         * and the validation messages tied to it (`aria-errormessage`, `aria-describedby` and the browser's
+         * current `validationMessage`).
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {object|null} - Only the constraints the element has, or `null` when it has none.
+         */
+        getElementConstraints(element) {
+            const constraints = {};
+            if (element.hasAttribute('required') || element.getAttribute('aria-required') === 'true') {
+                constraints.required = true;
+            }
+            ['pattern', 'min', 'max', 'step', 'accept'].forEach(attr => {
+                if (element.hasAttribute(attr)) constraints[attr] = element.getAttribute(attr);
+            });
+            [['minlength', 'minLength'], ['maxlength', 'maxLength']].forEach(([attr, key]) => {
+                const length = parseInt(element.getAttribute(attr), 10);
+                if (length >= 0) constraints[key] = length;
+            });
+            if (element.hasAttribute('multiple')) constraints.multiple = true;
+
+            if (element.localName === 'select') {
+                constraints.options = Array.from(element.options).slice(0, MAX_CONSTRAINT_OPTIONS).map(option => {
+                    const entry = { value: option.value, text: this.normalizeText(option.text) };
+                    if (option.parentElement.localName === 'optgroup') entry.group = option.parentElement.label;
+                    if (option.selected) entry.selected = true;
+                    if (option.disabled) entry.disabled = true;
+                    return entry;
+                });
+            }
+            if (element.list) {
+                constraints.datalist = Array.from(element.list.options).slice(0, MAX_CONSTRAINT_OPTIONS).map(option => option.value);
+            }
+
+            const root = element.getRootNode();
+            const messages = ['aria-errormessage', 'aria-describedby']
+                .flatMap(attr => (element.getAttribute(attr) || '').split(/\s+/).filter(Boolean))
+                .map(id => root.getElementById(id))
+                .filter(Boolean)
+                .map(node => this.normalizeText(node.textContent));
+            if (element.validationMessage) messages.push(element.validationMessage);
+            const uniqueMessages = [...new Set(messages.filter(Boolean))];
+            if (uniqueMessages.length > 0) constraints.validationMessages = uniqueMessages;
+
+            return Object.keys(constraints).length > 0 ? constraints : null;
+        }
+
+        /**
+         * @method getElementState
+         * @description Collects the state of an element at capture time: `disabled` (its own, a disabled
+         * fieldset's or `aria-disabled`), `readonly`, `checked` for checkboxes, radios and ARIA checkable
+         * widgets, and `invalid` (`aria-invalid`).
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {object|null} - Only the states that apply, or `null` when none does.
+         */
+        getElementState(element) {
+            const state = {};
+            if (element.matches(':disabled') || element.getAttribute('aria-disabled') === 'true') state.disabled = true;
+            if (element.readOnly || element.getAttribute('aria-readonly') === 'true') state.readonly = true;
+            if (element.localName === 'input' && ['checkbox', 'radio'].includes(element.type)) {
+                state.checked = element.checked;
+            } else if (element.hasAttribute('aria-checked')) {
+                const checked = element.getAttribute('aria-checked');
+                state.checked = checked === 'mixed' ? 'mixed' : checked === 'true';
+            }
+            const invalid = element.getAttribute('aria-invalid');
+            if (invalid && invalid !== 'false') state.invalid = true;
+            return Object.keys(state).length > 0 ? state : null;
+        }
+
         /**
          * @method sendSelectedElementsToExtension
          * @description Converts the internal Map of selected element details into a plain array
@@ -668,6 +2483,8 @@ if (!window.elementInspector) {
             this._log(`Sending ${elements.length} selected element(s) to extension.`, elements);
             chrome.runtime.sendMessage({
                 action: "updateSelectedElements",
+                pageUrl: location.href,
+                frameChain: this.frameChain || [],
                 elements: elements
             });
             this._log("Selected elements data sent to extension.");
@@ -681,22 +2498,25 @@ if (!window.elementInspector) {
          */
         removeSpecificHighlight(selector) {
             this._log(`Attempting to remove specific highlight for selector: ${selector}.`);
-            const element = document.querySelector(selector);
+            const element = this.querySelectorDeep(selector);
 
             if (!element) {
-                this._log(`Element not found in DOM with selector '${selector}', cannot remove highlight.`);
+                // The element may belong to an earlier route of a single-page app; still drop it
+                // from the selection so the next update does not re-add it.
+                this._log(`Element not found in DOM with selector '${selector}', removing it from selection only.`);
+                if (this.selectedElements.delete(selector)) {
+                    this.sendSelectedElementsToExtension();
+                }
                 return;
             }
 
             this._log(`Found element '${selector}' to remove highlight from.`);
-            // Remove all relevant highlight classes.
-            element.classList.remove('element-highlight', 'element-selected-highlight');
-            this.removeTooltip(element); // Ensure tooltip is removed.
+            this.overlay.removeSelected(element); // Remove its selected outline.
 
-            // If the element being removed was the one currently hovered, clear that reference.
+            // If the element being removed was the one currently hovered, clear its hover highlight too.
             if (this.highlightedElement === element) {
-                this._log("Removed element was the currently hovered element; clearing reference.");
-                this.highlightedElement = null;
+                this._log("Removed element was the currently hovered element; clearing its highlight.");
+                this.removeHighlight();
             }
 
             this.selectedElements.delete(selector); // Remove from the internal selection Map.
@@ -706,63 +2526,138 @@ if (!window.elementInspector) {
             this.sendSelectedElementsToExtension();
         }
 
+        /**
+         * @method reorderSelectedElements
+         * @description Rebuilds the selection in the order chosen in the side panel (the intended interaction
+         * order), so later reports keep it. Selected elements missing from `selectors` keep their relative
+         * order after the listed ones.
+         * @param {string[]} selectors - Selectors of this frame's selected elements, in their new order.
+         */
+        reorderSelectedElements(selectors) {
+            const reordered = new Map();
+            selectors.forEach(selector => {
+                if (this.selectedElements.has(selector)) {
+                    reordered.set(selector, this.selectedElements.get(selector));
+                }
+            });
+            this.selectedElements.forEach((details, selector) => {
+                if (!reordered.has(selector)) {
+                    reordered.set(selector, details);
+                }
+            });
+            this.selectedElements = reordered;
+            this._log(`Selection reordered: ${Array.from(reordered.keys()).join(', ')}.`);
+        }
+
         /**
          * @method getElementSelector
-         * @description Generates a robust and unique CSS selector for a given DOM element.
-         * It attempts various strategies in order of reliability: ID, unique classes, common attributes,
-         * and finally a path-based approach using tag names and `nth-of-type` up the DOM tree.
+         * @description Generates a selector that resolves the element from the document, even when it
+         * lives inside (nested) shadow roots. For a shadow element the result is a chain of per-root
+         * selectors joined with ` >>> `: each shadow host's selector, unique within the root that
+         * contains it, followed by the element's selector within its own shadow root.
+         * Use `querySelectorDeep` to resolve it.
          * @param {HTMLElement} element - The DOM element for which to generate a selector.
-         * @returns {string} - The most specific and unique CSS selector found for the element.
+         * @returns {string} - The CSS selector (or shadow selector chain) for the element.
          */
         getElementSelector(element) {
+            const hosts = this.getShadowHostChain(element);
+            if (hosts.length === 0) {
+                return this.getLocalSelector(element);
+            }
+            const chain = [...hosts, element].map(el => this.getLocalSelector(el)).join(SHADOW_SEPARATOR);
+            this._log(`Generated shadow selector chain: ${chain}.`);
+            return chain;
+        }
+
+        /**
+         * @method getLocalSelector
+         * @description Generates a robust and unique CSS selector for a given DOM element within its own
+         * root (the document, or the shadow root that contains it).
+         * It attempts various strategies in order of reliability: ID, unique stable classes, test id and common
+         * attributes, combinations of them, utility classes, and finally a path-based approach using tag names
+         * and `nth-of-type` up the DOM tree. Generated ids and classes (`classifyToken`) and those matching the
+         * locator policy's blocklists are never used; every identifier is escaped with `CSS.escape`.
+         * @param {HTMLElement} element - The DOM element for which to generate a selector.
+         * @returns {string} - The most specific and unique CSS selector found for the element.
+         */
+        getLocalSelector(element) {
             this._log(`Generating selector for element: ${element.tagName.toLowerCase()}.`);
+            const tag = element.tagName.toLowerCase();
 
             // 1. Prioritize unique ID.
-            if (element.id) {
-                const selector = `#${element.id}`;
+            if (element.id && this.isUsableToken('id', element.id)) {
+                const selector = `#${CSS.escape(element.id)}`;
                 if (this.isUniqueSelector(selector, element)) {
                     this._log(`Generated selector (ID): ${selector}.`);
                     return selector;
                 }
             }
 
-            // 2. Try unique classes. Iterate through individual classes first, then try combined.
-            if (element.className && typeof element.className === 'string' && element.className.trim() !== '') {
-                const classNames = element.className.trim().split(/\s+/).filter(Boolean);
-                // Try each class individually for uniqueness
-                for (const cls of classNames) {
-                    const selector = `.${cls}`;
-                    if (this.isUniqueSelector(selector, element)) {
-                        this._log(`Generated selector (Single Class): ${selector}.`);
-                        return selector;
-                    }
+            // 2. Try unique stable classes. Iterate through individual classes first, then try combined.
+            const { stable: stableClasses, utility: utilityClasses } = this.getSelectorClasses(element);
+            for (const cls of stableClasses) {
+                const selector = `.${CSS.escape(cls)}`;
+                if (this.isUniqueSelector(selector, element)) {
+                    this._log(`Generated selector (Single Class): ${selector}.`);
+                    return selector;
                 }
-                // If no single class is unique, try the combination of all classes
-                if (classNames.length > 0) {
-                    const combinedClassSelector = `.${classNames.join('.')}`;
-                    if (this.isUniqueSelector(combinedClassSelector, element)) {
-                        this._log(`Generated selector (Combined Classes): ${combinedClassSelector}.`);
-                        return combinedClassSelector;
-                    }
+            }
+            if (stableClasses.length > 1) {
+                const combinedClassSelector = stableClasses.map(cls => `.${CSS.escape(cls)}`).join('');
+                if (this.isUniqueSelector(combinedClassSelector, element)) {
+                    this._log(`Generated selector (Combined Classes): ${combinedClassSelector}.`);
+                    return combinedClassSelector;
                 }
             }
 
-            // 3. Try common and useful attributes like 'name', 'data-testid', 'role', 'type', 'aria-label'.
+            // 3. Try the test id attributes and common attributes like 'name', 'role', 'type', 'aria-label'.
             // These are often more stable than general classes.
-            let selector = element.tagName.toLowerCase();
-            const commonAttributes = ['name', 'data-testid', 'role', 'type', 'aria-label', 'value', 'placeholder'];
-            for (const attr of commonAttributes) {
-                const attrValue = element.getAttribute(attr);
-                if (attrValue) {
-                    const attrSelector = `${selector}[${attr}="${attrValue}"]`;
-                    if (this.isUniqueSelector(attrSelector, element)) {
-                        this._log(`Generated selector (Attribute): ${attrSelector}.`);
-                        return attrSelector;
+            const attributes = this.getSelectorAttributes(element);
+            for (const attr of attributes) {
+                const attrSelector = `${tag}${attr}`;
+                if (this.isUniqueSelector(attrSelector, element)) {
+                    this._log(`Generated selector (Attribute): ${attrSelector}.`);
+                    return attrSelector;
+                }
+            }
+
+            // 4. Combine stable parts when none is unique alone: two attributes, then a stable class and an attribute.
+            for (let i = 0; i < attributes.length; i++) {
+                for (let j = i + 1; j < attributes.length; j++) {
+                    const pairSelector = `${tag}${attributes[i]}${attributes[j]}`;
+                    if (this.isUniqueSelector(pairSelector, element)) {
+                        this._log(`Generated selector (Attribute Pair): ${pairSelector}.`);
+                        return pairSelector;
+                    }
+                }
+            }
+            for (const cls of stableClasses) {
+                for (const attr of attributes) {
+                    const classAttrSelector = `${tag}.${CSS.escape(cls)}${attr}`;
+                    if (this.isUniqueSelector(classAttrSelector, element)) {
+                        this._log(`Generated selector (Class + Attribute): ${classAttrSelector}.`);
+                        return classAttrSelector;
                     }
                 }
             }
 
-            // 4. Fallback to generating a path-based selector using tag names and nth-of-type.
+            // 5. Utility classes (Tailwind, Bootstrap helpers), alone, then with every usable class.
+            for (const cls of utilityClasses) {
+                const selector = `${tag}.${CSS.escape(cls)}`;
+                if (this.isUniqueSelector(selector, element)) {
+                    this._log(`Generated selector (Utility Class): ${selector}.`);
+                    return selector;
+                }
+            }
+            if (utilityClasses.length > 0) {
+                const allClassSelector = tag + [...stableClasses, ...utilityClasses].map(cls => `.${CSS.escape(cls)}`).join('');
+                if (this.isUniqueSelector(allClassSelector, element)) {
+                    this._log(`Generated selector (All Classes): ${allClassSelector}.`);
+                    return allClassSelector;
+                }
+            }
+
+            // 6. Fallback to generating a path-based selector using tag names and nth-of-type.
             // This builds a selector relative to its parent, then potentially its grandparent, etc.,
             // until a unique path is formed or a reasonable depth limit is reached.
             let currentSelector = element.tagName.toLowerCase();
@@ -819,14 +2714,14 @@ if (!window.elementInspector) {
          * @method isUniqueSelector
          * @private
          * @description Checks if a given CSS selector uniquely identifies the specified DOM element
-         * within the current document.
+         * within the element's root: the document, or the shadow root that contains it.
          * @param {string} selector - The CSS selector string to test.
          * @param {HTMLElement} element - The specific DOM element that the selector is expected to match uniquely.
          * @returns {boolean} - `true` if the selector matches only one element and that element is the target element; `false` otherwise.
          */
         isUniqueSelector(selector, element) {
             try {
-                const elements = document.querySelectorAll(selector);
+                const elements = element.getRootNode().querySelectorAll(selector);
                 const isUnique = elements.length === 1 && elements[0] === element;
                 this._log(`Selector uniqueness check for '${selector}': Result=${isUnique}.`);
                 return isUnique;
@@ -837,163 +2732,531 @@ if (!window.elementInspector) {
             }
         }
 
+        /**
+         * @method getShadowHostChain
+         * @description Lists the shadow hosts enclosing an element, outermost first. Empty for elements
+         * in the light DOM. Closed shadow roots are not reachable (events retarget to their host),
+         * so only open roots ever appear here.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {HTMLElement[]} - The shadow hosts from the document down to the element's own root.
+         */
+        getShadowHostChain(element) {
+            const hosts = [];
+            let root = element.getRootNode();
+            while (root instanceof ShadowRoot) {
+                hosts.unshift(root.host);
+                root = root.host.getRootNode();
+            }
+            return hosts;
+        }
+
+        /**
+         * @method querySelectorDeep
+         * @description Resolves a selector produced by `getElementSelector`, descending into the shadow
+         * root of each host segment of a ` >>> ` chain. Plain selectors behave like `document.querySelector`.
+         * @param {string} selector - The CSS selector or shadow selector chain.
+         * @returns {HTMLElement|null} - The matching element, or `null` if a segment does not resolve.
+         */
+        querySelectorDeep(selector) {
+            const segments = selector.split(SHADOW_SEPARATOR);
+            let root = document;
+            let element = null;
+            try {
+                for (let i = 0; i < segments.length; i++) {
+                    element = root.querySelector(segments[i]);
+                    if (!element) return null;
+                    if (i < segments.length - 1) {
+                        root = element.shadowRoot;
+                        if (!root) return null;
+                    }
+                }
+            } catch (e) {
+                this._log(`ERROR: Could not resolve selector '${selector}':`, e);
+                return null;
+            }
+            return element;
+        }
+
+        /**
+         * @method querySelectorAllDeep
+         * @description Like `querySelectorAll`, but also searches every open shadow root below `root`.
+         * Used for cleanup, where highlight classes may have been added to shadow elements.
+         * @param {string} selector - The CSS selector to match.
+         * @param {Document|ShadowRoot} [root=document] - Where to start searching.
+         * @returns {HTMLElement[]} - All matching elements.
+         */
+        querySelectorAllDeep(selector, root = document) {
+            const matches = [...root.querySelectorAll(selector)];
+            root.querySelectorAll('*').forEach(el => {
+                if (el.shadowRoot) {
+                    matches.push(...this.querySelectorAllDeep(selector, el.shadowRoot));
+                }
+            });
+            return matches;
+        }
+
         /**
          * @method getElementXPath
-         * @description Generates an XPath expression for a given DOM element.
-         * Prioritizes ID for direct access, then falls back to a path-based XPath.
+         * @description Generates an XPath expression for a given DOM element: the best of `getXPathCandidates`
+         * (a relative expression checked to match only the element), or the positional path when none is unique.
+         * XPath does not cross shadow boundaries, so inside a shadow root the expression is relative to
+         * that root (leading `.`) and chained after the host's XPath with ` >>> `, like the CSS selector.
          * @param {HTMLElement} element - The DOM element for which to generate an XPath.
          * @returns {string|null} - The generated XPath string, or `null` if no XPath can be generated.
          */
         getElementXPath(element) {
             this._log("Generating XPath for element.");
 
-            // If the element has a unique ID, prefer a direct XPath using the ID.
-            if (element.id) {
-                const xpath = `//*[@id="${element.id}"]`;
-                this._log(`Generated XPath (ID): ${xpath}.`);
-                return xpath;
+            const root = element.getRootNode();
+            const prefix = root instanceof ShadowRoot ? `${this.getElementXPath(root.host)}${SHADOW_SEPARATOR}` : '';
+            const best = this.getXPathCandidates(element)[0];
+            const xpath = best ? `${prefix}${best.xpath}` : null;
+            this._log(`Generated XPath (${best ? best.kind : 'none'}): ${xpath}.`);
+            return xpath;
+        }
+
+        /**
+         * @method getXPathCandidates
+         * @description Lists the XPaths that match only the element within its root (checked with
+         * `document.evaluate`), most robust first: test id and id, attribute predicates, stable class, own text
+         * (`normalize-space(text())`, then `contains()` for long texts), attribute pairs, the element's table row
+         * or list item selected by its key cell (`//tr[td[normalize-space(.)="INV-1042"]]//button`), anchors (the
+         * element's label or the short text just before it, followed with `following::` / `following-sibling::`), then
+         * scoping inside the closest identifiable ancestor, and finally the positional path. Strategies turned
+         * off in the locator policy (text, label) are skipped. Inside a shadow root the expressions start with `.`.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {Array<{kind: string, xpath: string}>} - Unique XPaths; the positional path is always last.
+         */
+        getXPathCandidates(element) {
+            const root = element.getRootNode();
+            const start = root instanceof ShadowRoot ? './/' : '//';
+            const step = this.getXPathStep(element);
+            const candidates = [];
+            const tried = new Set();
+            const consider = (kind, xpath) => {
+                if (tried.has(xpath)) return;
+                tried.add(xpath);
+                if (this.isUniqueXPath(xpath, element)) candidates.push({ kind, xpath });
+            };
+
+            // 1. Test id, then id
+            const testId = this.isStrategyEnabled('testid') ? this.getTestIdAttribute(element) : null;
+            if (testId) {
+                consider('testid', `${start}${step}[@${testId.name}=${xpathLiteral(testId.value)}]`);
+            }
+            if (element.id && this.isUsableToken('id', element.id)) {
+                consider('id', `${start}*[@id=${xpathLiteral(element.id)}]`);
+            }
+
+            // 2. Attribute predicates, one attribute, then the stable classes
+            const predicates = this.getStableAttributes(element).map(({ name, value }) => `@${name}=${xpathLiteral(value)}`);
+            predicates.forEach(predicate => consider('attribute', `${start}${step}[${predicate}]`));
+            this.getSelectorClasses(element).stable.forEach(cls => {
+                consider('class', `${start}${step}[contains(concat(' ', normalize-space(@class), ' '), ${xpathLiteral(` ${cls} `)})]`);
+            });
+
+            // 3. Own text: the first text node, the whole text, or the beginning of a long text
+            const textPredicates = this.isStrategyEnabled('text') ? this.getXPathTextPredicates(element) : [];
+            textPredicates.forEach(predicate => consider('text', `${start}${step}[${predicate}]`));
+
+            // 4. Two attributes, or an attribute and the text
+            for (let i = 0; i < predicates.length; i++) {
+                for (let j = i + 1; j < predicates.length; j++) {
+                    consider('attributes', `${start}${step}[${predicates[i]} and ${predicates[j]}]`);
+                }
+                textPredicates.forEach(predicate => consider('attributes', `${start}${step}[${predicates[i]} and ${predicate}]`));
+            }
+
+            // 5. Inside the table row or list item identified by its key cell
+            const rowContext = this.getRowContext(element);
+            const rowScope = rowContext ? this.getXPathRowScope(rowContext) : null;
+            if (rowScope) {
+                const testIdPredicate = testId ? [`@${testId.name}=${xpathLiteral(testId.value)}`] : [];
+                const inner = [...[...testIdPredicate, ...predicates, ...textPredicates].map(predicate => `${step}[${predicate}]`), step]
+                    .find(option => {
+                        const matches = this.evaluateXPath(`.//${option}`, rowContext.row);
+                        return matches.length === 1 && matches[0] === element;
+                    });
+                if (inner) consider('row', `${start}${rowScope}//${inner}`);
+            }
+
+            // 6. Anchors: the element's label, or the short text right before it
+            this.getXPathAnchors(element).forEach(anchor => {
+                consider('anchor', `${start}${anchor.xpath}/${anchor.axis}::${step}[1]`);
+                predicates.forEach(predicate => consider('anchor', `${start}${anchor.xpath}/${anchor.axis}::${step}[${predicate}][1]`));
+            });
+
+            // 7. Scoped inside the closest identifiable ancestor
+            const scope = this.getXPathScope(element);
+            if (scope) {
+                const scoped = `${start}${scope}//${step}`;
+                consider('scoped', scoped);
+                [...predicates, ...textPredicates].forEach(predicate => consider('scoped', `${scoped}[${predicate}]`));
+                const matches = this.evaluateXPath(scoped, root);
+                const position = matches.indexOf(element) + 1;
+                if (position > 0) {
+                    consider('scoped', `(${scoped})[${position}]`);
+                }
+            }
+
+            // 8. Positional path from the root
+            candidates.push({ kind: 'position', xpath: this.getPositionalXPath(element) });
+            return candidates;
+        }
+
+        /**
+         * @method getXPathStep
+         * @description Returns the XPath name test of an element: its tag name, or a `local-name()` test for
+         * elements outside the HTML namespace (SVG, MathML), which plain name tests do not match.
+         * @param {Element} element - The DOM element.
+         * @returns {string} - e.g. `input` or `*[local-name()='svg']`.
+         */
+        getXPathStep(element) {
+            if (element.namespaceURI === 'http://www.w3.org/1999/xhtml') {
+                return element.localName;
+            }
+            return `*[local-name()=${xpathLiteral(element.localName)}]`;
+        }
+
+        /**
+         * @method getXPathTextPredicates
+         * @description Builds the text predicates of an element: `normalize-space(text())` for its first text
+         * node, `normalize-space(.)` for its whole (short) text, and `contains()` with the beginning of a long text.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {string[]} - XPath predicates, most specific first.
+         */
+        getXPathTextPredicates(element) {
+            const predicates = [];
+            const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+            // XPath 1.0 converts `text()` to the value of the first text node only
+            const firstText = Array.from(element.childNodes).find(node => node.nodeType === Node.TEXT_NODE);
+            const ownText = firstText ? normalize(firstText.textContent) : '';
+            if (ownText && ownText.length <= XPATH_TEXT_LENGTH) {
+                predicates.push(`normalize-space(text())=${xpathLiteral(ownText)}`);
+            }
+            const fullText = normalize(element.textContent);
+            if (fullText && fullText.length <= XPATH_TEXT_LENGTH) {
+                if (fullText !== ownText) predicates.push(`normalize-space(.)=${xpathLiteral(fullText)}`);
+            } else if (fullText) {
+                // Cut at a word boundary so a reflowed or translated ending does not break the match
+                const beginning = fullText.slice(0, XPATH_TEXT_LENGTH).replace(/\s+\S*$/, '');
+                predicates.push(`contains(normalize-space(.), ${xpathLiteral(beginning)})`);
+            }
+            return predicates;
+        }
+
+        /**
+         * @method getXPathRowScope
+         * @description Builds the XPath step of an element's row selected by its key: the row's tag (with its
+         * role or shared classes when the tag alone says nothing) and a predicate on the key cell's text.
+         * @param {object} context - The element's row context (`getRowContext`).
+         * @returns {string|null} - e.g. `tr[td[normalize-space(.)="INV-1042"]]` (without the leading `//`), or
+         * `null` when no key identifies the row.
+         */
+        getXPathRowScope(context) {
+            if (!context.key) return null;
+            const row = context.row;
+            let rowStep = this.getXPathStep(row);
+            if (row.getAttribute('role')) {
+                rowStep += `[@role=${xpathLiteral(row.getAttribute('role'))}]`;
+            } else if (context.kind === 'repeated') {
+                rowStep += this.getSelectorClasses(row).stable
+                    .map(cls => `[contains(concat(' ', normalize-space(@class), ' '), ${xpathLiteral(` ${cls} `)})]`)
+                    .join('');
+            }
+            const keyAxis = context.key.element.parentElement === row ? '' : './/';
+            return `${rowStep}[${keyAxis}${this.getXPathStep(context.key.element)}[normalize-space(.)=${xpathLiteral(context.key.text)}]]`;
+        }
+
+        /**
+         * @method getXPathAnchors
+         * @description Finds the texts an element can be reached from: its `<label>` (unless the locator policy
+         * turned labels off) and, when text is allowed, a short text element just before it (`<span>Email</span><input>`).
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {Array<{xpath: string, axis: string}>} - The anchor (without the leading `//`) and the axis
+         * leading from it to the element.
+         */
+        getXPathAnchors(element) {
+            const anchors = [];
+            const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+            if (this.isStrategyEnabled('label')) {
+                Array.from(element.labels || []).forEach(label => {
+                    const text = normalize(label.textContent);
+                    if (text && text.length <= XPATH_TEXT_LENGTH) {
+                        // A wrapping label contains the element: it follows the label's start, not the label
+                        const axis = label.contains(element) ? 'descendant' : 'following';
+                        anchors.push({ xpath: `label[normalize-space(.)=${xpathLiteral(text)}]`, axis });
+                    }
+                });
+            }
+            const previous = element.previousElementSibling;
+            const previousText = previous ? normalize(previous.textContent) : '';
+            if (this.isStrategyEnabled('text') && previousText && previousText.length <= XPATH_TEXT_LENGTH
+                && previous.localName !== 'label' && !previous.matches(INTERACTIVE_SELECTOR)) {
+                anchors.push({
+                    xpath: `${this.getXPathStep(previous)}[normalize-space(.)=${xpathLiteral(previousText)}]`,
+                    axis: 'following-sibling'
+                });
+            }
+            return anchors;
+        }
+
+        /**
+         * @method getXPathScope
+         * @description Finds the closest ancestor (up to `XPATH_SCOPE_DEPTH` levels, within the element's root)
+         * that an XPath can identify on its own: by test id, usable id or a unique stable attribute.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {string|null} - The ancestor's XPath step (without the leading `//`), or `null`.
+         */
+        getXPathScope(element) {
+            let ancestor = element.parentElement;
+            for (let depth = 0; ancestor && depth < XPATH_SCOPE_DEPTH; depth++, ancestor = ancestor.parentElement) {
+                const step = this.getXPathStep(ancestor);
+                const testId = this.isStrategyEnabled('testid') ? this.getTestIdAttribute(ancestor) : null;
+                const options = [];
+                if (testId) options.push(`${step}[@${testId.name}=${xpathLiteral(testId.value)}]`);
+                if (ancestor.id && this.isUsableToken('id', ancestor.id)) options.push(`${step}[@id=${xpathLiteral(ancestor.id)}]`);
+                this.getStableAttributes(ancestor).forEach(({ name, value }) => options.push(`${step}[@${name}=${xpathLiteral(value)}]`));
+
+                const root = ancestor.getRootNode();
+                const start = root instanceof ShadowRoot ? './/' : '//';
+                const scope = options.find(option => this.isUniqueXPath(`${start}${option}`, ancestor));
+                if (scope) return scope;
             }
+            return null;
+        }
 
+        /**
+         * @method getPositionalXPath
+         * @description Builds the path of tag names and sibling positions from the element's root to the element,
+         * e.g. `/html/body/div[3]/span`. Positions are added whenever a sibling shares the tag name.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {string} - The positional XPath (starting with `.` inside a shadow root).
+         */
+        getPositionalXPath(element) {
             const paths = [];
-            // Traverse up the DOM tree from the element to the document root.
+            // Traverse up the DOM tree from the element to its root (the document or its shadow root).
             for (; element && element.nodeType === Node.ELEMENT_NODE; element = element.parentNode) {
-                let index = 0;
-                // Count previous siblings of the same tag name to determine the XPath index (1-based).
-                for (let sibling = element.previousSibling; sibling; sibling = sibling.previousSibling) {
-                    if (sibling.nodeType === Node.ELEMENT_NODE && sibling.tagName === element.tagName) {
-                        index++;
-                    }
-                }
-                const tagName = element.tagName.toLowerCase();
-                // Append `[index + 1]` for XPath's 1-based indexing if there are preceding siblings of the same type.
-                const pathIndex = (index ? `[${index + 1}]` : '');
-                // Prepend the current element's tag and index to the paths array, building the XPath in reverse.
-                paths.unshift(tagName + pathIndex);
+                const sameTag = Array.from(element.parentNode ? element.parentNode.children : [])
+                    .filter(sibling => sibling.tagName === element.tagName);
+                // XPath indexes are 1-based
+                const pathIndex = sameTag.length > 1 ? `[${sameTag.indexOf(element) + 1}]` : '';
+                paths.unshift(this.getXPathStep(element) + pathIndex);
             }
+            const root = paths.length ? `/${paths.join('/')}` : '';
+            return element instanceof ShadowRoot ? `.${root}` : root;
+        }
 
-            // Join the collected paths with '/' to form the full XPath.
-            const xpath = paths.length ? '/' + paths.join('/') : null;
-            this._log(`Generated XPath: ${xpath}.`);
-            return xpath;
+        /**
+         * @method evaluateXPath
+         * @description Lists the nodes an XPath matches from a root (the document or a shadow root).
+         * @param {string} xpath - The XPath expression.
+         * @param {Document|ShadowRoot} root - The context node.
+         * @returns {Node[]} - The matching nodes (empty for invalid expressions).
+         */
+        evaluateXPath(xpath, root) {
+            try {
+                const result = document.evaluate(xpath, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                return Array.from({ length: result.snapshotLength }, (_, index) => result.snapshotItem(index));
+            } catch (e) {
+                this._log(`ERROR: Invalid XPath '${xpath}':`, e);
+                return [];
+            }
+        }
+
+        /**
+         * @method isUniqueXPath
+         * @description Checks that an XPath matches only the given element within the element's root.
+         * @param {string} xpath - The XPath expression.
+         * @param {HTMLElement} element - The element it must match.
+         * @returns {boolean}
+         */
+        isUniqueXPath(xpath, element) {
+            const matches = this.evaluateXPath(xpath, element.getRootNode());
+            return matches.length === 1 && matches[0] === element;
         }
 
         /**
          * @method calculateResilienceScore
          * @description Evaluates and assigns a resilience score (0-100) to a locator strategy
          * to determine its reliability and stability. This scoring system drives the fallback chain generation.
-         * @param {string} type - The type of locator.
+         * The base score is the strategy's weight in the locator policy; generated ids and fragile CSS
+         * or XPath paths are capped below it.
+         * @param {string} type - The type of locator (one of `LocatorPolicy.STRATEGIES`).
          * @param {string} value - The value.
          * @returns {number} Score from 0 to 100.
          */
         calculateResilienceScore(type, value) {
-            if (type === 'testid') return 100;
-            if (type === 'role') return 90;
-            if (type === 'placeholder') return 80;
-            if (type === 'text') return 60;
-            if (type === 'id') {
-                if (/\d{4,}/.test(value)) return 10; // Dynamic ID
-                return 70;
+            const weight = this.locatorPolicy.weights[type] ?? 0;
+            if (type === 'id' && classifyToken(value, 'id') === 'generated') {
+                return Math.min(weight, 10); // Dynamic ID
             }
-            if (type === 'name') return 65;
-            if (type === 'class') {
-                if (/\d{4,}/.test(value)) return 10; // Dynamic Class
-                return 40;
+            if (type === 'css' && (value.includes(':nth-of-type') || value.split('>').length > 3)) {
+                return Math.min(weight, 15); // Fragile path
             }
-            if (type === 'css') {
-                if (value.includes(':nth-of-type') || value.split('>').length > 3) return 15; // Fragile path
-                return 30; // Better CSS
+            if (type === 'xpath' && /(?:\/[\w*-]+|\))\[\d+\]/.test(value)) {
+                return Math.min(weight, 15); // Positional path
             }
-            return 0;
+            return weight;
         }
 
         /**
-         * @method getPlaywrightLocator
-         * @description Generates a highly resilient Playwright semantic locator based on modern testing standards.
-         * Integrates advanced strategies including Shadow DOM penetration (via composedPath during selection), 
-         * dynamic waits tracking, semantic parents tracking, relative positioning, and fallback chains (.or()).
-         * Prioritizes test IDs, ARIA roles, placeholders, and visible text.
+         * @method getAriaRole
+         * @description Returns the element's ARIA role: explicit `role` attribute or implicit role (`AccName`,
+         * see accname.js).
          * @param {HTMLElement} element - The DOM element.
-         * @param {boolean} isDynamic - Whether the element was dynamically loaded.
-         * @returns {string} - The exact string for a Playwright locator.
+         * @returns {string|null} - The role, or `null` when none applies.
          */
-        getPlaywrightLocator(element, isDynamic = false) {
-            this._log("Generating Playwright semantic fallback locator.");
+        getAriaRole(element) {
+            return AccName.getRole(element);
+        }
+
+        /**
+         * @method getRoleName
+         * @description Returns the element's accessible name (`aria-labelledby`, `aria-label`, `<label>`, `alt`,
+         * content, `title`... in accname order), truncated to 50 characters. `getByRole` matches names by
+         * substring, so a truncated name still finds the element.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {string|null} - The name, or `null` when the element has none.
+         */
+        getRoleName(element) {
+            const name = AccName.getAccessibleName(element);
+            return name ? name.substring(0, 50) : null;
+        }
+
+        /**
+         * @method getLabelText
+         * @description Returns the text `getByLabel` finds the element by: its `<label>` elements (`for` attribute
+         * or wrapping label), else its `aria-labelledby` elements, else its `aria-label`.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {string|null} - The label text, or `null` when the element has no label.
+         */
+        getLabelText(element) {
+            return AccName.getLabelText(element) || null;
+        }
+
+        /**
+         * @method getPlaywrightFramePrefix
+         * @description Returns the `frameLocator()` chain entering each iframe of this frame's chain
+         * (empty in the top frame).
+         * @returns {string} - e.g. `frameLocator('#checkout').`
+         */
+        getPlaywrightFramePrefix() {
+            return (this.frameChain || [])
+                .map(selector => `frameLocator(${quoteSingle(selector.split(SHADOW_SEPARATOR).join(' >> '))}).`)
+                .join('');
+        }
+
+        /**
+         * @method getPlaywrightRowLocator
+         * @description Builds the Playwright locator of an element's row: rows and list items by role (inside
+         * the named table or grid, when it has a name), repeated items by their shared tag and classes, then
+         * filtered by the row's key text, or by position inside the container when no text identifies the row.
+         * @param {object} context - The element's row context (`getRowContext`).
+         * @returns {string} - e.g. `getByRole('row').filter({ hasText: 'INV-1042' })`.
+         */
+        getPlaywrightRowLocator(context) {
+            // A position only means something within the container, so keyless rows are searched from it
+            const containerName = context.kind === 'table' ? AccName.getAccessibleName(context.container) : '';
+            let scope = '';
+            if (containerName) {
+                scope = `getByRole('${AccName.getRole(context.container)}', { name: ${quoteSingle(containerName.substring(0, 50))} }).`;
+            } else if (!context.key) {
+                scope = `locator(${quoteSingle(this.getLocalSelector(context.container))}).`;
+            }
+
+            let rowLocator;
+            const rowRole = AccName.getRole(context.row);
+            if (context.kind !== 'repeated' && ['row', 'listitem'].includes(rowRole)) {
+                rowLocator = `${scope}getByRole('${rowRole}')`;
+            } else {
+                const classes = this.getSelectorClasses(context.row).stable.map(cls => `.${CSS.escape(cls)}`).join('');
+                rowLocator = `${scope}locator(${quoteSingle(`${context.row.localName}${classes}`)})`;
+            }
+            return context.key
+                ? `${rowLocator}.filter({ hasText: ${quoteSingle(context.key.text)} })`
+                : `${rowLocator}.nth(${context.position - 1})`;
+        }
+
+        /**
+         * @method getPlaywrightCandidates
+         * @description Lists every Playwright locator that can target the element, each one complete on its
+         * own (frame and shadow host scoping included), best resilience score first.
+         * Prioritizes test IDs, ARIA roles, labels, placeholders, and visible text over the CSS fallback.
+         * The semantic locators start from the closest test id ancestor, else from the element's table row or
+         * list item filtered by its key (`getPlaywrightRowLocator`), else from an enclosing form or section.
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {Array<{strategy: string, locator: string, score: number}>} - The candidates.
+         */
+        getPlaywrightCandidates(element) {
             const locators = [];
 
+            // Rows of tables, grids and lists are told apart by their key cell (see getRowContext)
+            const rowContext = this.getRowContext(element);
+
             // Helper to get semantic parent context
             const getSemanticParent = (el) => {
                 let current = el.parentElement;
                 let depth = 0;
                 while (current && depth < 4) {
+                    if (rowContext && current === rowContext.row) break;
                     const tag = current.tagName.toLowerCase();
-                    if (['form', 'main', 'section', 'article', 'tr'].includes(tag) || current.getAttribute('data-testid')) {
-                        if (current.getAttribute('data-testid')) return `getByTestId('${current.getAttribute('data-testid')}')`;
-                        if (current.getAttribute('aria-label')) return `getByRole('region', { name: '${current.getAttribute('aria-label').replace(/'/g, "\\'")}' })`;
+                    const testId = this.isStrategyEnabled('testid') ? this.getTestIdAttribute(current) : null;
+                    if (testId) return playwrightTestIdLocator(testId);
+                    if (!rowContext && ['form', 'main', 'section', 'article'].includes(tag)) {
+                        if (current.getAttribute('aria-label')) return `getByRole('region', { name: ${quoteSingle(current.getAttribute('aria-label'))} })`;
                         return `locator('${tag}')`;
                     }
                     current = current.parentElement;
                     depth++;
                 }
-                return null;
-            };
-
-            // Helper to get relative locator (sibling label)
-            const getRelativeContext = (el) => {
-                if (el.tagName.toLowerCase() !== 'input') return null;
-                const prev = el.previousElementSibling;
-                if (prev && prev.tagName.toLowerCase() === 'label' && prev.innerText) {
-                    return `getByLabel('${prev.innerText.trim().replace(/'/g, "\\'")}')`;
-                }
-                return null;
+                return rowContext ? this.getPlaywrightRowLocator(rowContext) : null;
             };
 
             const semanticParent = getSemanticParent(element);
-            const relativeContext = getRelativeContext(element);
-            const prefix = semanticParent ? `${semanticParent}.` : '';
-
-            // 1. data-testid
-            if (element.getAttribute('data-testid')) {
+            // Associated label (for=, wrapping label, aria-labelledby, aria-label), as getByLabel resolves it
+            const labelText = this.getLabelText(element);
+            // Scope shadow elements to their host chain: each host selector is only unique within its own root.
+            const hostSelectors = this.getShadowHostChain(element).map(host => escapeSingle(this.getLocalSelector(host)));
+            const hostPrefix = hostSelectors.map(selector => `locator('${selector}').`).join('');
+            const prefix = semanticParent ? `${hostPrefix}${semanticParent}.` : hostPrefix;
+            // Elements inside iframes are reached through one frameLocator() per frame
+            const framePrefix = this.getPlaywrightFramePrefix();
+
+            // 1. Test id attribute (first of the policy's list the element has)
+            const testId = this.getTestIdAttribute(element);
+            if (testId) {
                 locators.push({
-                    str: `${prefix}getByTestId('${element.getAttribute('data-testid')}')`,
-                    score: this.calculateResilienceScore('testid', element.getAttribute('data-testid'))
+                    strategy: 'testid',
+                    str: `${prefix}${playwrightTestIdLocator(testId)}`,
+                    score: this.calculateResilienceScore('testid', testId.value)
                 });
             }
 
-            // 2. Relative or Placeholder text
-            if (relativeContext) {
+            // 2. Label or Placeholder text
+            if (labelText) {
                 locators.push({
-                    str: `${prefix}${relativeContext}`,
-                    score: 85 // High score for associated labels
+                    strategy: 'label',
+                    str: `${prefix}getByLabel(${quoteSingle(labelText)})`,
+                    score: this.calculateResilienceScore('label', labelText)
                 });
-            } else if (element.getAttribute('placeholder')) {
+            }
+            if (element.getAttribute('placeholder') && (!labelText || !this.isStrategyEnabled('label'))) {
                 locators.push({
-                    str: `${prefix}getByPlaceholder('${element.getAttribute('placeholder')}')`,
+                    strategy: 'placeholder',
+                    str: `${prefix}getByPlaceholder(${quoteSingle(element.getAttribute('placeholder'))})`,
                     score: this.calculateResilienceScore('placeholder', element.getAttribute('placeholder'))
                 });
             }
 
             // 3. ARIA Role & Name
-            let role = element.getAttribute('role');
-            if (!role) {
-                const tag = element.tagName.toLowerCase();
-                const type = element.getAttribute('type');
-                if (tag === 'button' || (tag === 'input' && (type === 'button' || type === 'submit' || type === 'reset'))) role = 'button';
-                else if (tag === 'a' && element.hasAttribute('href')) role = 'link';
-                else if (tag === 'input' && type === 'checkbox') role = 'checkbox';
-                else if (tag === 'input' && type === 'radio') role = 'radio';
-                else if (tag === 'select') role = 'combobox';
-                else if (tag === 'input') role = 'textbox';
-                else if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag)) role = 'heading';
-            }
-
+            const role = this.getAriaRole(element);
             if (role) {
-                let name = element.getAttribute('aria-label') || element.getAttribute('title') || element.getAttribute('alt');
-                if (!name && element.innerText && element.innerText.trim().length > 0) {
-                    name = element.innerText.trim().split('\n')[0].substring(0, 50);
-                }
+                const name = this.getRoleName(element);
                 if (name) {
-                    const escapedName = name.replace(/'/g, "\\'");
+                    const escapedName = escapeSingle(name);
                     locators.push({
+                        strategy: 'role',
                         str: `${prefix}getByRole('${role}', { name: '${escapedName}' })`,
                         score: this.calculateResilienceScore('role', role)
                     });
@@ -1003,104 +3266,315 @@ if (!window.elementInspector) {
             // 4. Visible Text (if no child nodes or explicitly distinct)
             if (element.innerText && element.innerText.trim().length > 0 && element.children.length === 0) {
                 const text = element.innerText.trim().split('\n')[0].substring(0, 50);
-                const escapedText = text.replace(/'/g, "\\'");
+                const escapedText = escapeSingle(text);
                 locators.push({
+                    strategy: 'text',
                     str: `${prefix}getByText('${escapedText}')`,
                     score: this.calculateResilienceScore('text', text)
                 });
             }
 
             // 5. Fallback CSS selector
-            const cssSelector = this.getElementSelector(element);
-            const escapedCss = cssSelector.replace(/'/g, "\\'");
+            const cssSelector = this.getLocalSelector(element);
+            const escapedCss = escapeSingle(cssSelector);
             locators.push({
-                str: `locator('${escapedCss}')`,
+                strategy: 'css',
+                str: `${hostPrefix}locator('${escapedCss}')`,
                 score: this.calculateResilienceScore('css', cssSelector)
             });
 
-            // Sort by score descending and take top 3
-            locators.sort((a, b) => b.score - a.score);
-            const topLocators = locators.slice(0, 3).map(l => l.str);
+            // Sort by score descending, without the strategies the locator policy turned off
+            return this.rankCandidates(locators)
+                .map(l => ({ strategy: l.strategy, locator: `page.${framePrefix}${l.str}`, score: l.score }));
+        }
 
-            let resultLocator = topLocators[0];
-            if (topLocators.length > 1) {
-                resultLocator = topLocators[0];
-                for (let i = 1; i < topLocators.length; i++) {
-                    resultLocator += `.or(page.${topLocators[i]})`;
-                }
-            }
+        /**
+         * @method getPlaywrightLocator
+         * @description Generates a highly resilient Playwright semantic locator based on modern testing standards.
+         * Integrates advanced strategies including Shadow DOM penetration (elements inside shadow roots are
+         * reached by chaining `locator()` from each shadow host, which Playwright's CSS engine pierces),
+         * iframe scoping (`frameLocator()` chains), dynamic waits tracking, semantic parents tracking, relative positioning, and fallback chains (.or())
+         * built from the top candidates of `getPlaywrightCandidates` (the primary one plus the locator policy's
+         * `maxFallbacks`).
+         * @param {HTMLElement} element - The DOM element.
+         * @param {boolean} isDynamic - Whether the element was dynamically loaded.
+         * @returns {string} - The exact string for a Playwright locator.
+         */
+        getPlaywrightLocator(element, isDynamic = false) {
+            this._log("Generating Playwright semantic fallback locator.");
+            const topLocators = this.getPlaywrightCandidates(element)
+                .slice(0, 1 + this.locatorPolicy.maxFallbacks)
+                .map(l => l.locator);
+            const resultLocator = topLocators[0] + topLocators.slice(1).map(locator => `.or(${locator})`).join('');
 
             if (isDynamic) {
-                return `// DYNAMIC ELEMENT WAITER\nawait page.waitForSelector('${escapedCss}', { state: 'visible', timeout: 5000 });\nawait page.${resultLocator}`;
+                // `>>` chains the selector through the shadow hosts, like the locator() chain of the candidates
+                const hostSelectors = this.getShadowHostChain(element).map(host => escapeSingle(this.getLocalSelector(host)));
+                const waitSelector = [...hostSelectors, escapeSingle(this.getLocalSelector(element))].join(' >> ');
+                const framePrefix = this.getPlaywrightFramePrefix();
+                if (framePrefix) {
+                    // page.waitForSelector() only searches the main frame
+                    return `// DYNAMIC ELEMENT WAITER\nawait page.${framePrefix}locator('${waitSelector}').waitFor({ state: 'visible', timeout: 5000 });\nawait ${resultLocator}`;
+                }
+                return `// DYNAMIC ELEMENT WAITER\nawait page.waitForSelector('${waitSelector}', { state: 'visible', timeout: 5000 });\nawait ${resultLocator}`;
             }
 
-            return `page.${resultLocator}`;
+            return resultLocator;
         }
 
         /**
-         * @method getSeleniumLocator
-         * @description Generates an explicit Selenium By locator string utilizing advanced 
-         * generation techniques such as Shadow DOM penetration, dynamic waits (ExpectedConditions), 
-         * resilience scoring, and fallback chains (try/catch blocks).
+         * @method getSeleniumCandidates
+         * @description Lists the `By` expressions (test id attribute, unique ID, unique name, CSS, and the best
+         * relative XPath of `getXPathCandidates`) that can find the element, in the syntax of the given dialect,
+         * best resilience score first. Shadow roots only support CSS lookups, so shadow elements get no XPath.
          * @param {HTMLElement} element - The DOM element.
-         * @param {boolean} isDynamic - Whether the element was dynamically loaded.
-         * @returns {string} - The exact Selenium code snippet.
+         * @param {object} dialect - An entry of `SELENIUM_DIALECTS`.
+         * @returns {Array<{strategy: string, by: string, score: number}>} - The candidates.
          */
-        getSeleniumLocator(element, isDynamic = false) {
-            this._log("Generating explicit Selenium locator snippet.");
-
-            const escapeCssStr = (str) => {
-                if (!str) return '';
-                return str.replace(/(["'\\])/g, '\\$1');
-            };
-
+        getSeleniumCandidates(element, dialect) {
             const locators = [];
 
-            if (element.id && this.isUniqueSelector(`#${escapeCssStr(element.id)}`, element)) {
+            const testId = this.getTestIdAttribute(element);
+            if (testId) {
+                locators.push({
+                    strategy: 'testid',
+                    by: dialect.by.css(cssAttribute(testId.name, testId.value)),
+                    score: this.calculateResilienceScore('testid', testId.value)
+                });
+            }
+
+            if (element.id && this.isUsableToken('id', element.id) && this.isUniqueSelector(`#${CSS.escape(element.id)}`, element)) {
                 locators.push({
-                    str: `By.id("${element.id}")`,
+                    strategy: 'id',
+                    by: dialect.by.id(element.id),
                     score: this.calculateResilienceScore('id', element.id)
                 });
             }
 
-            if (element.getAttribute('name')) {
-                const nameValue = element.getAttribute('name');
-                const selector = `${element.tagName.toLowerCase()}[name="${escapeCssStr(nameValue)}"]`;
+            const nameValue = element.getAttribute('name');
+            if (nameValue && classifyToken(nameValue, 'id') !== 'generated') {
+                const selector = `${element.tagName.toLowerCase()}${cssAttribute('name', nameValue)}`;
                 if (this.isUniqueSelector(selector, element)) {
                     locators.push({
-                        str: `By.name("${nameValue}")`,
+                        strategy: 'name',
+                        by: dialect.by.name(nameValue),
                         score: this.calculateResilienceScore('name', nameValue)
                     });
                 }
             }
 
-            const cssSelector = this.getElementSelector(element);
-            const escapedCss = cssSelector.replace(/"/g, '\\"');
+            const cssSelector = this.getLocalSelector(element);
             locators.push({
-                str: `By.cssSelector("${escapedCss}")`,
+                strategy: 'css',
+                by: dialect.by.css(cssSelector),
                 score: this.calculateResilienceScore('css', cssSelector)
             });
 
-            // Sort and take top 2 for try/catch
-            locators.sort((a, b) => b.score - a.score);
-            const topLocators = locators.slice(0, 2).map(l => l.str);
+            if (this.getShadowHostChain(element).length === 0) {
+                // Id and test id XPaths would only repeat `By.id` / the test id selector
+                const xpath = this.getXPathCandidates(element)
+                    .find(c => !((c.kind === 'id' || c.kind === 'testid') && this.isStrategyEnabled(c.kind))).xpath;
+                locators.push({
+                    strategy: 'xpath',
+                    by: dialect.by.xpath(xpath),
+                    score: this.calculateResilienceScore('xpath', xpath)
+                });
+            }
 
-            let waitStr = "";
-            if (isDynamic) {
-                waitStr = `WebDriverWait wait = new WebDriverWait(driver, Duration.ofSeconds(5));\nwait.until(ExpectedConditions.visibilityOfElementLocated(${topLocators[0]}));\n`;
+            return this.rankCandidates(locators);
+        }
+
+        /**
+         * @method getSeleniumScope
+         * @description Builds what must run before the element can be looked up: the `switchTo().frame(...)`
+         * sequence entering each iframe and, for shadow elements, the declaration of the shadow root
+         * search context.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {object} dialect - An entry of `SELENIUM_DIALECTS`.
+         * @returns {{prefix: string, ctx: string}} - The setup code and the search context to use.
+         */
+        getSeleniumScope(element, dialect) {
+            // Enter each iframe in turn; a frame selector may itself cross shadow roots
+            const frameStr = (this.frameChain || []).map(selector => {
+                const segments = selector.split(SHADOW_SEPARATOR);
+                const frameCss = dialect.by.css(segments.pop());
+                const frameCtx = segments.length > 0 ? getSeleniumShadowRoot(dialect, segments) : 'driver';
+                return dialect.switchToFrame(dialect.find(frameCss, frameCtx));
+            }).join('');
+
+            const hosts = this.getShadowHostChain(element);
+            let shadowStr = "";
+            let ctx = 'driver';
+            if (hosts.length > 0) {
+                shadowStr = dialect.declareShadowRoot(getSeleniumShadowRoot(dialect, hosts.map(host => this.getLocalSelector(host))));
+                ctx = dialect.shadowContext;
+            }
+            return { prefix: `${frameStr}${shadowStr}`, ctx };
+        }
+
+        /**
+         * @method getSeleniumLocator
+         * @description Generates an explicit Selenium locator snippet in the syntax of the target language
+         * (Java, Python, C# or WebDriverJS) utilizing advanced generation techniques such as Shadow DOM
+         * penetration, dynamic waits, resilience scoring, and language-specific fallback blocks
+         * (nested try/catch or try/except) over the top 2 of `getSeleniumCandidates`, followed by the XPath
+         * candidate as an extra fallback when it is not among them. The chain never exceeds the locator
+         * policy's `maxFallbacks`. Elements inside shadow roots
+         * are looked up from a search context obtained through the `getShadowRoot()` chain of their hosts;
+         * elements inside iframes are preceded by the `switchTo().frame(...)` sequence entering each frame.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {boolean} isDynamic - Whether the element was dynamically loaded.
+         * @returns {string} - The exact Selenium code snippet.
+         */
+        getSeleniumLocator(element, isDynamic = false) {
+            this._log(`Generating explicit Selenium locator snippet (${this.targetLanguage}).`);
+            const dialect = SELENIUM_DIALECTS[this.targetLanguage] || SELENIUM_DIALECTS.java;
+            const candidates = this.getSeleniumCandidates(element, dialect);
+            const maxLocators = 1 + this.locatorPolicy.maxFallbacks;
+            const chain = candidates.slice(0, Math.min(2, maxLocators));
+            const xpathCandidate = candidates.find(l => l.strategy === 'xpath');
+            if (xpathCandidate && !chain.includes(xpathCandidate) && chain.length < maxLocators) {
+                chain.push(xpathCandidate);
             }
+            const topLocators = chain.map(l => l.by);
+            const { prefix, ctx } = this.getSeleniumScope(element, dialect);
+
+            const waitStr = isDynamic ? dialect.wait(topLocators[0], ctx) : "";
 
             if (topLocators.length === 1) {
-                return `${waitStr}driver.findElement(${topLocators[0]})`;
+                return `${prefix}${waitStr}${dialect.find(topLocators[0], ctx)}`;
             } else {
-                return `${waitStr}WebElement element;\ntry {\n    element = driver.findElement(${topLocators[0]});\n} catch (NoSuchElementException e) {\n    element = driver.findElement(${topLocators[1]});\n}`;
+                return `${prefix}${waitStr}${dialect.fallback(topLocators, ctx)}`;
+            }
+        }
+
+        /**
+         * @method getCypressCandidates
+         * @description Lists the ways Cypress can target the element, best resilience score first:
+         * dedicated test attributes (the locator policy's list), unique IDs and names and the
+         * structural CSS selector (`selector` entries), and visible text for `cy.contains` (a `text` entry).
+         * @param {HTMLElement} element - The DOM element.
+         * @returns {Array<{strategy: string, selector?: string, text?: string, score: number}>} - The candidates.
+         */
+        getCypressCandidates(element) {
+            const tag = element.tagName.toLowerCase();
+            const candidates = [];
+
+            // 1. Dedicated test attributes
+            const testId = this.getTestIdAttribute(element);
+            if (testId) {
+                candidates.push({
+                    strategy: 'testid',
+                    selector: cssAttribute(testId.name, testId.value),
+                    score: this.calculateResilienceScore('testid', testId.value)
+                });
+            }
+
+            // 2. ID
+            const idSelector = `#${CSS.escape(element.id)}`;
+            if (element.id && this.isUsableToken('id', element.id) && this.isUniqueSelector(idSelector, element)) {
+                candidates.push({
+                    strategy: 'id',
+                    selector: idSelector,
+                    score: this.calculateResilienceScore('id', element.id)
+                });
+            }
+
+            // 3. Name attribute
+            const nameValue = element.getAttribute('name');
+            if (nameValue && classifyToken(nameValue, 'id') !== 'generated') {
+                const selector = `${tag}${cssAttribute('name', nameValue)}`;
+                if (this.isUniqueSelector(selector, element)) {
+                    candidates.push({
+                        strategy: 'name',
+                        selector: selector,
+                        score: this.calculateResilienceScore('name', nameValue)
+                    });
+                }
+            }
+
+            // 4. Fallback CSS selector
+            const cssSelector = this.getLocalSelector(element);
+            candidates.push({
+                strategy: 'css',
+                selector: cssSelector,
+                score: this.calculateResilienceScore('css', cssSelector)
+            });
+
+            // 5. Visible text via cy.contains
+            if (element.innerText && element.innerText.trim().length > 0 && element.children.length === 0) {
+                const text = element.innerText.trim().split('\n')[0].substring(0, 50);
+                candidates.push({
+                    strategy: 'text',
+                    text: text,
+                    score: this.calculateResilienceScore('text', text)
+                });
+            }
+
+            // Stable sort: on equal scores the CSS candidates keep their order and precede the text
+            return this.rankCandidates(candidates);
+        }
+
+        /**
+         * @method getCypressScope
+         * @description Builds the subject the element is searched from: each iframe's body (Cypress can only
+         * enter same-origin frames), then each shadow host, e.g. `cy.get('outer-host').shadow().find('inner-host').shadow()`.
+         * Empty for light DOM elements of the top frame.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {string} options - Options argument appended to each query (e.g. `, { timeout: 5000 }`).
+         * @returns {string} - The Cypress chain, or an empty string.
+         */
+        getCypressScope(element, options) {
+            let scope = '';
+            (this.frameChain || []).forEach(selector => {
+                selector.split(SHADOW_SEPARATOR).forEach((segment, index) => {
+                    scope = cypressQuery(index > 0 ? `${scope}.shadow()` : scope, segment, options);
+                });
+                scope += ".its('0.contentDocument.body').should('not.be.empty').then(cy.wrap)";
+            });
+            this.getShadowHostChain(element).forEach(host => {
+                scope = `${cypressQuery(scope, this.getLocalSelector(host), options)}.shadow()`;
+            });
+            return scope;
+        }
+
+        /**
+         * @method getCypressLocator
+         * @description Generates a Cypress command chain following the Cypress best-practice order of
+         * `getCypressCandidates`. Cypress has no `.or()`, so the fallback chain is expressed as a CSS selector
+         * list of the top selectors (the primary one plus the locator policy's `maxFallbacks`) inside a single `cy.get()`; `cy.contains` is used when the visible text
+         * beats every CSS candidate. Elements inside shadow roots are reached with `.shadow().find()` from each
+         * shadow host, and elements inside (same-origin) iframes through the frame's `contentDocument.body`.
+         * @param {HTMLElement} element - The DOM element.
+         * @param {boolean} isDynamic - Whether the element was dynamically loaded.
+         * @returns {string} - The exact Cypress command string.
+         */
+        getCypressLocator(element, isDynamic = false) {
+            this._log("Generating Cypress locator chain.");
+
+            const candidates = this.getCypressCandidates(element);
+            const cssCandidates = candidates.filter(candidate => candidate.selector);
+            const textCandidate = candidates.find(candidate => candidate.text);
+            const options = isDynamic ? ", { timeout: 5000 }" : '';
+            const scope = this.getCypressScope(element, options);
+
+            if (textCandidate && (cssCandidates.length === 0 || textCandidate.score > cssCandidates[0].score)) {
+                const command = cypressContains(scope, element.tagName.toLowerCase(), textCandidate.text, options);
+                return isDynamic ? `// DYNAMIC ELEMENT WAITER\n${command}.should('be.visible')` : command;
             }
+
+            // Combine the top selectors into one selector list so a broken primary still resolves
+            const selectorList = [...new Set(cssCandidates.map(candidate => candidate.selector))]
+                .slice(0, 1 + this.locatorPolicy.maxFallbacks)
+                .join(', ');
+            const command = cypressQuery(scope, selectorList, options);
+            return isDynamic ? `// DYNAMIC ELEMENT WAITER\n${command}.should('be.visible')` : command;
         }
 
         /**
          * @method getElementName
          * @description Attempts to derive a human-readable name or label for an element.
-         * It checks various attributes (`name`, `aria - label`, `data - testid`, `title`)
+         * It checks various attributes (`name`, `aria-label`, the test id attributes, `title`)
          * and falls back to truncated `innerText` or the element's tag name.
          * @param {HTMLElement} element - The DOM element.
          * @returns {string} - A descriptive name for the element.
@@ -1119,10 +3593,10 @@ if (!window.elementInspector) {
                 this._log(`Using 'aria-label' attribute: ${name}.`);
                 return name;
             }
-            if (element.getAttribute('data-testid')) {
-                const name = element.getAttribute('data-testid');
-                this._log(`Using 'data-testid' attribute: ${name}.`);
-                return name;
+            const testId = this.getTestIdAttribute(element);
+            if (testId) {
+                this._log(`Using '${testId.name}' attribute: ${testId.value}.`);
+                return testId.value;
             }
 
             // If innerText exists and is not just whitespace, use a truncated version.
@@ -0,0 +1,68 @@
+import BaseLLMProvider from './base-provider.js';
+
+export default class AnthropicAPI extends BaseLLMProvider {
+    constructor(apiKey) {
+        super(apiKey, {
+            name: 'Anthropic',
+            baseUrl: 'https://api.anthropic.com/v1/messages',
+            requestOptions: {
+                temperature: 0.2,
+                max_tokens: 8000
+            }
+        });
+        this.apiVersion = '2023-06-01';
+        this.rateLimitMessage = 'Rate Limit Exceeded: Check your Anthropic plan and rate limits.';
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.apiVersion,
+            // Required for calls made directly from a browser context (the side panel)
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    buildBody(prompt, modelName, stream) {
+        return {
+            model: modelName,
+            messages: this.toMessages(prompt),
+            ...this.requestOptions,
+            ...(stream ? { stream: true } : {})
+        };
+    }
+
+    // The reply is a list of content blocks; only text blocks carry output
+    parseResponse(data) {
+        return {
+            content: (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            usage: data.usage
+        };
+    }
+
+    parseStreamEvent(parsed, eventName) {
+        switch (parsed.type) {
+            case 'message_start':
+                return { usage: parsed.message?.usage };
+            case 'content_block_delta':
+                return { token: parsed.delta?.type === 'text_delta' ? parsed.delta.text : '' };
+            case 'message_delta':
+                // output_tokens here is cumulative for the whole message
+                return { usage: parsed.usage ? { output_tokens: parsed.usage.output_tokens } : null };
+            case 'error': {
+                // 529 "overloaded" is reported in-stream after the 200 response
+                const overloaded = parsed.error?.type === 'overloaded_error';
+                const error = overloaded
+                    ? this.classifyError(529, '')
+                    : new Error(parsed.error?.message || 'Unknown stream error');
+                throw error;
+            }
+            default:
+                return {};
+        }
+    }
+}
@@ -1,11 +1,28 @@
+/**
+ * Builds the error thrown when the caller cancels a request through its abort signal.
+ * It is marked `cancelled` so callers can tell a user stop apart from a timeout or failure.
+ */
+export function createCancelledError() {
+    const error = new Error('Request cancelled by the user.');
+    error.name = 'AbortError';
+    error.cancelled = true;
+    error.retryable = false;
+    return error;
+}
+
 /**
  * Wraps an async fetch function with timeout + exponential backoff retry.
  * Handles rate limits and network errors smoothly to improve resilience.
+ * An optional external `signal` cancels the current attempt and stops any further retries.
  */
-export async function fetchWithRetry(fn, { maxRetries = 3, timeoutMs = 20000 } = {}) {
+export async function fetchWithRetry(fn, { maxRetries = 3, timeoutMs = 20000, signal } = {}) {
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+        if (signal?.aborted) throw createCancelledError();
+
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), timeoutMs);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
 
         try {
 
@@ -16,19 +33,38 @@ export async function fetchWithRetry(fn, { maxRetries = 3, timeoutMs = 20000 } =
         } catch (err) {
             clearTimeout(timeout);
 
+            // A user cancel is final: never retried and never reported as a timeout
+            if (signal?.aborted) throw createCancelledError();
+
             const isTimeout = err.name === 'AbortError';
             const isRateLimit = err.message?.includes('429') || err.message?.includes('Rate Limit');
-            // Retry on arbitrary 5xx errors or network disconnection exceptions
-            const isRetryable = isTimeout || isRateLimit || err.message?.includes('50') || err.message?.includes('network');
+            // Provider errors classify themselves (err.retryable); otherwise retry on
+            // arbitrary 5xx errors or network disconnection exceptions
+            const isRetryable = err.retryable ?? (isTimeout || isRateLimit || err.message?.includes('50') || err.message?.includes('network'));
 
             if (attempt < maxRetries - 1 && isRetryable) {
                 const delay = Math.pow(2, attempt) * 600; // 600ms, 1.2s, 2.4s
                 Logger.warn(`[API] Attempt ${attempt + 1} failed (${err.message}). Retrying in ${delay}ms...`);
-                await new Promise(res => setTimeout(res, delay));
+                await waitForRetry(delay, signal);
             } else {
                 // If it's the last attempt and it failed via timeout:
-                throw isTimeout ? new Error('Request timed out after 20s. The server might be busy or your connection dropped.') : err;
+                throw isTimeout ? new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s. The server might be busy or your connection dropped.`) : err;
             }
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
         }
     }
 }
+
+// Backoff delay that ends early when the caller cancels
+function waitForRetry(delay, signal) {
+    return new Promise(res => {
+        const timer = setTimeout(done, delay);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            res();
+        }
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
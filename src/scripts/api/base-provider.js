@@ -0,0 +1,303 @@
+import { fetchWithRetry } from './api-utils.js';
+
+/**
+ * Incrementally parses a streamed response body into events.
+ * Understands Server-Sent Events (`event:`/`data:` fields, multi-line data, CRLF, comments)
+ * and newline-delimited JSON. Lines split across network chunks stay in the buffer until
+ * they are complete, so no token is lost at a chunk boundary.
+ * @param {ReadableStream} body - The fetch response body.
+ * @param {function({event: string, data: string}): void} onEvent - Called once per complete event.
+ */
+export async function readEventStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            onEvent({ event: eventName || 'message', data: dataLines.join('\n') });
+        }
+        eventName = '';
+        dataLines = [];
+    };
+
+    const processLine = (rawLine) => {
+        const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+        if (line.trim() === '') {
+            dispatch(); // A blank line terminates an SSE event
+        } else if (line.startsWith(':')) {
+            // SSE comment / keep-alive
+        } else if (line.startsWith('data:')) {
+            // The spec strips exactly one leading space; anything more is content
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        } else if (line.startsWith('event:')) {
+            eventName = line.slice(6).trim();
+        } else if (/^(id|retry):/.test(line)) {
+            // Not needed for LLM streams
+        } else {
+            // NDJSON: one bare JSON document per line
+            dispatch();
+            onEvent({ event: 'message', data: line });
+        }
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                processLine(buffer.slice(0, newlineIndex));
+                buffer = buffer.slice(newlineIndex + 1);
+            }
+        }
+
+        // Flush the decoder and whatever is left when the stream ends without a trailing newline
+        buffer += decoder.decode();
+        if (buffer) processLine(buffer);
+        dispatch();
+    } catch (error) {
+        reader.cancel().catch(() => { });
+        throw error;
+    }
+}
+
+/**
+ * Maps the token counts reported by any supported vendor to the
+ * `{input_tokens, output_tokens, total_tokens}` shape used by the stats panel.
+ * @param {object|null} raw - OpenAI (`prompt_tokens`), Anthropic (`input_tokens`) or Gemini (`promptTokenCount`) usage.
+ * @returns {object|null}
+ */
+export function normalizeUsage(raw) {
+    if (!raw) return null;
+    const input = raw.input_tokens ?? raw.prompt_tokens ?? raw.promptTokenCount ?? 0;
+    const output = raw.output_tokens ?? raw.completion_tokens ?? raw.candidatesTokenCount ?? 0;
+    return {
+        input_tokens: input,
+        output_tokens: output,
+        total_tokens: raw.total_tokens ?? raw.totalTokenCount ?? input + output
+    };
+}
+
+/**
+ * Base class for LLM provider clients.
+ * Owns the request/retry flow, error classification and stream parsing. The defaults speak the
+ * OpenAI chat completions dialect; providers with another wire format override the hooks
+ * (`getUrl`, `getHeaders`, `buildBody`, `parseResponse`, `parseStreamEvent`).
+ */
+export default class BaseLLMProvider {
+    /**
+     * @param {string} apiKey - The user's API key.
+     * @param {object} options - { name, baseUrl, requestOptions, retryOptions }
+     *   `requestOptions` are extra body fields (e.g. temperature, max_tokens) and
+     *   `retryOptions` are passed to fetchWithRetry.
+     */
+    constructor(apiKey, { name, baseUrl, requestOptions = {}, retryOptions = {} } = {}) {
+        this.apiKey = apiKey;
+        this.name = name || 'LLM';
+        this.baseUrl = baseUrl;
+        this.requestOptions = requestOptions;
+        this.retryOptions = retryOptions;
+        this.rateLimitMessage = 'Rate Limit Exceeded: You are sending requests too quickly. Please wait a moment.';
+    }
+
+    log(message, ...args) {
+        Logger.log(`[${this.name}] ${message}`, ...args);
+    }
+
+    getUrl(modelName, stream) {
+        return this.baseUrl;
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.apiKey}`
+        };
+    }
+
+    /**
+     * Normalises the prompt argument to a chat transcript. A string is a single user turn;
+     * an array of `{role, content}` messages (`user` / `assistant`) is sent as a multi-turn conversation.
+     * @param {string|Array<{role: string, content: string}>} prompt
+     * @returns {Array<{role: string, content: string}>}
+     */
+    toMessages(prompt) {
+        return Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+    }
+
+    buildBody(prompt, modelName, stream) {
+        return {
+            model: modelName,
+            messages: this.toMessages(prompt),
+            ...this.requestOptions,
+            ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+        };
+    }
+
+    /**
+     * Extracts the reply from a non-streamed response.
+     * @returns {{content: string, usage: object|null}} `usage` in the vendor's raw shape.
+     */
+    parseResponse(data) {
+        return {
+            content: data.choices?.[0]?.message?.content ?? '',
+            usage: data.usage
+        };
+    }
+
+    /**
+     * Interprets one parsed stream event.
+     * @returns {{token?: string, usage?: object}} `usage` in the vendor's raw shape. Throw to abort the stream.
+     */
+    parseStreamEvent(parsed, eventName) {
+        return {
+            token: parsed.choices?.[0]?.delta?.content || '',
+            usage: parsed.usage
+        };
+    }
+
+    // Separated so subclasses can translate network failures into friendlier messages
+    async request(url, options) {
+        return fetch(url, options);
+    }
+
+    extractErrorMessage(errorData, status) {
+        try {
+            const jsonError = JSON.parse(errorData);
+            if (jsonError.error?.message) return jsonError.error.message;
+            if (typeof jsonError.error === 'string') return jsonError.error;
+            if (jsonError.message) return jsonError.message;
+        } catch (e) {
+            // Not JSON; fall back to the status
+        }
+        return `API call failed: ${status}`;
+    }
+
+    /**
+     * Builds the user-facing error for a failed HTTP response. The returned error carries
+     * `status` and `retryable` so fetchWithRetry only retries transient failures.
+     * @param {number} status - HTTP status code.
+     * @param {string} errorData - Raw response body.
+     * @returns {Error}
+     */
+    classifyError(status, errorData) {
+        let message;
+        if (status === 401) {
+            message = `Authentication Error: Invalid ${this.name} API Key. Please check your settings.`;
+        } else if (status === 429) {
+            message = this.rateLimitMessage;
+        } else if (status >= 500) {
+            message = `${this.name} Service Error: ${status}. The service might be currently unavailable.`;
+        } else {
+            message = this.extractErrorMessage(errorData, status);
+        }
+        const error = new Error(message);
+        error.status = status;
+        error.retryable = status === 429 || status >= 500;
+        return error;
+    }
+
+    async post(modelName, body, stream, signal) {
+        const response = await this.request(this.getUrl(modelName, stream), {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorData = await response.text();
+            Logger.error(`[${this.name}] API ${stream ? 'Stream ' : ''}Response:`, response.status, errorData);
+            throw this.classifyError(response.status, errorData);
+        }
+        return response;
+    }
+
+    logPrompt(prompt, stream) {
+        const label = this.name.toUpperCase();
+        this.log(`=== ${label} API ${stream ? 'STREAM ' : ''}- FULL PROMPT ===`);
+        this.toMessages(prompt).forEach(message => Logger.log(`[${message.role}]`, message.content));
+        this.log('=== END PROMPT ===');
+    }
+
+    /**
+     * Sends the prompt and resolves with the whole reply.
+     * @param {string|Array<{role: string, content: string}>} prompt - A single prompt or a conversation (see toMessages).
+     * @param {object} [options] - { signal } An AbortSignal that cancels the request and any pending retries.
+     * @returns {Promise<{content: string, usage: object|null}>}
+     */
+    async sendMessage(prompt, modelName, { signal } = {}) {
+        return fetchWithRetry(async (signal) => {
+            try {
+                this.log(`Sending request to ${this.name} API...`);
+                this.logPrompt(prompt, false);
+
+                const response = await this.post(modelName, this.buildBody(prompt, modelName, false), false, signal);
+                const data = await response.json();
+                this.log(`${this.name} API response:`, data);
+
+                const { content, usage } = this.parseResponse(data);
+                return {
+                    content: content,
+                    usage: normalizeUsage(usage)
+                };
+            } catch (error) {
+                Logger.error(`[${this.name}] Error calling ${this.name} API:`, error);
+                throw error;
+            }
+        }, { ...this.retryOptions, signal });
+    }
+
+    /**
+     * Streams the reply, calling `onChunk` with each text token as it arrives.
+     * When `signal` aborts, the stream is closed and the call rejects with a `cancelled` error;
+     * tokens already delivered to `onChunk` are the partial output.
+     * @param {object} [options] - { signal }
+     * @returns {Promise<{content: string, usage: object|null}>}
+     */
+    async sendMessageStream(prompt, modelName, onChunk, { signal } = {}) {
+        return fetchWithRetry(async (signal) => {
+            try {
+                this.log(`Sending stream request to ${this.name} API...`);
+                this.logPrompt(prompt, true);
+
+                const response = await this.post(modelName, this.buildBody(prompt, modelName, true), true, signal);
+
+                let fullContent = '';
+                let finalUsage = null;
+
+                await readEventStream(response.body, ({ event, data }) => {
+                    if (data === '[DONE]') return;
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(data);
+                    } catch (e) {
+                        return; // skip malformed
+                    }
+
+                    const { token, usage } = this.parseStreamEvent(parsed, event);
+                    // Merge so vendors that split usage across events (input first, output last) add up
+                    if (usage) finalUsage = { ...finalUsage, ...usage };
+                    if (token) {
+                        fullContent += token;
+                        if (onChunk) onChunk(token);
+                    }
+                });
+
+                this.log(`Stream complete. Total chars: ${fullContent.length}`);
+                return {
+                    content: fullContent,
+                    usage: normalizeUsage(finalUsage)
+                };
+            } catch (error) {
+                Logger.error(`[${this.name}] Error calling ${this.name} API stream:`, error);
+                throw error;
+            }
+        }, { ...this.retryOptions, signal });
+    }
+}
@@ -0,0 +1,112 @@
+import BaseLLMProvider from './base-provider.js';
+import { fetchWithRetry } from './api-utils.js';
+
+/**
+ * Normalises a user supplied server address to the OpenAI-compatible `/v1` root.
+ * Accepts e.g. `http://localhost:11434`, `http://localhost:1234/v1/` or a full `/v1/chat/completions` URL.
+ */
+export function normalizeBaseUrl(url) {
+    let base = (url || '').trim().replace(/\/+$/, '');
+    base = base.replace(/\/chat\/completions$/, '').replace(/\/models$/, '');
+    if (!/\/v\d+$/.test(base)) base += '/v1';
+    return base;
+}
+
+/**
+ * Parses the "Extra headers" setting: one `Name: value` pair per line. Blank or malformed lines are ignored.
+ */
+export function parseHeaderLines(text) {
+    const headers = {};
+    (text || '').split('\n').forEach(line => {
+        const index = line.indexOf(':');
+        if (index <= 0) return;
+        const name = line.slice(0, index).trim();
+        const value = line.slice(index + 1).trim();
+        if (name) headers[name] = value;
+    });
+    return headers;
+}
+
+/**
+ * Client for self-hosted or local servers exposing the OpenAI chat completions API
+ * (Ollama, LM Studio, vLLM, llama.cpp server, ...).
+ */
+export default class CustomAPI extends BaseLLMProvider {
+    constructor(apiKey, { baseUrl, headers } = {}) {
+        const rootUrl = normalizeBaseUrl(baseUrl);
+        super(apiKey, {
+            name: 'Custom',
+            baseUrl: `${rootUrl}/chat/completions`,
+            requestOptions: {
+                temperature: 0.2
+            },
+            // Local models on consumer hardware can take minutes for a long prompt
+            retryOptions: { maxRetries: 2, timeoutMs: 180000 }
+        });
+        this.rootUrl = rootUrl;
+        this.extraHeaders = typeof headers === 'string' ? parseHeaderLines(headers) : (headers || {});
+    }
+
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.extraHeaders
+        };
+        // The key is optional: most local servers do not check it
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+        return headers;
+    }
+
+    // fetch() rejects with a TypeError when the server is down or blocks the extension origin
+    async request(url, options) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new Error(`Could not reach ${this.rootUrl}. Check that the server is running and the base URL is correct.`);
+        }
+    }
+
+    classifyError(status, errorData) {
+        const detail = this.extractErrorMessage(errorData, status);
+        let message;
+        if (status === 401) {
+            message = 'Authentication Error: The endpoint rejected the API key. Please check your settings.';
+        } else if (status === 403) {
+            message = 'Access Denied (403): The server refused requests from the extension. For Ollama, allow the origin with OLLAMA_ORIGINS=chrome-extension://*';
+        } else if (status === 404) {
+            message = `Not Found (404): Check the base URL and model name. ${detail}`;
+        } else if (status >= 500) {
+            message = `Custom Endpoint Error: ${status}. ${detail}`;
+        } else {
+            return super.classifyError(status, errorData);
+        }
+        const error = new Error(message);
+        error.status = status;
+        error.retryable = status >= 500;
+        return error;
+    }
+
+    /**
+     * Lists the model IDs served by the endpoint (`GET /v1/models`).
+     * @returns {Promise<string[]>}
+     */
+    async listModels() {
+        return fetchWithRetry(async (signal) => {
+            const response = await this.request(`${this.rootUrl}/models`, {
+                method: 'GET',
+                headers: this.getHeaders(),
+                signal
+            });
+
+            if (!response.ok) {
+                const errorData = await response.text();
+                Logger.error('[Custom] Models Response:', response.status, errorData);
+                throw this.classifyError(response.status, errorData);
+            }
+
+            const data = await response.json();
+            return (data.data || []).map(model => model.id).filter(Boolean).sort();
+        }, { maxRetries: 1, timeoutMs: 10000 });
+    }
+}
@@ -0,0 +1,77 @@
+import BaseLLMProvider from './base-provider.js';
+
+export default class GeminiAPI extends BaseLLMProvider {
+    constructor(apiKey) {
+        super(apiKey, {
+            name: 'Gemini',
+            baseUrl: 'https://generativelanguage.googleapis.com/v1beta/models'
+        });
+        this.rateLimitMessage = 'Rate Limit Exceeded: Check your Gemini plan and quotas.';
+    }
+
+    // alt=sse switches streamGenerateContent from a JSON array to server-sent events
+    getUrl(modelName, stream) {
+        const model = encodeURIComponent(modelName);
+        return stream
+            ? `${this.baseUrl}/${model}:streamGenerateContent?alt=sse`
+            : `${this.baseUrl}/${model}:generateContent`;
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': this.apiKey
+        };
+    }
+
+    buildBody(prompt, modelName, stream) {
+        return {
+            // Gemini names the assistant role "model"
+            contents: this.toMessages(prompt).map(message => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: message.content }]
+            })),
+            generationConfig: {
+                temperature: 0.2,
+                maxOutputTokens: 8192
+            }
+        };
+    }
+
+    extractText(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        return parts.map(part => part.text || '').join('');
+    }
+
+    parseResponse(data) {
+        return {
+            content: this.extractText(data),
+            usage: data.usageMetadata
+        };
+    }
+
+    // Every event carries the running usage totals, so the latest one wins
+    parseStreamEvent(parsed, eventName) {
+        if (parsed.error) {
+            throw new Error(parsed.error.message || 'Unknown stream error');
+        }
+        return {
+            token: this.extractText(parsed),
+            usage: parsed.usageMetadata
+        };
+    }
+
+    classifyError(status, errorData) {
+        let reason = '';
+        try {
+            reason = JSON.parse(errorData).error?.details?.find(detail => detail.reason)?.reason || '';
+        } catch (e) {
+            // Not JSON
+        }
+        // Gemini answers an invalid key with 400 API_KEY_INVALID (or 403) rather than 401
+        if (status === 403 || reason === 'API_KEY_INVALID') {
+            return super.classifyError(401, errorData);
+        }
+        return super.classifyError(status, errorData);
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * Generation history, persisted in IndexedDB so outputs survive Reset and closing the side panel.
+ * The store is capped by run count and by total size; the oldest runs are pruned first.
+ */
+const DB_NAME = 'aitestgen-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'runs';
+
+export const MAX_RUNS = 200;
+export const MAX_TOTAL_BYTES = 25 * 1024 * 1024;
+
+// Settings kept with a run. Credentials (apiKey, customHeaders) are never written to history.
+export const HISTORY_SETTINGS_KEYS = [
+  'llmProvider',
+  'llmModel',
+  'automationTool',
+  'language',
+  'outputFormat',
+  'testPage',
+  'testScript',
+  'sanitizePii',
+  'customBaseUrl'
+];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs `fn(store)` in a transaction and resolves with its result once the transaction commits.
+ */
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  const committed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const result = await fn(transaction.objectStore(STORE_NAME));
+  await committed;
+  return result;
+}
+
+/**
+ * Copies only the history-safe settings.
+ */
+export function snapshotSettings(settings) {
+  const snapshot = {};
+  HISTORY_SETTINGS_KEYS.forEach(key => {
+    if (settings[key] !== undefined) snapshot[key] = settings[key];
+  });
+  return snapshot;
+}
+
+/**
+ * Saves a generation run and prunes the store back under its caps.
+ * @param {object} run - { timestamp, pageUrl, pageUrls, elements, context, settings, requirements, responses, blocks, stats }
+ * @returns {Promise<number>} The id of the new run.
+ */
+export async function saveRun(run) {
+  const record = { ...run, settings: snapshotSettings(run.settings || {}) };
+  record.size = JSON.stringify(record).length;
+  const id = await withStore('readwrite', store => promisifyRequest(store.add(record)));
+  await pruneHistory();
+  return id;
+}
+
+/**
+ * Deletes the oldest runs until both MAX_RUNS and MAX_TOTAL_BYTES are respected.
+ */
+async function pruneHistory() {
+  const runs = await withStore('readonly', store => promisifyRequest(store.index('timestamp').getAll()));
+  let count = runs.length;
+  let totalBytes = runs.reduce((sum, run) => sum + (run.size || 0), 0);
+  const expired = [];
+
+  for (const run of runs) {
+    if (count <= MAX_RUNS && totalBytes <= MAX_TOTAL_BYTES) break;
+    expired.push(run.id);
+    count--;
+    totalBytes -= run.size || 0;
+  }
+
+  if (expired.length > 0) {
+    Logger.log(`[History] Pruning ${expired.length} old run(s).`);
+    await withStore('readwrite', store => Promise.all(expired.map(id => promisifyRequest(store.delete(id)))));
+  }
+}
+
+/**
+ * Lists runs, newest first. `query` matches (case-insensitively) the page URLs, the context and
+ * the generated text.
+ * @returns {Promise<object[]>}
+ */
+export async function listRuns(query = '') {
+  const runs = await withStore('readonly', store => promisifyRequest(store.index('timestamp').getAll()));
+  runs.reverse();
+
+  const needle = query.trim().toLowerCase();
+  if (!needle) return runs;
+  return runs.filter(run => {
+    const haystack = [
+      run.pageUrl,
+      ...(run.pageUrls || []),
+      run.context,
+      ...Object.values(run.blocks || {})
+    ].filter(Boolean).join('\n').toLowerCase();
+    return haystack.includes(needle);
+  });
+}
+
+export async function getRun(id) {
+  return withStore('readonly', store => promisifyRequest(store.get(id)));
+}
+
+export async function deleteRun(id) {
+  return withStore('readwrite', store => promisifyRequest(store.delete(id)));
+}
+
+export async function clearHistory() {
+  return withStore('readwrite', store => promisifyRequest(store.clear()));
+}
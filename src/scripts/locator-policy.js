@@ -0,0 +1,85 @@
+/**
+ * Locator policy shared by the Settings editor and the content script: which attributes hold test ids
+ * (in priority order), the weight of each locator strategy and whether it may be used, the ids and
+ * classes that must never appear in a locator, and how many fallbacks a locator chain may carry.
+ * Stored as `locatorPolicy` in `chrome.storage.local` and sent to the content script with each start message.
+ */
+
+const LocatorPolicy = {
+    // Strategies a locator can be built from, in the order the Settings editor lists them
+    STRATEGIES: ['testid', 'role', 'label', 'placeholder', 'id', 'name', 'text', 'xpath', 'css'],
+
+    MAX_FALLBACKS_LIMIT: 5,
+
+    DEFAULTS: {
+        testIdAttributes: ['data-testid', 'data-cy', 'data-test'],
+        weights: { testid: 100, role: 90, label: 85, placeholder: 80, id: 70, name: 65, text: 60, xpath: 45, css: 30 },
+        disabled: [], // Strategies that must not be used
+        idBlocklist: [], // Regular expressions (source strings) of ids never used in a locator
+        classBlocklist: [], // Regular expressions (source strings) of classes never used in a locator
+        maxFallbacks: 2 // Locators chained after the primary one (`.or()`, CSS selector list, try/catch)
+    },
+
+    /**
+     * Returns the invalid regular expressions of a list, each with the error it raises.
+     * @param {string[]} patterns
+     * @returns {Array<{pattern: string, error: string}>}
+     */
+    findInvalidPatterns: function (patterns) {
+        const invalid = [];
+        (patterns || []).forEach(pattern => {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                invalid.push({ pattern, error: error.message });
+            }
+        });
+        return invalid;
+    },
+
+    /**
+     * Fills missing values with the defaults and drops malformed ones (unknown strategies, out of range
+     * weights, invalid attribute names or regular expressions), so stored or received policies are safe to use.
+     * @param {object} [policy]
+     * @returns {object} A complete policy.
+     */
+    normalize: function (policy) {
+        const source = policy && typeof policy === 'object' ? policy : {};
+        const defaults = this.DEFAULTS;
+        // Empty form fields count as missing, not as 0
+        const asNumber = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+        const asList = (value, fallback) => Array.isArray(value)
+            ? [...new Set(value.map(item => String(item).trim()).filter(Boolean))]
+            : [...fallback];
+
+        const weights = {};
+        this.STRATEGIES.forEach(strategy => {
+            const weight = asNumber(source.weights?.[strategy]);
+            weights[strategy] = Number.isFinite(weight) ? Math.min(100, Math.max(0, Math.round(weight))) : defaults.weights[strategy];
+        });
+
+        const invalidIds = this.findInvalidPatterns(source.idBlocklist).map(item => item.pattern);
+        const invalidClasses = this.findInvalidPatterns(source.classBlocklist).map(item => item.pattern);
+        const maxFallbacks = asNumber(source.maxFallbacks);
+
+        return {
+            testIdAttributes: asList(source.testIdAttributes, defaults.testIdAttributes)
+                .map(name => name.toLowerCase())
+                .filter(name => /^[a-z_][\w.:-]*$/.test(name)),
+            weights,
+            disabled: asList(source.disabled, defaults.disabled).filter(strategy => this.STRATEGIES.includes(strategy)),
+            idBlocklist: asList(source.idBlocklist, defaults.idBlocklist).filter(pattern => !invalidIds.includes(pattern)),
+            classBlocklist: asList(source.classBlocklist, defaults.classBlocklist).filter(pattern => !invalidClasses.includes(pattern)),
+            maxFallbacks: Number.isInteger(maxFallbacks)
+                ? Math.min(this.MAX_FALLBACKS_LIMIT, Math.max(0, maxFallbacks))
+                : defaults.maxFallbacks
+        };
+    }
+};
+
+// Attach to global scope for the content script, the Settings tab and the side panel modules
+if (typeof self !== 'undefined') {
+    self.LocatorPolicy = LocatorPolicy;
+} else if (typeof window !== 'undefined') {
+    window.LocatorPolicy = LocatorPolicy;
+}
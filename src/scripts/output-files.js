@@ -0,0 +1,167 @@
+/**
+ * File naming for generated outputs: picks the extension from the selected language and output type,
+ * and derives class / file names from the generated code itself (e.g. LoginPage.ts, LoginTest.java,
+ * login.feature).
+ */
+
+const LANGUAGE_FILES = {
+  typescript: { ext: 'ts', mime: 'text/x-typescript' },
+  javascript: { ext: 'js', mime: 'text/javascript' },
+  java: { ext: 'java', mime: 'text/x-java-source' },
+  python: { ext: 'py', mime: 'text/x-python' },
+  csharp: { ext: 'cs', mime: 'text/x-csharp' }
+};
+
+// Runner conventions for test file suffixes (before the language extension)
+const TEST_SUFFIXES = {
+  playwright: 'spec',
+  cypress: 'cy',
+  selenium: 'spec'
+};
+
+// Top-level class declarations; indented classes (nested, or inside a C# namespace block) are not split
+const CLASS_PATTERN = /^(?:export\s+(?:default\s+)?)?(?:public\s+)?(?:abstract\s+|final\s+|sealed\s+|partial\s+)*class\s+([A-Za-z_]\w*)/gm;
+
+export function toSnakeCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+}
+
+export function toKebabCase(name) {
+  return toSnakeCase(name).replace(/_/g, '-');
+}
+
+function getLanguageFile(language) {
+  return LANGUAGE_FILES[(language || '').toLowerCase()] || { ext: 'txt', mime: 'text/plain' };
+}
+
+function findClassNames(code) {
+  return [...(code || '').matchAll(CLASS_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Splits a block holding several top-level classes (multi-page POM output) into one source per class.
+ * The lines before the first class (imports, package declaration) are repeated in every part.
+ * @returns {Array<{name: string, code: string}>} A single entry when there is nothing to split.
+ */
+export function splitClasses(code) {
+  const matches = [...(code || '').matchAll(CLASS_PATTERN)];
+  if (matches.length < 2) {
+    return [{ name: matches[0]?.[1] || null, code }];
+  }
+
+  // Decorators, annotations, attributes and comments directly above a class belong to it
+  const startOf = (match) => {
+    const lines = code.slice(0, match.index).split('\n');
+    lines.pop(); // the empty remainder: matches always start a line
+    let start = match.index;
+    while (lines.length > 0 && /^\s*(@|\[|\/\/|\/\*|\*|#)/.test(lines[lines.length - 1])) {
+      start -= lines.pop().length + 1;
+    }
+    return start;
+  };
+
+  const starts = matches.map(startOf);
+  const preamble = code.slice(0, starts[0]).trimEnd();
+  return matches.map((match, index) => {
+    const body = code.slice(starts[index], starts[index + 1] ?? code.length).trim();
+    return { name: match[1], code: preamble ? `${preamble}\n\n${body}\n` : `${body}\n` };
+  });
+}
+
+/**
+ * Builds the file name for a page object class.
+ */
+function pageFileName(className, language) {
+  const { ext } = getLanguageFile(language);
+  const name = className || 'Page';
+  // Python modules are snake_case; the other languages name the file after the class
+  return language === 'python' ? `${toSnakeCase(name)}.${ext}` : `${name}.${ext}`;
+}
+
+/**
+ * Builds the file name for a test script.
+ */
+function scriptFileName(code, settings) {
+  const language = (settings.language || '').toLowerCase();
+  const tool = (settings.automationTool || '').toLowerCase();
+  const { ext } = getLanguageFile(language);
+  const className = findClassNames(code)[0];
+
+  if (language === 'java' || language === 'csharp') {
+    return `${className || 'GeneratedTest'}.${ext}`;
+  }
+  if (language === 'python') {
+    const testName = className || code.match(/^def (test_\w+)/m)?.[1] || 'generated';
+    const snake = toSnakeCase(testName);
+    return `${snake.startsWith('test_') ? snake : `test_${snake}`}.${ext}`;
+  }
+
+  // TS / JS runners: name the file after the first describe block, then the class, then the first test
+  const title = code.match(/\b(?:test\.)?describe\(\s*(['"`])(.+?)\1/)?.[2]
+    || className
+    || code.match(/\b(?:test|it)\(\s*(['"`])(.+?)\1/)?.[2]
+    || 'generated';
+  return `${toKebabCase(title) || 'generated'}.${TEST_SUFFIXES[tool] || 'test'}.${ext}`;
+}
+
+/**
+ * Builds the file name for a manual test or feature file.
+ */
+function testCaseFileName(content, requirements) {
+  if (requirements.feature) {
+    const feature = content.match(/^\s*Feature:\s*(.+)$/m)?.[1];
+    return `${toSnakeCase(feature || '') || 'generated'}.feature`;
+  }
+  return 'test_cases.md';
+}
+
+/**
+ * Describes the file a single output tab is saved as.
+ * @param {'test-case'|'pom'|'script'} target
+ * @param {string} content - The tab content.
+ * @param {object} settings - { automationTool, language }
+ * @param {object} requirements - { manual, feature, pom, script }
+ * @returns {{name: string, mime: string}}
+ */
+export function getOutputFile(target, content, settings, requirements = {}) {
+  const language = (settings.language || '').toLowerCase();
+  if (target === 'test-case') {
+    const name = testCaseFileName(content, requirements);
+    return { name, mime: name.endsWith('.md') ? 'text/markdown' : 'text/plain' };
+  }
+  const { mime } = getLanguageFile(language);
+  if (target === 'pom') {
+    return { name: pageFileName(findClassNames(content)[0], language), mime };
+  }
+  return { name: scriptFileName(content, settings), mime };
+}
+
+/**
+ * Lists the files of a "Download all" bundle with their folder layout:
+ * `pages/` for page objects (one file per class), `tests/` for the test script,
+ * `features/` for a feature file and `test-cases/` for manual tests.
+ * @param {object} outputs - { testCase, pom, script } tab contents (empty ones are skipped).
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function getBundleFiles(outputs, settings, requirements = {}) {
+  const language = (settings.language || '').toLowerCase();
+  const files = [];
+
+  if (outputs.testCase) {
+    const folder = requirements.feature ? 'features' : 'test-cases';
+    files.push({ path: `${folder}/${testCaseFileName(outputs.testCase, requirements)}`, content: outputs.testCase });
+  }
+  if (outputs.pom) {
+    splitClasses(outputs.pom).forEach(part => {
+      files.push({ path: `pages/${pageFileName(part.name, language)}`, content: part.code });
+    });
+  }
+  if (outputs.script) {
+    files.push({ path: `tests/${scriptFileName(outputs.script, settings)}`, content: outputs.script });
+  }
+  return files;
+}
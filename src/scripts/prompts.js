@@ -1,5 +1,6 @@
 import { getDesignatedPrompt as getPlaywrightPrompt } from './prompts/playwright.js';
 import { getDesignatedPrompt as getSeleniumPrompt } from './prompts/selenium.js';
+import { getDesignatedPrompt as getCypressPrompt } from './prompts/cypress.js';
 import { ManualPrompts } from './prompts/manual.js';
 import { GherkinPrompts } from './prompts/gherkin.js';
 
@@ -8,6 +9,62 @@ export const PROMPTS = {
   gherkin: GherkinPrompts
 };
 
+/**
+ * Lists the pages of a multi-page capture session in visiting order.
+ * Returns an empty string for single-page sessions so the prompt stays unchanged.
+ */
+function getPageFlowSection(variables) {
+  if (!variables.multiPage || !variables.pages) return '';
+  const pageList = variables.pages
+    .map((page, index) => `${index + 1}. ${page.pageTitle || 'Untitled page'} (${page.pageUrl})`)
+    .join('\n');
+  return `PAGES IN FLOW (visited in this order; the DOM is grouped per page):
+${pageList}
+[RULE] Steps must follow this page order and include the navigation between pages.
+`;
+}
+
+/**
+ * Lists the user actions captured in Record mode, which the test steps must follow.
+ * Returns an empty string when nothing was recorded.
+ */
+function getRecordedFlowSection(variables) {
+  if (!variables.recorded) return '';
+  return `RECORDED FLOW (user actions captured in the browser, in the order they were performed):
+${variables.recordedSteps}
+[RULE] The test steps must follow the RECORDED FLOW exactly: same actions, same order, same values. Do not add, drop or reorder user actions; add checks between them where useful.
+[RULE] The first "navigate" step is the starting page; later "navigate" steps are the result of the previous action. "wait" steps wait for the element to be visible. "masked" values are secrets: refer to them as test data instead of showing a value.
+`;
+}
+
+/**
+ * Tells the model how to use the notes and logical names the user attached to elements.
+ * Returns an empty string when no element has any.
+ */
+function getElementNotesSection(variables) {
+  if (!variables.annotated) return '';
+  return `[RULE] Elements may carry a "note" written by the user about their purpose: cover the scenarios it asks for (e.g. invalid values to test).
+[RULE] Refer to elements that have a "logicalName" by that name in the steps.
+`;
+}
+
+/**
+ * Asks for negative and boundary-value cases derived from the captured constraints and state.
+ * Returns an empty string when no element has any.
+ */
+function getConstraintsSection(variables) {
+  if (!variables.constrained) return '';
+  return `[RULE] Elements may carry "constraints" (required, pattern, min/max/step, minLength/maxLength, accept, options, datalist, validationMessages) and "elementState" (disabled, readonly, checked, invalid). After the positive cases, add negative and boundary-value cases derived from them:
+  - required: the field left empty
+  - min / max (with step): each limit, and one step below min and above max
+  - minLength / maxLength: exactly each limit, and one character fewer / more
+  - pattern: a value that does not match it
+  - options: a disabled option, or no choice when the select is required
+[RULE] The expected result of an invalid input is the element's "validationMessages" when known, and the form not being submitted.
+[RULE] Do not enter values into disabled or readonly elements: check their state instead.
+`;
+}
+
 /**
  * Generates prompt for Manual or Gherkin test generation.
  */
@@ -18,7 +75,7 @@ export function getManualGherkinPrompt(variables) {
 
 USER CONTEXT: ${context}
 PAGE URL: ${variables.pageUrl}
-
+${getPageFlowSection(variables)}${getRecordedFlowSection(variables)}${getElementNotesSection(variables)}${getConstraintsSection(variables)}
 --------------------------------------------------
 EXECUTE THE FOLLOWING TASKS:
 --------------------------------------------------
@@ -43,7 +100,7 @@ ${PROMPTS.gherkin.FEATURE}
 }
 
 /**
- * Generates prompt for Automation Script generation (Playwright/Selenium).
+ * Generates prompt for Automation Script generation (Playwright/Selenium/Cypress).
  */
 export function getAutomationPrompt(variables) {
   const tool = variables.tool || "Playwright";
@@ -51,17 +108,73 @@ export function getAutomationPrompt(variables) {
 
   if (tool.toLowerCase() === 'playwright') {
     return getPlaywrightPrompt(lang.toLowerCase(), {
-      includePom: variables.requirements.pom
+      includePom: variables.requirements.pom,
+      multiPage: variables.multiPage,
+      recorded: variables.recorded,
+      constrained: variables.constrained
     })
+      .replace(/\${recordedSteps}/g, () => variables.recordedSteps)
       .replace(/\${pageUrl}/g, variables.pageUrl)
       .replace(/\${domContent}/g, variables.domContent);
   } else if (tool.toLowerCase() === 'selenium') {
     return getSeleniumPrompt(lang.toLowerCase(), {
-      includePom: variables.requirements.pom
+      includePom: variables.requirements.pom,
+      multiPage: variables.multiPage,
+      recorded: variables.recorded,
+      constrained: variables.constrained
+    })
+      .replace(/\${recordedSteps}/g, () => variables.recordedSteps)
+      .replace(/\${pageUrl}/g, variables.pageUrl)
+      .replace(/\${domContent}/g, variables.domContent);
+  } else if (tool.toLowerCase() === 'cypress') {
+    return getCypressPrompt(lang.toLowerCase(), {
+      includePom: variables.requirements.pom,
+      multiPage: variables.multiPage,
+      recorded: variables.recorded,
+      constrained: variables.constrained
     })
+      .replace(/\${recordedSteps}/g, () => variables.recordedSteps)
       .replace(/\${pageUrl}/g, variables.pageUrl)
       .replace(/\${domContent}/g, variables.domContent);
   }
 
   throw new Error(`Unsupported tool: ${tool}`);
 }
+
+/**
+ * Output tabs that can be refined, mapped to the tag that wraps their content.
+ * The Test Case tab holds either a manual test or a feature file depending on the output format.
+ */
+const REFINE_TARGETS = {
+  'test-case': { label: 'test cases', tag: (variables) => variables.requirements.feature ? 'FEATURE_FILE' : 'MANUAL_TEST' },
+  'pom': { label: 'Page Object Model', tag: () => 'POM' },
+  'script': { label: 'test script', tag: () => 'TEST_SCRIPT' }
+};
+
+/**
+ * Returns the tag (e.g. POM) that wraps the content of an output tab.
+ */
+export function getRefineTag(target, variables) {
+  const refineTarget = REFINE_TARGETS[target];
+  if (!refineTarget) throw new Error(`Unsupported refine target: ${target}`);
+  return refineTarget.tag(variables);
+}
+
+/**
+ * Generates the follow-up user turn that asks the model to revise one of its previous outputs.
+ * It is sent after the original prompt and the previous assistant reply, so the model keeps the full context.
+ * variables: { target, instruction, tool, lang, requirements }
+ */
+export function getRefinePrompt(variables) {
+  const refineTarget = REFINE_TARGETS[variables.target];
+  const tag = getRefineTag(variables.target, variables);
+  const toolLine = variables.target === 'test-case' ? '' : `\nTOOL: ${variables.tool} · ${variables.lang}`;
+
+  return `TASK: [Refine the ${refineTarget.label}]
+INSTRUCTION: ${variables.instruction}${toolLine}
+
+[RULE] Apply the instruction to the ${refineTarget.label} from your previous reply and keep everything else that is still valid.
+[RULE] Keep the locators, conventions and format used so far.
+[RULE] Return the COMPLETE revised ${refineTarget.label}, not a diff or a summary of changes.
+[RULE] Wrap the response strictly inside [[START_${tag}]] and [[END_${tag}]] and output nothing outside the tags.`;
+}
@@ -0,0 +1,245 @@
+/**
+ * Prompts for Cypress Automation Tool
+ * Implements ICE-TOP Framework (Instruction, Context, Example, Tone, Output, Persona)
+ */
+
+const STRICT_RULES = `
+- [CRITICAL]: Use the pre-calculated \`cypressLocator\` field (cy.get with data-cy/data-test attributes or cy.contains) for EVERY element interaction. Do NOT invent locators
+- The DOM elements are listed in the intended interaction order: the test must interact with them in that sequence (a RECORDED FLOW, when present, takes precedence)
+- Elements with a non-empty \`frameChain\` are inside iframes: keep the \`contentDocument.body\` chain their locator starts with
+- Elements with \`locatorPinned: true\` have a \`cypressLocator\` chosen by the user: use it exactly as given, without extending the selector list
+- Elements with a \`logicalName\` must be named after it: Page Object getter and alias names (in camelCase)
+- An element's \`note\` is the user's description of its purpose: cover the scenarios it asks for (e.g. invalid values to test)
+- Elements sharing a \`container\` (form, table or dialog) were captured together: group their Page Object getters under a comment naming the container
+- Elements with a \`rowContext\` sit in a table row or list item identified by \`rowContext.key\` (a business key such as an invoice number): expose them as Page Object methods taking the key (e.g. \`editButton(invoiceId)\`) that find the row with \`cy.contains(rowSelector, key)\` and the element \`within()\` it, instead of hard-coding the row
+- Use Cypress command chaining; do NOT use async/await or store command results in variables
+- Rely on Cypress built-in retry-ability and assertions (.should) instead of fixed cy.wait() calls
+- Use France realistic dataset: names (Marie Martin, Lucas Bernard), addresses (24 Rue de l’Exposition, Paris), mobile (+33-6-12-34-56-78), pin codes (75007 (Paris), 75001 (Paris), 69002 (Lyon), 06300 (Nice))
+- Use dropdown values ONLY from provided DOM options (use .select() for <select> elements)
+- Test name should be descriptive based on functionality`;
+
+const MULTI_PAGE_RULES = `
+- [MULTI-PAGE FLOW]: The DOM is grouped per page (\`pageUrl\`, \`pageTitle\`, \`elements\`) in the order the user visited the pages
+- The test must walk through the pages in that order and verify each page transition (cy.url() or heading) before using the next page's elements`;
+
+const RECORDED_FLOW_RULES = `
+- [RECORDED FLOW]: The user performed the RECORDED FLOW in the browser. The test must replay its steps in EXACTLY that order with the same values; do not add, drop or reorder user actions
+- Map each step to one command chain on its \`cypressLocator\`: click → .click(), fill → .type(value), select → .select(value), check/uncheck → .check()/.uncheck(), upload → .selectFile(), press → .type('{enter}'), wait → .should('be.visible')
+- The first \`navigate\` step is the cy.visit() target; later \`navigate\` steps result from the previous action, so assert them with cy.url().should()
+- \`masked\` values are secrets: read them with Cypress.env() instead of hard-coding them`;
+
+const CONSTRAINT_RULES = `
+- [CONSTRAINTS]: Elements may carry \`constraints\` (required, pattern, min/max/step, minLength/maxLength, accept, options, datalist, validationMessages) and \`elementState\` (disabled, readonly, checked, invalid). Besides the positive test, add negative and boundary-value tests derived from them: each required field left empty, min and max and one step beyond each, exactly minLength and maxLength characters and one character fewer / more, and a value that breaks \`pattern\`
+- Assert each rejection: the element's \`validationMessages\` when known (cy.contains on the message, or .invoke('prop', 'validationMessage') on the input), \`aria-invalid\`, and that the form was not submitted
+- Never type into disabled or readonly elements: assert their state instead (.should('be.disabled'), .should('have.attr', 'readonly'), .should('be.checked'))
+- Drive the boundary values from one data table (a forEach generating one it() per case) instead of duplicating tests; keep any recorded flow as its own test`;
+
+const RECORDED_FLOW_CONTEXT = `
+RECORDED FLOW (user actions in the order they were performed):
+\${recordedSteps}
+`;
+
+const COMMON = {
+  CONTEXT: `
+C - CONTEXT:
+DOM:
+\${domContent}
+
+Page URL: \${pageUrl}
+`,
+  TONE: `
+T - TONE:
+Professional, idiomatic Cypress command chains, fully executable.
+`,
+  PERSONA: (language) => `
+P - PERSONA:
+Frontend QA engineers working with Cypress in ${language === 'typescript' ? 'TypeScript' : 'JavaScript'} who need production-ready end-to-end specs.
+`
+};
+
+const EXAMPLES = {
+  INPUT_DOM: `
+E - EXAMPLE (Input DOM):
+\`\`\`html
+<form>
+  <input name="username" data-cy="username" placeholder="Username">
+  <input name="password" data-cy="password" type="password" placeholder="Password">
+  <button>Login</button>
+</form>
+\`\`\`
+`,
+  OUTPUT_SCRIPT: (language) => `
+E - EXAMPLE (Output):
+\`\`\`${language}
+[[START_TEST_SCRIPT]]
+// login.cy.${language === 'typescript' ? 'ts' : 'js'}
+describe('Login', () => {
+  it('user can login with valid credentials', () => {
+    // Navigate to login page
+    cy.visit('\${pageUrl}');
+
+    // Fill login form
+    cy.get('[data-cy="username"]').type('Ravi Kumar');
+    cy.get('[data-cy="password"]').type('TestPass@123');
+
+    // Submit form
+    cy.contains('button', 'Login').click();
+
+    // Verify successful login
+    cy.url().should('include', '/dashboard');
+  });
+});
+[[END_TEST_SCRIPT]]
+\`\`\`
+`,
+  OUTPUT_POM_AND_SCRIPT: (language) => {
+    const isTS = language === 'typescript';
+    const typeAnnot = (type) => isTS ? `: ${type}` : '';
+
+    return `
+E - EXAMPLE (Output):
+\`\`\`${language}
+[[START_POM]]
+// LoginPage.${isTS ? 'ts' : 'js'}
+${isTS ? 'export ' : ''}class LoginPage {
+  visit() {
+    cy.visit('\${pageUrl}');
+    return this;
+  }
+
+  get usernameInput() {
+    return cy.get('[data-cy="username"]');
+  }
+
+  get passwordInput() {
+    return cy.get('[data-cy="password"]');
+  }
+
+  get loginButton() {
+    return cy.contains('button', 'Login');
+  }
+
+  fillUsername(username${typeAnnot('string')}) {
+    this.usernameInput.type(username);
+    return this;
+  }
+
+  fillPassword(password${typeAnnot('string')}) {
+    this.passwordInput.type(password);
+    return this;
+  }
+
+  clickLogin() {
+    this.loginButton.click();
+    return this;
+  }
+}
+${!isTS ? 'module.exports = { LoginPage };' : ''}
+[[END_POM]]
+\`\`\`
+
+\`\`\`${language}
+[[START_TEST_SCRIPT]]
+// login.cy.${isTS ? 'ts' : 'js'}
+${isTS ? "import { LoginPage } from '../pages/LoginPage';" : "const { LoginPage } = require('../pages/LoginPage');"}
+
+describe('Login', () => {
+  it('user can login with valid credentials', () => {
+    const loginPage = new LoginPage();
+    loginPage.visit()
+      .fillUsername('Ravi Kumar')
+      .fillPassword('TestPass@123')
+      .clickLogin();
+
+    cy.url().should('include', '/dashboard');
+  });
+});
+[[END_TEST_SCRIPT]]
+\`\`\`
+`
+  }
+};
+
+/**
+ * Generates a Cypress prompt based on language and mode.
+ * @param {string} language - 'javascript' | 'typescript'
+ * @param {object} options - { includePom: boolean, multiPage: boolean, recorded: boolean, constrained: boolean }
+ * @returns {string} The formatted prompt adhering to ICE-TOP.
+ */
+export const getDesignatedPrompt = (language, { includePom, multiPage, recorded, constrained } = {}) => {
+  // Validate inputs
+  if (!['typescript', 'javascript'].includes(language)) {
+    throw new Error(`Unsupported language: ${language}. Only 'javascript' and 'typescript' are supported.`);
+  }
+
+  const langName = language === 'typescript' ? 'TypeScript' : 'JavaScript';
+
+  // Build Sections
+
+  // I - INSTRUCTION
+  let instruction = `
+I - INSTRUCTION:
+[CRITICAL OUTPUT RULE] Your response MUST use these exact delimiter tags — no exceptions:
+${includePom
+      ? '  - Wrap the Page Object Model in [[START_POM]] ... [[END_POM]]\n  - Wrap the Test Script in [[START_TEST_SCRIPT]] ... [[END_TEST_SCRIPT]]'
+      : '  - Wrap all output in [[START_TEST_SCRIPT]] ... [[END_TEST_SCRIPT]]'}
+Failure to include these tags will make your output unusable.
+
+Generate a complete Cypress ${langName} ${includePom ? 'Solution (Page Object Model + Spec File)' : 'spec file'} for the provided DOM. Follow these rules strictly:
+${STRICT_RULES}${multiPage ? MULTI_PAGE_RULES : ''}${recorded ? RECORDED_FLOW_RULES : ''}${constrained ? CONSTRAINT_RULES : ''}
+`;
+  if (includePom && multiPage) {
+    instruction += `- Create ONE Page Object class per page and place all of them, one after another, inside the single [[START_POM]] ... [[END_POM]] block
+`;
+  }
+  if (includePom) {
+    instruction += `- Implement Page Object Model class exposing elements as getters that return Cypress chains
+- Keep assertions in the spec file, not in the Page Object
+- Return 'this' from action methods for method chaining
+- Create a separate spec file (describe/it) that uses the Page Object
+`;
+  } else {
+    instruction += `- Add test setup (cy.visit in the test or a beforeEach) and proper assertions
+- Keep all logic in a single spec file using describe/it blocks
+`;
+  }
+
+  // C - CONTEXT
+  const context = recorded ? COMMON.CONTEXT + RECORDED_FLOW_CONTEXT : COMMON.CONTEXT;
+
+  // E - EXAMPLE
+  const exampleInput = EXAMPLES.INPUT_DOM;
+  const exampleOutput = includePom ? EXAMPLES.OUTPUT_POM_AND_SCRIPT(language) : EXAMPLES.OUTPUT_SCRIPT(language);
+
+  // T - TONE
+  const tone = COMMON.TONE;
+
+  // O - OUTPUT
+  let outputFormat = `
+O - OUTPUT FORMAT [CRITICAL — YOU MUST FOLLOW THIS EXACTLY]:
+`;
+  if (includePom) {
+    outputFormat += `Provide EXACTLY TWO code blocks in this order:
+1. The Page Object Model class in ${langName} — MUST be wrapped in [[START_POM]] at the start and [[END_POM]] at the end
+2. The Cypress spec in ${langName} — MUST be wrapped in [[START_TEST_SCRIPT]] at the start and [[END_TEST_SCRIPT]] at the end
+Do NOT omit these tags. Do NOT add explanations outside the code blocks.`;
+  } else {
+    outputFormat += `Output ONLY the ${langName} code block.
+It MUST start with [[START_TEST_SCRIPT]] and end with [[END_TEST_SCRIPT]].
+Do NOT omit these tags. Do NOT add any explanations.`;
+  }
+
+  // P - PERSONA
+  const persona = COMMON.PERSONA(language);
+
+  // Combine all sections
+  return [
+    instruction,
+    context,
+    exampleInput,
+    exampleOutput,
+    tone,
+    outputFormat,
+    persona
+  ].join('').trim();
+};
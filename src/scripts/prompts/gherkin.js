@@ -7,6 +7,7 @@ I - INSTRUCTION:
 Generate ONLY a Cucumber (.feature) file for the provided DOM. Follow these rules strictly:
 - Use Scenario Outline with Examples table (3-5 rows maximum)
 - Every step must reference elements existing in the provided DOM
+- The DOM elements are listed in the order the user interacts with them: steps must follow that order
 - Do not combine multiple actions into one step (one action per step)
 - Use France & South India realistic dataset: 
   - South India data set - names (Ravi Kumar, Priya Menon, Arun Suresh, Lakshmi Iyer, Venkat Reddy), addresses (MG Road Bangalore 560001, Anna Salai Chennai 600001, Marine Drive Kochi 682001), mobile (+91-9845000001 to +91-9845000005), pin codes (560001, 600001, 682001, 500001, 641001)
@@ -15,6 +16,7 @@ Generate ONLY a Cucumber (.feature) file for the provided DOM. Follow these rule
 - Feature name: "<AppName> <Functionality>" from DOM title/form labels
 - Add Background section for common preconditions if they exist in DOM
 - Generate multiple Scenario Outlines if different data types/flow variations exist
+- Put invalid and boundary inputs derived from the elements' constraints in their own Scenario Outline, with an Examples column for the expected message
 
 C - CONTEXT: 
 DOM:
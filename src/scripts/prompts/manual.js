@@ -7,13 +7,14 @@ I - INSTRUCTION:
 Generate ONLY manual test cases for the provided DOM in a structured table format. Follow these rules strictly:
 - Use Test Case ID, Description, Preconditions, Test Steps (numbered), Expected Result
 - Every step must reference elements existing in the provided DOM
+- The DOM elements are listed in the order the user interacts with them: steps must follow that order
 - Do not combine multiple actions into one step (one action per step)
 - Use France & South India realistic dataset: 
   - South India data set - names (Ravi Kumar, Priya Menon, Arun Suresh, Lakshmi Iyer, Venkat Reddy), addresses (MG Road Bangalore 560001, Anna Salai Chennai 600001, Marine Drive Kochi 682001), mobile (+91-9845000001 to +91-9845000005), pin codes (560001, 600001, 682001, 500001, 641001)
   - France data set names (Marie Martin, Lucas Bernard), addresses (24 Rue de l’Exposition, Paris), mobile (+33-6-12-34-56-78), pin codes (75007 (Paris), 75001 (Paris), 69002 (Lyon), 06300 (Nice))
 - Use dropdown values ONLY from provided DOM options
 - Test Case title: "<AppName> <Functionality>" from DOM title/form labels
-- Create 3-5 test cases covering positive scenarios with data variations
+- Create 3-5 test cases covering positive scenarios with data variations, then the negative and boundary-value test cases the elements' constraints call for
 - Generate separate test cases if different data types/flow variations exist
 
 C - CONTEXT:
@@ -5,12 +5,40 @@
 
 const STRICT_RULES = `
 - [CRITICAL]: Use the pre-calculated \`playwrightLocator\` field (modern locators like getByRole/getByLabel/getByTestId) for EVERY element interaction. Do NOT invent locators
+- The DOM elements are listed in the intended interaction order: the test must interact with them in that sequence (a RECORDED FLOW, when present, takes precedence)
+- Elements with a non-empty \`frameChain\` are inside iframes: keep the \`frameLocator()\` chain their locator starts with
+- Elements with \`locatorPinned: true\` have a \`playwrightLocator\` chosen by the user: use it exactly as given, without adding \`.or()\` fallbacks
+- Elements with a \`logicalName\` must be named after it: Page Object property and locator variable names (in camelCase)
+- An element's \`note\` is the user's description of its purpose: cover the scenarios it asks for (e.g. invalid values to test)
+- Elements sharing a \`container\` (form, table or dialog) were captured together: group their Page Object members under a comment naming the container
+- Elements with a \`rowContext\` sit in a table row or list item identified by \`rowContext.key\` (a business key such as an invoice number): expose them as Page Object methods taking the key (e.g. \`editButton(invoiceId)\`) that pass it to the locator's \`filter({ hasText })\`, instead of hard-coding the row
 - Include proper async/await patterns throughout
 - Use France realistic dataset: names (Marie Martin, Lucas Bernard), addresses (24 Rue de l’Exposition, Paris), mobile (+33-6-12-34-56-78), pin codes (75007 (Paris), 75001 (Paris), 69002 (Lyon), 06300 (Nice))
 - Use dropdown values ONLY from provided DOM options
 - Test name should be descriptive based on functionality
 - Include proper waits and error handling`;
 
+const MULTI_PAGE_RULES = `
+- [MULTI-PAGE FLOW]: The DOM is grouped per page (\`pageUrl\`, \`pageTitle\`, \`elements\`) in the order the user visited the pages
+- The test must walk through the pages in that order and verify each page transition (URL or heading) before using the next page's elements`;
+
+const RECORDED_FLOW_RULES = `
+- [RECORDED FLOW]: The user performed the RECORDED FLOW in the browser. The test must replay its steps in EXACTLY that order with the same values; do not add, drop or reorder user actions
+- Map each step to one Playwright call on its \`playwrightLocator\`: click → click(), fill → fill(value), select → selectOption(value), check/uncheck → check()/uncheck(), upload → setInputFiles(), press → press(key), wait → expect(locator).toBeVisible()
+- The first \`navigate\` step is the page.goto() target; later \`navigate\` steps result from the previous action, so assert them with expect(page).toHaveURL()
+- \`masked\` values are secrets: read them from environment variables instead of hard-coding them`;
+
+const CONSTRAINT_RULES = `
+- [CONSTRAINTS]: Elements may carry \`constraints\` (required, pattern, min/max/step, minLength/maxLength, accept, options, datalist, validationMessages) and \`elementState\` (disabled, readonly, checked, invalid). Besides the positive test, add negative and boundary-value tests derived from them: each required field left empty, min and max and one step beyond each, exactly minLength and maxLength characters and one character fewer / more, and a value that breaks \`pattern\`
+- Assert each rejection: the element's \`validationMessages\` when known (toContainText on the message, or the input's validationMessage property), \`aria-invalid\`, and that the form was not submitted
+- Never fill disabled or readonly elements: assert their state instead (toBeDisabled(), not.toBeEditable(), toBeChecked())
+- Drive the boundary values from one data table (a loop generating one test per case) instead of duplicating tests; keep any recorded flow as its own test`;
+
+const RECORDED_FLOW_CONTEXT = `
+RECORDED FLOW (user actions in the order they were performed):
+\${recordedSteps}
+`;
+
 const COMMON = {
   CONTEXT: `
 C - CONTEXT:
@@ -132,10 +160,10 @@ test('user can login with valid credentials', async ({ page }) => {
 /**
  * Generates a Playwright prompt based on language and mode.
  * @param {string} language - 'typescript' | 'javascript'
- * @param {object} options - { includePom: boolean }
+ * @param {object} options - { includePom: boolean, multiPage: boolean, recorded: boolean, constrained: boolean }
  * @returns {string} The formatted prompt adhering to ICE-TOP.
  */
-export const getDesignatedPrompt = (language, { includePom } = {}) => {
+export const getDesignatedPrompt = (language, { includePom, multiPage, recorded, constrained } = {}) => {
   // Validate inputs
   if (!['typescript', 'javascript'].includes(language)) {
     throw new Error(`Unsupported language: ${language}. Only 'typescript' and 'javascript' are supported.`);
@@ -155,8 +183,12 @@ ${includePom
 Failure to include these tags will make your output unusable.
 
 Generate a complete Playwright ${langName} ${includePom ? 'Solution (Page Object Model + Test Script)' : 'test file'} for the provided DOM. Follow these rules strictly:
-${STRICT_RULES}
+${STRICT_RULES}${multiPage ? MULTI_PAGE_RULES : ''}${recorded ? RECORDED_FLOW_RULES : ''}${constrained ? CONSTRAINT_RULES : ''}
 `;
+  if (includePom && multiPage) {
+    instruction += `- Create ONE Page Object class per page and place all of them, one after another, inside the single [[START_POM]] ... [[END_POM]] block
+`;
+  }
   if (includePom) {
     instruction += `- Implement Page Object Model class isolating locators and actions
 - Encapsulate all locators as private methods or properties
@@ -170,7 +202,7 @@ ${STRICT_RULES}
   }
 
   // C - CONTEXT
-  const context = COMMON.CONTEXT;
+  const context = recorded ? COMMON.CONTEXT + RECORDED_FLOW_CONTEXT : COMMON.CONTEXT;
 
   // E - EXAMPLE
   const exampleInput = EXAMPLES.INPUT_DOM;
@@ -4,13 +4,48 @@
  */
 
 const STRICT_RULES = `
-- [CRITICAL]: Use the pre-calculated \`seleniumLocator\` field (modern locators like By.id/By.name/By.cssSelector/By.xpath) for EVERY element interaction. Do NOT invent locators.
+- [CRITICAL]: Use the pre-calculated \`seleniumLocator\` field (By locators and fallback blocks already written in the target language's syntax) for EVERY element interaction. Do NOT invent locators.
+- The DOM elements are listed in the intended interaction order: the test must interact with them in that sequence (a RECORDED FLOW, when present, takes precedence)
+- Elements with a non-empty \`frameChain\` are inside iframes: keep the frame switching steps of their locator and switch back to the default content before using elements of the top document
+- Elements with \`locatorPinned: true\` have a \`seleniumLocator\` chosen by the user: use it exactly as given, without adding fallback blocks
+- Elements with a \`logicalName\` must be named after it: Page Object field and By locator names (in the naming convention of the target language)
+- An element's \`note\` is the user's description of its purpose: cover the scenarios it asks for (e.g. invalid values to test)
+- Elements sharing a \`container\` (form, table or dialog) were captured together: group their Page Object fields under a comment naming the container
+- Elements with a \`rowContext\` sit in a table row or list item identified by \`rowContext.key\` (a business key such as an invoice number): expose them as Page Object methods taking the key (e.g. \`editButton(invoiceId)\`) that build the row XPath of the locator (\`//tr[td[normalize-space(.)=...]]\`) from it, instead of hard-coding the row
 - Include proper explicit waits (WebDriverWait) for element visibility/interactability
 - Use France realistic dataset: names (Marie Martin, Lucas Bernard), addresses (24 Rue de l’Exposition, Paris), mobile (+33-6-12-34-56-78), pin codes (75007 (Paris), 75001 (Paris), 69002 (Lyon), 06300 (Nice))
 - Use dropdown values ONLY from provided DOM options
 - Test name should be descriptive based on functionality
 - Include proper error handling and driver teardown (using try-finally or fixtures/annotations)`;
 
+const MULTI_PAGE_RULES = `
+- [MULTI-PAGE FLOW]: The DOM is grouped per page (\`pageUrl\`, \`pageTitle\`, \`elements\`) in the order the user visited the pages
+- The test must walk through the pages in that order and verify each page transition (URL or heading) before using the next page's elements`;
+
+const RECORDED_FLOW_RULES = `
+- [RECORDED FLOW]: The user performed the RECORDED FLOW in the browser. The test must replay its steps in EXACTLY that order with the same values; do not add, drop or reorder user actions
+- Use the \`seleniumLocator\` of each step: click → click(), fill → clear() then sendKeys(value), select → the Select helper by visible text, check/uncheck → click() only when the state differs, upload → sendKeys(file path), press → sendKeys(Keys.ENTER), wait → explicit wait for visibility
+- The first \`navigate\` step is the driver.get() target; later \`navigate\` steps result from the previous action, so wait for the URL to change to them
+- \`masked\` values are secrets: read them from environment variables instead of hard-coding them`;
+
+const CONSTRAINT_RULES = `
+- [CONSTRAINTS]: Elements may carry \`constraints\` (required, pattern, min/max/step, minLength/maxLength, accept, options, datalist, validationMessages) and \`elementState\` (disabled, readonly, checked, invalid). Besides the positive test, add negative and boundary-value tests derived from them: each required field left empty, min and max and one step beyond each, exactly minLength and maxLength characters and one character fewer / more, and a value that breaks \`pattern\`
+- Assert each rejection: the element's \`validationMessages\` when known (the message element's text, or getAttribute("validationMessage") / get_attribute("validationMessage") on the input), \`aria-invalid\`, and that the form was not submitted
+- Never type into disabled or readonly elements: assert their state instead (isEnabled() / is_enabled(), the readonly attribute, isSelected() / is_selected())
+- Drive the boundary values from the test framework's parameterized tests (JUnit @ParameterizedTest, pytest.mark.parametrize, NUnit [TestCase], a loop of it() blocks) instead of duplicating tests; keep any recorded flow as its own test`;
+
+const RECORDED_FLOW_CONTEXT = `
+RECORDED FLOW (user actions in the order they were performed):
+\${recordedSteps}
+`;
+
+const LANGUAGES = {
+    java: { name: 'Java', ext: 'java' },
+    python: { name: 'Python', ext: 'py' },
+    csharp: { name: 'C#', ext: 'cs' },
+    javascript: { name: 'JavaScript', ext: 'js' }
+};
+
 const COMMON = {
     CONTEXT: `
 C - CONTEXT:
@@ -25,28 +60,13 @@ Professional, modern object-oriented, fully executable.
 `,
     PERSONA: (language) => `
 P - PERSONA:
-QA engineers working with Selenium in ${language === 'java' ? 'Java' : 'Python'} who need production-ready test code.
+QA engineers working with Selenium in ${LANGUAGES[language].name} who need production-ready test code.
 `
 };
 
-const EXAMPLES = {
-    INPUT_DOM: `
-E - EXAMPLE (Input DOM):
-\`\`\`html
-<form>
-  <input name="username" placeholder="Username">
-  <input name="password" type="password" placeholder="Password">
-  <button>Login</button>
-</form>
-\`\`\`
-`,
-    OUTPUT_SCRIPT: (language) => {
-        const isJava = language === 'java';
-        return `
-E - EXAMPLE (Output):
-\`\`\`${language}
-[[START_TEST_SCRIPT]]
-${isJava ? `import org.junit.jupiter.api.Test;
+// Single-file test script examples per language
+const SCRIPT_EXAMPLES = {
+    java: `import org.junit.jupiter.api.Test;
 import org.openqa.selenium.By;
 import org.openqa.selenium.WebDriver;
 import org.openqa.selenium.WebElement;
@@ -80,7 +100,8 @@ public class LoginTest {
             driver.quit();
         }
     }
-}` : `import pytest
+}`,
+    python: `import pytest
 from selenium import webdriver
 from selenium.webdriver.common.by import By
 from selenium.webdriver.support.ui import WebDriverWait
@@ -108,20 +129,86 @@ def test_user_can_login_with_valid_credentials(driver):
     driver.find_element(By.TAG_NAME, "button").click()
 
     # Verify successful login
-    wait.until(EC.url_contains("dashboard"))`}
-[[END_TEST_SCRIPT]]
-\`\`\`
-`
-    },
-    OUTPUT_POM_AND_SCRIPT: (language) => {
-        const isJava = language === 'java';
+    wait.until(EC.url_contains("dashboard"))`,
+    csharp: `using NUnit.Framework;
+using OpenQA.Selenium;
+using OpenQA.Selenium.Chrome;
+using OpenQA.Selenium.Support.UI;
+
+[TestFixture]
+public class LoginTest
+{
+    private IWebDriver driver;
+
+    [SetUp]
+    public void SetUp()
+    {
+        driver = new ChromeDriver();
+    }
 
-        return `
-E - EXAMPLE (Output):
-\`\`\`${language}
-[[START_POM]]
-// LoginPage.${isJava ? 'java' : 'py'}
-${isJava ? `import org.openqa.selenium.By;
+    [TearDown]
+    public void TearDown()
+    {
+        driver.Quit();
+    }
+
+    [Test]
+    public void UserCanLoginWithValidCredentials()
+    {
+        // Navigate to login page
+        driver.Navigate().GoToUrl("\${pageUrl}");
+        var wait = new WebDriverWait(driver, TimeSpan.FromSeconds(10));
+
+        // Fill login form
+        IWebElement usernameInput = wait.Until(d => d.FindElement(By.Name("username")));
+        usernameInput.SendKeys("Marie Martin");
+
+        IWebElement passwordInput = driver.FindElement(By.Name("password"));
+        passwordInput.SendKeys("TestPass@123");
+
+        // Submit form
+        driver.FindElement(By.TagName("button")).Click();
+
+        // Verify successful login
+        wait.Until(d => d.Url.Contains("dashboard"));
+    }
+}`,
+    javascript: `const { Builder, By, until } = require('selenium-webdriver');
+
+describe('Login', function () {
+  let driver;
+
+  beforeEach(async function () {
+    driver = await new Builder().forBrowser('chrome').build();
+  });
+
+  afterEach(async function () {
+    await driver.quit();
+  });
+
+  it('user can login with valid credentials', async function () {
+    // Navigate to login page
+    await driver.get('\${pageUrl}');
+
+    // Fill login form
+    const usernameInput = await driver.wait(until.elementLocated(By.name('username')), 10000);
+    await usernameInput.sendKeys('Marie Martin');
+
+    const passwordInput = await driver.findElement(By.name('password'));
+    await passwordInput.sendKeys('TestPass@123');
+
+    // Submit form
+    await driver.findElement(By.css('button')).click();
+
+    // Verify successful login
+    await driver.wait(until.urlContains('dashboard'), 10000);
+  });
+});`
+};
+
+// Page Object examples per language
+const POM_EXAMPLES = {
+    java: `import org.openqa.selenium.By;
 import org.openqa.selenium.WebDriver;
 import org.openqa.selenium.support.ui.ExpectedConditions;
 import org.openqa.selenium.support.ui.WebDriverWait;
@@ -159,7 +246,8 @@ public class LoginPage {
         driver.findElement(loginButtonLocator).click();
         return this;
     }
-}` : `from selenium.webdriver.common.by import By
+}`,
+    python: `from selenium.webdriver.common.by import By
 from selenium.webdriver.support.ui import WebDriverWait
 from selenium.webdriver.support import expected_conditions as EC
 
@@ -185,14 +273,87 @@ class LoginPage:
 
     def click_login(self):
         self.driver.find_element(*self.login_button_locator).click()
-        return self`}
-[[END_POM]]
-\`\`\`
+        return self`,
+    csharp: `using OpenQA.Selenium;
+using OpenQA.Selenium.Support.UI;
 
-\`\`\`${language}
-[[START_TEST_SCRIPT]]
-// LoginTest.${isJava ? 'java' : 'py'}
-${isJava ? `import org.junit.jupiter.api.Test;
+public class LoginPage
+{
+    private readonly IWebDriver driver;
+    private readonly WebDriverWait wait;
+
+    private readonly By usernameLocator = By.Name("username");
+    private readonly By passwordLocator = By.Name("password");
+    private readonly By loginButtonLocator = By.TagName("button");
+
+    public LoginPage(IWebDriver driver)
+    {
+        this.driver = driver;
+        this.wait = new WebDriverWait(driver, TimeSpan.FromSeconds(10));
+    }
+
+    public LoginPage Navigate()
+    {
+        driver.Navigate().GoToUrl("\${pageUrl}");
+        return this;
+    }
+
+    public LoginPage FillUsername(string username)
+    {
+        wait.Until(d => d.FindElement(usernameLocator)).SendKeys(username);
+        return this;
+    }
+
+    public LoginPage FillPassword(string password)
+    {
+        driver.FindElement(passwordLocator).SendKeys(password);
+        return this;
+    }
+
+    public LoginPage ClickLogin()
+    {
+        driver.FindElement(loginButtonLocator).Click();
+        return this;
+    }
+}`,
+    javascript: `const { By, until } = require('selenium-webdriver');
+
+class LoginPage {
+  constructor(driver) {
+    this.driver = driver;
+    this.usernameLocator = By.name('username');
+    this.passwordLocator = By.name('password');
+    this.loginButtonLocator = By.css('button');
+  }
+
+  async navigate() {
+    await this.driver.get('\${pageUrl}');
+    return this;
+  }
+
+  async fillUsername(username) {
+    const input = await this.driver.wait(until.elementLocated(this.usernameLocator), 10000);
+    await input.sendKeys(username);
+    return this;
+  }
+
+  async fillPassword(password) {
+    await this.driver.findElement(this.passwordLocator).sendKeys(password);
+    return this;
+  }
+
+  async clickLogin() {
+    await this.driver.findElement(this.loginButtonLocator).click();
+    return this;
+  }
+}
+
+module.exports = { LoginPage };`
+};
+
+// Test scripts that use the Page Object, per language
+const POM_TEST_EXAMPLES = {
+    java: `import org.junit.jupiter.api.Test;
 import org.openqa.selenium.WebDriver;
 import org.openqa.selenium.chrome.ChromeDriver;
 import org.openqa.selenium.support.ui.ExpectedConditions;
@@ -216,7 +377,8 @@ public class LoginTest {
             driver.quit();
         }
     }
-}` : `import pytest
+}`,
+    python: `import pytest
 from selenium import webdriver
 from selenium.webdriver.support.ui import WebDriverWait
 from selenium.webdriver.support import expected_conditions as EC
@@ -235,7 +397,103 @@ def test_user_can_login_with_valid_credentials(driver):
     login_page.fill_password("TestPass@123")
     login_page.click_login()
 
-    WebDriverWait(driver, 10).until(EC.url_contains("dashboard"))`}
+    WebDriverWait(driver, 10).until(EC.url_contains("dashboard"))`,
+    csharp: `using NUnit.Framework;
+using OpenQA.Selenium;
+using OpenQA.Selenium.Chrome;
+using OpenQA.Selenium.Support.UI;
+
+[TestFixture]
+public class LoginTest
+{
+    private IWebDriver driver;
+
+    [SetUp]
+    public void SetUp()
+    {
+        driver = new ChromeDriver();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        driver.Quit();
+    }
+
+    [Test]
+    public void UserCanLoginWithValidCredentials()
+    {
+        LoginPage loginPage = new LoginPage(driver);
+        loginPage.Navigate()
+                 .FillUsername("Marie Martin")
+                 .FillPassword("TestPass@123")
+                 .ClickLogin();
+
+        new WebDriverWait(driver, TimeSpan.FromSeconds(10))
+            .Until(d => d.Url.Contains("dashboard"));
+    }
+}`,
+    javascript: `const { Builder, until } = require('selenium-webdriver');
+const { LoginPage } = require('./LoginPage');
+
+describe('Login', function () {
+  let driver;
+
+  beforeEach(async function () {
+    driver = await new Builder().forBrowser('chrome').build();
+  });
+
+  afterEach(async function () {
+    await driver.quit();
+  });
+
+  it('user can login with valid credentials', async function () {
+    const loginPage = new LoginPage(driver);
+    await loginPage.navigate();
+    await loginPage.fillUsername('Marie Martin');
+    await loginPage.fillPassword('TestPass@123');
+    await loginPage.clickLogin();
+
+    await driver.wait(until.urlContains('dashboard'), 10000);
+  });
+});`
+};
+
+const EXAMPLES = {
+    INPUT_DOM: `
+E - EXAMPLE (Input DOM):
+\`\`\`html
+<form>
+  <input name="username" placeholder="Username">
+  <input name="password" type="password" placeholder="Password">
+  <button>Login</button>
+</form>
+\`\`\`
+`,
+    OUTPUT_SCRIPT: (language) => `
+E - EXAMPLE (Output):
+\`\`\`${language}
+[[START_TEST_SCRIPT]]
+${SCRIPT_EXAMPLES[language]}
+[[END_TEST_SCRIPT]]
+\`\`\`
+`,
+    OUTPUT_POM_AND_SCRIPT: (language) => {
+        const ext = LANGUAGES[language].ext;
+
+        return `
+E - EXAMPLE (Output):
+\`\`\`${language}
+[[START_POM]]
+// LoginPage.${ext}
+${POM_EXAMPLES[language]}
+[[END_POM]]
+\`\`\`
+
+\`\`\`${language}
+[[START_TEST_SCRIPT]]
+// LoginTest.${ext}
+${POM_TEST_EXAMPLES[language]}
 [[END_TEST_SCRIPT]]
 \`\`\`
 `
@@ -244,17 +502,17 @@ def test_user_can_login_with_valid_credentials(driver):
 
 /**
  * Generates a Selenium prompt based on language and mode.
- * @param {string} language - 'java' | 'python'
- * @param {object} options - { includePom: boolean }
+ * @param {string} language - 'java' | 'python' | 'csharp' | 'javascript'
+ * @param {object} options - { includePom: boolean, multiPage: boolean, recorded: boolean, constrained: boolean }
  * @returns {string} The formatted prompt adhering to ICE-TOP.
  */
-export const getDesignatedPrompt = (language, { includePom } = {}) => {
+export const getDesignatedPrompt = (language, { includePom, multiPage, recorded, constrained } = {}) => {
     // Validate inputs
-    if (!['java', 'python'].includes(language)) {
-        throw new Error(`Unsupported language: ${language}. Only 'java' and 'python' are supported.`);
+    if (!LANGUAGES[language]) {
+        throw new Error(`Unsupported language: ${language}. Only 'java', 'python', 'csharp' and 'javascript' are supported.`);
     }
 
-    const langName = language === 'java' ? 'Java' : 'Python';
+    const langName = LANGUAGES[language].name;
 
     // Build Sections
 
@@ -268,8 +526,12 @@ ${includePom
 Failure to include these tags will make your output unusable.
 
 Generate a complete Selenium ${langName} ${includePom ? 'Solution (Page Object Model + Test Script)' : 'test file'} for the provided DOM. Follow these rules strictly:
-${STRICT_RULES}
+${STRICT_RULES}${multiPage ? MULTI_PAGE_RULES : ''}${recorded ? RECORDED_FLOW_RULES : ''}${constrained ? CONSTRAINT_RULES : ''}
+`;
+    if (includePom && multiPage) {
+        instruction += `- Create ONE Page Object class per page and place all of them, one after another, inside the single [[START_POM]] ... [[END_POM]] block
 `;
+    }
     if (includePom) {
         instruction += `- Implement Page Object Model class isolating locators and actions
 - Encapsulate all locators as private/protected fields
@@ -283,7 +545,7 @@ ${STRICT_RULES}
     }
 
     // C - CONTEXT
-    const context = COMMON.CONTEXT;
+    const context = recorded ? COMMON.CONTEXT + RECORDED_FLOW_CONTEXT : COMMON.CONTEXT;
 
     // E - EXAMPLE
     const exampleInput = EXAMPLES.INPUT_DOM;
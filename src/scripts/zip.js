@@ -0,0 +1,97 @@
+/**
+ * Minimal ZIP writer (no compression) for bundling generated sources into one download.
+ * Generated test files are small text files, so the "stored" method keeps this dependency-free.
+ */
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Builds a ZIP archive.
+ * @param {Array<{path: string, content: string}>} files - Paths may contain folders (`pages/LoginPage.ts`).
+ * @returns {Blob} An `application/zip` blob.
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.path);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    // Local file header
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true); // version needed to extract
+    header.setUint16(6, 0x0800, true); // flags: file names are UTF-8
+    header.setUint16(8, 0, true); // method: stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true); // compressed size
+    header.setUint32(22, data.length, true); // uncompressed size
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true); // extra field length
+    parts.push(header, name, data);
+
+    // Central directory entry
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true); // version needed to extract
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    // extra, comment, disk number, internal and external attributes stay 0
+    entry.setUint32(42, offset, true);
+    centralDirectory.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true); // entries on this disk
+  end.setUint16(10, files.length, true); // total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
@@ -1,14 +1,44 @@
 import GroqAPI from '../scripts/api/groq-api.js';
 import OpenAIAPI from '../scripts/api/openai-api.js';
 import TestleafAPI from '../scripts/api/testleaf-api.js';
-import { getManualGherkinPrompt, getAutomationPrompt } from '../scripts/prompts.js';
+import AnthropicAPI from '../scripts/api/anthropic-api.js';
+import GeminiAPI from '../scripts/api/gemini-api.js';
+import CustomAPI from '../scripts/api/custom-api.js';
+import { getManualGherkinPrompt, getAutomationPrompt, getRefinePrompt, getRefineTag } from '../scripts/prompts.js';
+import { saveRun } from '../scripts/history-store.js';
+import { getOutputFile, getBundleFiles } from '../scripts/output-files.js';
+import { createZip } from '../scripts/zip.js';
+
+// Strips trailing [[...]] tag lines and stray wrapping code fences from extracted content
+function cleanExtracted(text) {
+  if (!text) return text;
+  // Remove any [[...]] tag lines (malformed end tags like [[_POM]], [[END_SCRIPT]] etc.)
+  let cleaned = text.replace(/\[\[[\w/_]*\]\]\s*$/gm, '').trim();
+  // If the entire content is wrapped in a single outer code fence, unwrap it
+  // unless it contains multiple fences (in which case it's intentional formatting)
+  const fenceMatch = cleaned.match(/^```[\w]*\n([\s\S]*)\n```$/);
+  if (fenceMatch) {
+    const inner = fenceMatch[1];
+    // Only unwrap if the inner content has no further fences (avoid double-unwrapping)
+    if (!inner.includes('```')) {
+      cleaned = inner.trim();
+    }
+  }
+  return cleaned;
+}
 
 export class CodeGenerator {
   constructor() {
     // Removed local debugMode in favor of centralized Logger.debug
     this.elements = {}; // Cache for frequently accessed DOM elements
     this.currentElements = []; // To store elements selected for code generation
-    this.generationStats = { input: 0, output: 0, latency: 0 };
+    this.recordedSteps = []; // User actions captured in Record mode, in the order performed
+    this.generationStats = { input: 0, output: 0, latency: 0, partial: false };
+    this.activeControllers = new Set(); // One AbortController per running generation task
+    this.refineSessions = {}; // Per output tab: { conversation, undo[] }; tabs filled by one call share the conversation
+    this.refineController = null; // AbortController of the running refinement (also in activeControllers)
+    this.lastGeneration = null; // { api, settings, requirements } of the last run, reused by Refine
+    this.outputContext = null; // { settings, requirements } of the outputs on screen, used for file names
     this.initialize();
   }
 
@@ -25,6 +55,7 @@ export class CodeGenerator {
     this.elements['stop-btn'] = document.getElementById('stop-btn');
     this.elements['reset-btn'] = document.getElementById('reset-btn');
     this.elements['stats-display'] = document.getElementById('stats-display');
+    this.elements['download-all-btn'] = document.getElementById('download-all-btn');
 
     // Output tab buttons
     this.elements['tab-test-case'] = document.getElementById('tab-test-case');
@@ -58,6 +89,7 @@ export class CodeGenerator {
     this.elements['progress-label'] = document.getElementById('progress-label');
     this.elements['progress-timer'] = document.getElementById('progress-timer');
     this.elements['progress-step'] = document.getElementById('progress-step');
+    this.elements['cancel-generation-btn'] = document.getElementById('cancel-generation-btn');
 
     // API Error Modal
     this.elements['api-error-modal'] = document.getElementById('api-error-modal');
@@ -77,12 +109,19 @@ export class CodeGenerator {
   setupEventListeners() {
     this.log("Setting up event listeners for generator.");
     this.elements['generate-btn'].addEventListener('click', this.handleGenerateClick.bind(this));
+    if (this.elements['cancel-generation-btn']) {
+      this.elements['cancel-generation-btn'].addEventListener('click', this.cancelGeneration.bind(this));
+    }
 
     // Output tab switching
     document.querySelectorAll('.output-tab').forEach(tab => {
       tab.addEventListener('click', () => this.switchOutputTab(tab.dataset.target));
     });
 
+    if (this.elements['download-all-btn']) {
+      this.elements['download-all-btn'].addEventListener('click', this.handleDownloadAllClick.bind(this));
+    }
+
     // Dynamic copy/download listeners
     document.addEventListener('click', (e) => {
       if (e.target.closest('.copy-btn-dynamic')) {
@@ -91,6 +130,20 @@ export class CodeGenerator {
       if (e.target.closest('.download-btn-dynamic')) {
         this.handleDownloadClick(e.target.closest('.download-btn-dynamic'));
       }
+      if (e.target.closest('.refine-btn')) {
+        this.handleRefineClick(e.target.closest('.refine-btn').dataset.target);
+      }
+      if (e.target.closest('.undo-btn')) {
+        this.handleUndoClick(e.target.closest('.undo-btn').dataset.target);
+      }
+    });
+
+    // Enter in a refine input submits it
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList?.contains('refine-input')) {
+        e.preventDefault();
+        this.handleRefineClick(e.target.dataset.target);
+      }
     });
 
     if (this.elements['api-error-modal-ok-btn']) {
@@ -199,11 +252,15 @@ export class CodeGenerator {
   }
 
   async loadInitialData() {
-    const result = await chrome.storage.local.get(['selectedElements', 'context']);
+    const result = await chrome.storage.local.get(['selectedElements', 'recordedSteps', 'context']);
     if (result.selectedElements) {
       this.currentElements = result.selectedElements;
       this.log("Loaded selected elements:", this.currentElements);
     }
+    if (result.recordedSteps) {
+      this.recordedSteps = result.recordedSteps;
+      this.log("Loaded recorded steps:", this.recordedSteps);
+    }
     if (result.context && this.elements['context-input']) {
       this.elements['context-input'].value = result.context;
       this.log("Loaded context:", result.context);
@@ -218,6 +275,7 @@ export class CodeGenerator {
     this.elements['progress-timer'].textContent = '0:00';
     this.elements['progress-label'].textContent = '⏳ Generating...';
     this.elements['progress-step'].textContent = 'Preparing...';
+    if (this.elements['cancel-generation-btn']) this.elements['cancel-generation-btn'].disabled = false;
 
     this.progressInterval = setInterval(() => {
       const elapsed = Math.floor((Date.now() - this.progressStartTime) / 1000);
@@ -227,6 +285,29 @@ export class CodeGenerator {
     }, 1000);
   }
 
+  /**
+   * Aborts every running generation task. Each task keeps the output streamed so far and
+   * reports itself as partial; fetchWithRetry stops retrying once the signal is aborted.
+   */
+  cancelGeneration() {
+    if (this.activeControllers.size === 0) return;
+    this.log(`Cancelling ${this.activeControllers.size} running generation task(s).`);
+    this.activeControllers.forEach(controller => controller.abort());
+    if (this.elements['cancel-generation-btn']) this.elements['cancel-generation-btn'].disabled = true;
+    this.elements['progress-label'].textContent = chrome.i18n.getMessage("progressLabelStopping") || '⏹️ Stopping...';
+  }
+
+  /**
+   * Appends a "(partial)" marker to the given tab labels after a cancelled generation.
+   */
+  markPartialTabs(labelKeys) {
+    const suffix = ` (${chrome.i18n.getMessage("partialOutputSuffix") || 'partial'})`;
+    labelKeys.forEach(key => {
+      const label = this.elements[key];
+      if (label && !label.textContent.endsWith(suffix)) label.textContent += suffix;
+    });
+  }
+
   updateProgressStep(step, total, message) {
     this.elements['progress-step'].textContent = `Step ${step} of ${total} · ${message}`;
   }
@@ -239,11 +320,140 @@ export class CodeGenerator {
     this.elements['progress-container'].style.display = 'none';
   }
 
+  /**
+   * Sets the output tab labels and the tool info shown inside the POM / Script panels.
+   */
+  setOutputLabels(settings) {
+    if (this.elements['tc-tab-label']) {
+      this.elements['tc-tab-label'].textContent = settings.outputFormat === 'manual' ? 'Test Case' : 'Feature File';
+    }
+    if (this.elements['pom-tab-label']) {
+      this.elements['pom-tab-label'].textContent = 'POM';
+    }
+    if (this.elements['script-tab-label']) {
+      this.elements['script-tab-label'].textContent = 'Script';
+    }
+
+    // Set tool info inside content panels
+    const toolInfoText = `${settings.automationTool} · ${settings.language}`;
+    if (this.elements['pom-tool-info']) {
+      this.elements['pom-tool-info'].textContent = toolInfoText;
+    }
+    if (this.elements['script-tool-info']) {
+      this.elements['script-tool-info'].textContent = toolInfoText;
+    }
+  }
+
+  /**
+   * Records a finished run in the generation history. Saving is best effort: a failure is only logged.
+   */
+  async saveToHistory({ settings, requirements, pages, context, results }) {
+    const responses = results
+      .filter(res => res && res.content)
+      .map(res => ({ type: res.type, content: res.content, partial: !!res.partial }));
+    if (responses.length === 0) return;
+
+    const blocks = {
+      [requirements.feature ? 'FEATURE_FILE' : 'MANUAL_TEST']: this.elements['area-test-case'].value,
+      POM: this.elements['area-pom'].value,
+      TEST_SCRIPT: this.elements['area-script'].value
+    };
+    Object.keys(blocks).forEach(tag => { if (!blocks[tag]) delete blocks[tag]; });
+
+    try {
+      const id = await saveRun({
+        timestamp: Date.now(),
+        pageUrl: pages[0]?.pageUrl || this.recordedSteps[0]?.pageUrl || 'unknown',
+        pageUrls: pages.map(page => page.pageUrl),
+        elements: this.currentElements,
+        steps: this.recordedSteps,
+        context,
+        settings,
+        requirements,
+        responses,
+        blocks,
+        stats: { ...this.generationStats }
+      });
+      this.log(`Saved run ${id} to history.`);
+    } catch (error) {
+      Logger.warn('[History] Could not save the run:', error);
+    }
+  }
+
+  /**
+   * Shows the outputs and stats of a run restored from the history.
+   */
+  restoreRun(run) {
+    const settings = run.settings || {};
+    const requirements = run.requirements || {};
+    const langHint = settings.language ? settings.language.toLowerCase() : '';
+    const blocks = run.blocks || {};
+
+    this.setOutputLabels(settings);
+    ['test-case', 'pom', 'script'].forEach(target => {
+      this.elements[`tab-${target}`].style.display = 'none';
+      this.elements[`area-${target}`].value = '';
+      this.elements[`preview-${target}`].innerHTML = '';
+    });
+    document.querySelectorAll('.output-tab').forEach(tab => tab.classList.remove('active'));
+
+    const testCase = blocks.MANUAL_TEST || blocks.FEATURE_FILE;
+    if (testCase) this.renderOutput('test-case', testCase, requirements, langHint);
+    if (blocks.POM) this.renderOutput('pom', blocks.POM, requirements, langHint);
+    if (blocks.TEST_SCRIPT) this.renderOutput('script', blocks.TEST_SCRIPT, requirements, langHint);
+
+    this.resetRefineSessions();
+    this.outputContext = { settings, requirements };
+    this.generationStats = { input: 0, output: 0, latency: 0, partial: false, ...run.stats };
+    this.renderStats();
+
+    if (this.elements['output-section']) {
+      this.elements['output-section'].style.display = 'block';
+    }
+    this.activateOutputTabs();
+    this.highlightCode();
+    this.log(`Restored run ${run.id} from history.`);
+  }
+
   updateSelectedElements(elements) {
     this.currentElements = elements;
     this.log("CodeGenerator updated with new elements:", this.currentElements);
   }
 
+  updateRecordedSteps(steps) {
+    this.recordedSteps = steps;
+    this.log("CodeGenerator updated with recorded steps:", this.recordedSteps);
+  }
+
+  /**
+   * Turns the recorded steps into the compact list sent to the LLM: only the locator of the selected tool
+   * is kept, and typed values go through the PII sanitizer when it is enabled.
+   */
+  getPromptSteps(settings) {
+    const locatorKey = `${(settings.automationTool || '').toLowerCase()}Locator`;
+    return this.recordedSteps.map((step, index) => {
+      const promptStep = { step: index + 1, action: step.type };
+      if (step.type === 'navigate') {
+        promptStep.url = step.url;
+        return promptStep;
+      }
+      promptStep.element = step.name;
+      const locators = settings.sanitizePii === false ? {} : this.sanitizeRowLocators(step);
+      if (step.value !== undefined) {
+        promptStep.value = step.masked || settings.sanitizePii === false ? step.value : this.sanitizeText(step.value);
+      }
+      if (step.masked) promptStep.masked = true;
+      if (step.key) promptStep.key = step.key;
+      if (step[locatorKey]) promptStep[locatorKey] = locators[locatorKey] ?? step[locatorKey];
+      if (step.frameChain?.length) promptStep.frameChain = step.frameChain;
+      if (step.rowContext) {
+        promptStep.rowContext = settings.sanitizePii === false ? step.rowContext : this.sanitizeRowContext(step.rowContext);
+      }
+      promptStep.pageUrl = step.pageUrl;
+      return promptStep;
+    });
+  }
+
   async handleGenerateClick() {
     this.log("Generate button clicked.");
 
@@ -254,6 +464,8 @@ export class CodeGenerator {
       'llmProvider',
       'llmModel',
       'apiKey',
+      'customBaseUrl',
+      'customHeaders',
       'outputFormat',
       'testPage',
       'testScript',
@@ -261,17 +473,20 @@ export class CodeGenerator {
     ]);
     this.log("DEBUG: Retrieved settings from storage:", settings);
 
-    if (this.currentElements.length === 0) {
-      alert(chrome.i18n.getMessage("errorSelectElement") || "Please select at least one element to generate a test case.");
+    if (this.currentElements.length === 0 && this.recordedSteps.length === 0) {
+      alert(chrome.i18n.getMessage("errorSelectElement") || "Please select at least one element or record a flow to generate a test case.");
       return;
     }
 
-    if (!navigator.onLine) {
+    // A local endpoint works offline and does not need a key
+    const isCustomProvider = settings.llmProvider === 'custom';
+
+    if (!navigator.onLine && !isCustomProvider) {
       alert(chrome.i18n.getMessage("errorNoInternet") || "No Internet Connection. Please check your network settings.");
       return;
     }
 
-    if (!settings.apiKey) {
+    if (!settings.apiKey && !isCustomProvider) {
       alert(chrome.i18n.getMessage("errorApiKeyMandatory") || "API Key is mandatory. Please provide a valid API Key in Settings.");
       return;
     }
@@ -289,6 +504,9 @@ export class CodeGenerator {
       generate: this.elements['generate-btn'].disabled
     };
 
+    // A refinement of the previous outputs must not overwrite the new ones
+    this.abortRefinement();
+
     // Disable all buttons
     this.elements['inspect-btn'].disabled = true;
     this.elements['stop-btn'].disabled = true;
@@ -320,27 +538,13 @@ export class CodeGenerator {
     }
 
     // Reset Stats
-    this.generationStats = { input: 0, output: 0, latency: 0 };
+    this.generationStats = { input: 0, output: 0, latency: 0, partial: false };
 
-    // 2. Set Dynamic Labels on Tab Buttons (clean names only)
-    if (this.elements['tc-tab-label']) {
-      this.elements['tc-tab-label'].textContent = settings.outputFormat === 'manual' ? 'Test Case' : 'Feature File';
-    }
-    if (this.elements['pom-tab-label']) {
-      this.elements['pom-tab-label'].textContent = 'POM';
-    }
-    if (this.elements['script-tab-label']) {
-      this.elements['script-tab-label'].textContent = 'Script';
-    }
+    // A new generation starts new refine conversations
+    this.resetRefineSessions();
 
-    // Set tool info inside content panels
-    const toolInfoText = `${settings.automationTool} · ${settings.language}`;
-    if (this.elements['pom-tool-info']) {
-      this.elements['pom-tool-info'].textContent = toolInfoText;
-    }
-    if (this.elements['script-tool-info']) {
-      this.elements['script-tool-info'].textContent = toolInfoText;
-    }
+    // 2. Set Dynamic Labels on Tab Buttons (clean names only)
+    this.setOutputLabels(settings);
 
     // Hide all tab buttons initially
     this.elements['tab-test-case'].style.display = 'none';
@@ -383,7 +587,16 @@ export class CodeGenerator {
       // We only want to send the locator that matches the chosen tool to the LLM
       const selectedTool = (settings.automationTool || '').toLowerCase();
       elementsToProcess = elementsToProcess.map(el => {
-        const filteredEl = { ...el };
+        const { candidates, strategies, pinnedLocators, ...filteredEl } = el;
+
+        // A locator pinned on the element card replaces the generated fallback chain
+        const pinnedLocator = pinnedLocators && pinnedLocators[selectedTool];
+        if (pinnedLocator) {
+          filteredEl[`${selectedTool}Locator`] = pinnedLocator;
+          filteredEl.locatorPinned = true;
+        }
+        if (!filteredEl.note) delete filteredEl.note;
+        if (!filteredEl.logicalName) delete filteredEl.logicalName;
 
         // Remove locators that do NOT match the selected tool
         if (selectedTool !== 'playwright') {
@@ -392,6 +605,9 @@ export class CodeGenerator {
         if (selectedTool !== 'selenium') {
           delete filteredEl.seleniumLocator;
         }
+        if (selectedTool !== 'cypress') {
+          delete filteredEl.cypressLocator;
+        }
 
         return filteredEl;
       });
@@ -408,10 +624,20 @@ export class CodeGenerator {
       this.log("Requirements:", requirements);
 
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      // Multi-page sessions are sent grouped per page so the prompts can build one page object per page
+      const pages = this.groupElementsByPage(elementsToProcess, tab?.url || "unknown");
+      const isMultiPage = pages.length > 1;
+      const promptSteps = this.getPromptSteps(settings);
       const promptPayload = {
-        domContent: JSON.stringify(elementsToProcess, null, 2),
+        domContent: JSON.stringify(isMultiPage ? pages : elementsToProcess, null, 2),
         userAction: context || "No specific action provided",
-        pageUrl: tab?.url || "unknown",
+        pageUrl: pages[0]?.pageUrl || this.recordedSteps[0]?.pageUrl || tab?.url || "unknown",
+        pages: pages,
+        multiPage: isMultiPage,
+        recorded: promptSteps.length > 0,
+        recordedSteps: JSON.stringify(promptSteps, null, 2),
+        annotated: elementsToProcess.some(el => el.note || el.logicalName),
+        constrained: elementsToProcess.some(el => el.constraints || el.elementState),
         tool: settings.automationTool,
         lang: settings.language,
         requirements: requirements
@@ -422,7 +648,12 @@ export class CodeGenerator {
       const apiKey = settings.apiKey;
       if (settings.llmProvider === 'groq') api = new GroqAPI(apiKey);
       else if (settings.llmProvider === 'openai') api = new OpenAIAPI(apiKey);
+      else if (settings.llmProvider === 'anthropic') api = new AnthropicAPI(apiKey);
+      else if (settings.llmProvider === 'gemini') api = new GeminiAPI(apiKey);
+      else if (isCustomProvider) api = new CustomAPI(apiKey, { baseUrl: settings.customBaseUrl, headers: settings.customHeaders });
       else api = new TestleafAPI(apiKey);
+      this.lastGeneration = { api, settings, requirements };
+      this.outputContext = { settings, requirements };
 
       const tasks = [];
       const startTime = Date.now(); // kept for overall wall-clock display
@@ -436,11 +667,13 @@ export class CodeGenerator {
         this.log(`Sending Manual/Gherkin request to ${settings.llmProvider}...`);
 
         const manualTask = (async () => {
+          const controller = new AbortController();
+          this.activeControllers.add(controller);
+          let content = '';
+          const taskStart = performance.now();
           try {
             if (this.elements['output-section']) this.elements['output-section'].style.display = 'block';
-            let content = '';
             let usage = null;
-            const taskStart = performance.now();
 
             if (api.sendMessageStream) {
               const response = await api.sendMessageStream(manualPrompt, settings.llmModel, (token) => {
@@ -449,23 +682,32 @@ export class CodeGenerator {
                 if (!document.querySelector('.output-tab.active') && this.elements['tab-test-case'].style.display !== 'none') {
                   this.activateOutputTabs();
                 }
-              });
+              }, { signal: controller.signal });
               content = response.content;
               usage = response.usage;
               this.parseAndDisplay(content, requirements, settings, 'test-case', false);
             } else {
-              const response = await api.sendMessage(manualPrompt, settings.llmModel);
+              const response = await api.sendMessage(manualPrompt, settings.llmModel, { signal: controller.signal });
               content = response.content || response;
               usage = response.usage || null;
               this.parseAndDisplay(content, requirements, settings, 'test-case', false);
             }
             const taskLatency = Math.round(performance.now() - taskStart);
-            return { type: 'Manual/Gherkin', usage, content, latency: taskLatency };
+            return { type: 'Manual/Gherkin', usage, content, latency: taskLatency, prompt: manualPrompt, targets: ['test-case'] };
           } catch (e) {
+            if (controller.signal.aborted) {
+              // Stopped by the user: keep whatever was streamed before the abort
+              this.log(`Manual/Gherkin generation stopped. Keeping ${content.length} streamed chars.`);
+              if (content) this.parseAndDisplay(content, requirements, settings, 'test-case', false);
+              const taskLatency = Math.round(performance.now() - taskStart);
+              return { type: 'Manual/Gherkin', usage: null, content, latency: taskLatency, partial: true, tabLabels: ['tc-tab-label'], prompt: manualPrompt, targets: ['test-case'] };
+            }
             Logger.error("Manual/Gherkin Generation Failed:", e);
             const errorMsg = e.message || "Unknown error occurred";
             this.showApiError(`Manual/Gherkin Generation Failed:\n${errorMsg}`);
             return null;
+          } finally {
+            this.activeControllers.delete(controller);
           }
         })();
         tasks.push(manualTask);
@@ -480,11 +722,13 @@ export class CodeGenerator {
         this.log(`Sending Automation request to ${settings.llmProvider}...`);
 
         const autoTask = (async () => {
+          const controller = new AbortController();
+          this.activeControllers.add(controller);
+          let content = '';
+          const taskStart = performance.now();
           try {
             if (this.elements['output-section']) this.elements['output-section'].style.display = 'block';
-            let content = '';
             let usage = null;
-            const taskStart = performance.now();
 
             if (api.sendMessageStream) {
               const response = await api.sendMessageStream(automationPrompt, settings.llmModel, (token) => {
@@ -493,23 +737,32 @@ export class CodeGenerator {
                 if (!document.querySelector('.output-tab.active')) {
                   this.activateOutputTabs();
                 }
-              });
+              }, { signal: controller.signal });
               content = response.content;
               usage = response.usage;
               this.parseAndDisplay(content, requirements, settings, 'script', false);
             } else {
-              const response = await api.sendMessage(automationPrompt, settings.llmModel);
+              const response = await api.sendMessage(automationPrompt, settings.llmModel, { signal: controller.signal });
               content = response.content || response;
               usage = response.usage || null;
               this.parseAndDisplay(content, requirements, settings, 'script', false);
             }
             const taskLatency = Math.round(performance.now() - taskStart);
-            return { type: 'Automation', usage, content, latency: taskLatency };
+            return { type: 'Automation', usage, content, latency: taskLatency, prompt: automationPrompt, targets: ['pom', 'script'] };
           } catch (e) {
+            if (controller.signal.aborted) {
+              // Stopped by the user: keep whatever was streamed before the abort
+              this.log(`Automation generation stopped. Keeping ${content.length} streamed chars.`);
+              if (content) this.parseAndDisplay(content, requirements, settings, 'script', false);
+              const taskLatency = Math.round(performance.now() - taskStart);
+              return { type: 'Automation', usage: null, content, latency: taskLatency, partial: true, tabLabels: ['pom-tab-label', 'script-tab-label'], prompt: automationPrompt, targets: ['pom', 'script'] };
+            }
             Logger.error("Automation Generation Failed:", e);
             const errorMsg = e.message || "Unknown error occurred";
             this.showApiError(`Automation Generation Failed:\n${errorMsg}`);
             return null;
+          } finally {
+            this.activeControllers.delete(controller);
           }
         })();
         tasks.push(autoTask);
@@ -522,6 +775,25 @@ export class CodeGenerator {
       for (const res of results) {
         if (!res) continue;
 
+        // Each tab filled by this call is refined as a follow-up to the same conversation, so a
+        // POM refinement is part of the context of a later Script refinement
+        if (res.content) {
+          const conversation = [{ role: 'user', content: res.prompt }, { role: 'assistant', content: res.content }];
+          res.targets.forEach(target => {
+            if (this.elements[`area-${target}`].value) {
+              this.refineSessions[target] = { conversation, undo: [] };
+            }
+          });
+        }
+
+        if (res.partial) {
+          this.generationStats.partial = true;
+          this.accumulateStats(null, res.latency);
+          this.markPartialTabs(res.tabLabels);
+          Logger.log(`[STATS] ${res.type} call stopped by the user after ${res.latency} ms.`);
+          continue;
+        }
+
         if (res.usage) {
           this.accumulateStats(res.usage, res.latency ?? 0);
           Logger.log(`[STATS] ${res.type} call done. Usage:`, res.usage, 'Latency:', res.latency, 'ms');
@@ -540,11 +812,14 @@ export class CodeGenerator {
         this.elements['output-section'].style.display = 'block';
       }
 
+      await this.saveToHistory({ settings, requirements, pages, context, results });
+
     } catch (error) {
       Logger.error("Error during generation:", error);
       alert(`Error: ${error.message}`);
     } finally {
       // Stop progress indicator
+      this.activeControllers.clear();
       this.stopProgress();
 
       // ALWAYS render stats - even if an error occurred during generation
@@ -558,6 +833,30 @@ export class CodeGenerator {
     }
   }
 
+  /**
+   * Groups elements by the page they were captured on, keeping the order in which pages were visited.
+   * Elements without page information (captured before multi-page sessions existed) fall back to the active tab URL.
+   * @returns {Array<{pageUrl: string, pageTitle: string, elements: object[]}>}
+   */
+  groupElementsByPage(elements, fallbackUrl) {
+    const pages = [];
+    const pagesByUrl = new Map();
+
+    elements.forEach(el => {
+      const { pageUrl, pageTitle, ...element } = el;
+      const url = pageUrl || fallbackUrl;
+      if (!pagesByUrl.has(url)) {
+        const page = { pageUrl: url, pageTitle: pageTitle || '', elements: [] };
+        pagesByUrl.set(url, page);
+        pages.push(page);
+      }
+      pagesByUrl.get(url).elements.push(element);
+    });
+
+    this.log(`Grouped ${elements.length} element(s) into ${pages.length} page(s).`);
+    return pages;
+  }
+
   /**
    * Accumulates stats from each API call without rendering.
    */
@@ -590,7 +889,7 @@ export class CodeGenerator {
     Logger.log('[STATS] renderStats called. Element found:', !!el);
     if (!el) return;
 
-    const { input, output, latency } = this.generationStats;
+    const { input, output, latency, partial } = this.generationStats;
     Logger.log('[STATS] Rendering:', { input, output, latency });
 
     el.style.display = 'flex';
@@ -607,10 +906,66 @@ export class CodeGenerator {
         <span class="stat-label">Latency</span>
         <span class="stat-value">${(latency / 1000).toFixed(2)}s</span>
       </div>
+      ${partial ? `
+      <div class="stat-item">
+        <span class="stat-label">${chrome.i18n.getMessage("statStatus") || 'Status'}</span>
+        <span class="stat-value stat-partial">${chrome.i18n.getMessage("statPartial") || 'Partial (stopped)'}</span>
+      </div>` : ''}
     `;
     Logger.log('[STATS] innerHTML set. Element display:', el.style.display, 'offsetHeight:', el.offsetHeight);
   }
 
+  /**
+   * Extracts the content wrapped in [[START_<tagBase>]] ... [[END_<tagBase>]], tolerating the
+   * malformed or missing end tags LLMs sometimes produce. Returns null when the tag is absent.
+   */
+  extractTaggedContent(content, tagBase, log = () => { }) {
+    const startTags = [`[[START_${tagBase}]]`, `[START_${tagBase}]`, `[[${tagBase}]]`];
+    const endTags = [`[[END_${tagBase}]]`, `[END_${tagBase}]`, `[[/${tagBase}]]`];
+
+    for (let i = 0; i < startTags.length; i++) {
+      const startIdx = content.indexOf(startTags[i]);
+      if (startIdx !== -1) {
+        log(`Found ${tagBase} start tag: ${startTags[i]} at position ${startIdx}`);
+        const contentStart = startIdx + startTags[i].length;
+
+        // 1. Try exact end tag
+        let endIdx = content.indexOf(endTags[i], contentStart);
+
+        // 2. Fuzzy fallback: any [[END_…]] or [[_…]] pattern (handles [[END_SCRIPT]], [[_POM]] etc.)
+        if (endIdx === -1) {
+          const patterns = ['[[END_', '[[_', '[END_'];
+          for (const pat of patterns) {
+            const idx = content.indexOf(pat, contentStart);
+            if (idx !== -1) {
+              log(`No exact end tag for ${tagBase}, using fuzzy end at position ${idx}`);
+              endIdx = idx;
+              break;
+            }
+          }
+        }
+
+        if (endIdx !== -1) {
+          log(`Found ${tagBase} end tag at position ${endIdx}`);
+          const extracted = cleanExtracted(content.substring(contentStart, endIdx).trim());
+          log(`Extracted ${tagBase} content (${extracted.length} chars)`);
+          return extracted;
+        }
+
+        // 3. No end tag at all — take until next [[START_ or end of string
+        const nextStartIdx = content.indexOf('[[START_', contentStart);
+        if (nextStartIdx !== -1) {
+          log(`No end tag for ${tagBase}, taking until next START tag at ${nextStartIdx}`);
+          return cleanExtracted(content.substring(contentStart, nextStartIdx).trim());
+        }
+        log(`No end tag for ${tagBase}, taking everything remaining`);
+        return cleanExtracted(content.substring(contentStart).trim());
+      }
+    }
+    log(`No tags found for ${tagBase}`);
+    return null;
+  }
+
   parseAndDisplay(content, requirements, settings, fallbackTarget = 'test-case', isStreaming = false) {
     const log = (...args) => { if (!isStreaming) this.log(...args); };
 
@@ -626,71 +981,8 @@ export class CodeGenerator {
     log(content.substring(0, 500));
     log("=== END RAW RESPONSE PREVIEW ===");
 
-    // Helper: strip trailing [[...]] tag lines and stray wrapping code fences from extracted content
-    const cleanExtracted = (text) => {
-      if (!text) return text;
-      // Remove any [[...]] tag lines (malformed end tags like [[_POM]], [[END_SCRIPT]] etc.)
-      let cleaned = text.replace(/\[\[[\w/_]*\]\]\s*$/gm, '').trim();
-      // If the entire content is wrapped in a single outer code fence, unwrap it
-      // unless it contains multiple fences (in which case it's intentional formatting)
-      const fenceMatch = cleaned.match(/^```[\w]*\n([\s\S]*)\n```$/);
-      if (fenceMatch) {
-        const inner = fenceMatch[1];
-        // Only unwrap if the inner content has no further fences (avoid double-unwrapping)
-        if (!inner.includes('```')) {
-          cleaned = inner.trim();
-        }
-      }
-      return cleaned;
-    };
-
     // Robust string-based extraction helper
-    const extractContent = (tagBase) => {
-      const startTags = [`[[START_${tagBase}]]`, `[START_${tagBase}]`, `[[${tagBase}]]`];
-      const endTags = [`[[END_${tagBase}]]`, `[END_${tagBase}]`, `[[/${tagBase}]]`];
-
-      for (let i = 0; i < startTags.length; i++) {
-        const startIdx = content.indexOf(startTags[i]);
-        if (startIdx !== -1) {
-          log(`Found ${tagBase} start tag: ${startTags[i]} at position ${startIdx}`);
-          const contentStart = startIdx + startTags[i].length;
-
-          // 1. Try exact end tag
-          let endIdx = content.indexOf(endTags[i], contentStart);
-
-          // 2. Fuzzy fallback: any [[END_…]] or [[_…]] pattern (handles [[END_SCRIPT]], [[_POM]] etc.)
-          if (endIdx === -1) {
-            const patterns = ['[[END_', '[[_', '[END_'];
-            for (const pat of patterns) {
-              const idx = content.indexOf(pat, contentStart);
-              if (idx !== -1) {
-                log(`No exact end tag for ${tagBase}, using fuzzy end at position ${idx}`);
-                endIdx = idx;
-                break;
-              }
-            }
-          }
-
-          if (endIdx !== -1) {
-            log(`Found ${tagBase} end tag at position ${endIdx}`);
-            const extracted = cleanExtracted(content.substring(contentStart, endIdx).trim());
-            log(`Extracted ${tagBase} content (${extracted.length} chars)`);
-            return extracted;
-          }
-
-          // 3. No end tag at all — take until next [[START_ or end of string
-          const nextStartIdx = content.indexOf('[[START_', contentStart);
-          if (nextStartIdx !== -1) {
-            log(`No end tag for ${tagBase}, taking until next START tag at ${nextStartIdx}`);
-            return cleanExtracted(content.substring(contentStart, nextStartIdx).trim());
-          }
-          log(`No end tag for ${tagBase}, taking everything remaining`);
-          return cleanExtracted(content.substring(contentStart).trim());
-        }
-      }
-      log(`No tags found for ${tagBase}`);
-      return null;
-    };
+    const extractContent = (tagBase) => this.extractTaggedContent(content, tagBase, log);
 
     const langHint = settings.language ? settings.language.toLowerCase() : '';
 
@@ -699,25 +991,7 @@ export class CodeGenerator {
     let tcContent = extractContent("MANUAL_TEST") || extractContent("FEATURE_FILE");
     if (tcContent) {
       log("Found Test Case content, first 100 chars:", tcContent.substring(0, 100));
-      this.elements['tab-test-case'].style.display = 'flex';
-      this.elements['area-test-case'].value = tcContent;
-
-      let renderContent = tcContent;
-
-      if (requirements.feature) {
-        // Gherkin: wrap in code fence if not already wrapped
-        if (!renderContent.includes('```')) {
-          renderContent = `\`\`\`gherkin\n${renderContent}\n\`\`\``;
-        }
-      } else {
-        // Manual test: strip ALL embedded code fences added by the LLM.
-        // LLMs sometimes wrap test data, steps, or entire test cases in backtick fences
-        // which marked.js renders as dark <pre> blocks. For manual tests there is no
-        // legitimate reason to have code blocks — replace every fence with its inner text.
-        renderContent = renderContent.replace(/```[\w]*\n?([\s\S]*?)```/g, (_, inner) => inner.trim());
-      }
-
-      this.elements['preview-test-case'].innerHTML = this.renderMarkdown(renderContent);
+      this.renderOutput('test-case', tcContent, requirements, langHint);
     }
 
     // 2. Page Object Model
@@ -725,13 +999,7 @@ export class CodeGenerator {
     const pomContent = extractContent("POM");
     if (pomContent) {
       log("Found POM content, first 100 chars:", pomContent.substring(0, 100));
-      this.elements['tab-pom'].style.display = 'flex';
-      this.elements['area-pom'].value = pomContent;
-      let displayContent = pomContent;
-      if (!displayContent.includes('```')) {
-        displayContent = `\`\`\`${langHint}\n${displayContent}\n\`\`\``;
-      }
-      this.elements['preview-pom'].innerHTML = this.renderMarkdown(displayContent);
+      this.renderOutput('pom', pomContent, requirements, langHint);
     }
 
     // 3. Test Script
@@ -739,13 +1007,7 @@ export class CodeGenerator {
     const scriptContent = extractContent("TEST_SCRIPT");
     if (scriptContent) {
       log("Found Test Script content, first 100 chars:", scriptContent.substring(0, 100));
-      this.elements['tab-script'].style.display = 'flex';
-      this.elements['area-script'].value = scriptContent;
-      let displayContent = scriptContent;
-      if (!displayContent.includes('```')) {
-        displayContent = `\`\`\`${langHint}\n${displayContent}\n\`\`\``;
-      }
-      this.elements['preview-script'].innerHTML = this.renderMarkdown(displayContent);
+      this.renderOutput('script', scriptContent, requirements, langHint);
     }
 
     // Fallback: If absolutely NOTHING was extracted, dump the raw response to specified target
@@ -771,14 +1033,206 @@ export class CodeGenerator {
 
     // Ensure syntax highlighting is applied to all new code blocks
     if (!isStreaming) {
-      setTimeout(() => {
-        if (window.Prism) {
-          document.querySelectorAll('.markdown-body pre code').forEach(block => {
-            window.Prism.highlightElement(block);
-          });
-        }
-      }, 100);
+      this.highlightCode();
+    }
+  }
+
+  highlightCode() {
+    setTimeout(() => {
+      if (window.Prism) {
+        document.querySelectorAll('.markdown-body pre code').forEach(block => {
+          window.Prism.highlightElement(block);
+        });
+      }
+    }, 100);
+  }
+
+  // --- Refine (follow-up conversation per output tab) ---
+
+  /**
+   * Sends the tab's conversation (the original prompt, the reply and every refinement of the tabs filled
+   * by the same call) followed by the user's instruction, then replaces the tab content with the revised
+   * version. The new exchange is appended to the conversation; the replaced content is pushed onto the
+   * tab's undo stack with it.
+   * @param {'test-case'|'pom'|'script'} target
+   */
+  async handleRefineClick(target) {
+    const session = this.refineSessions[target];
+    const input = document.querySelector(`.refine-input[data-target="${target}"]`);
+    if (!input || input.disabled) return;
+
+    if (!session || !this.lastGeneration) {
+      alert(chrome.i18n.getMessage("errorRefineUnavailable") || "Generate output first; refinement continues the last generation.");
+      return;
+    }
+    if (this.activeControllers.size > 0) {
+      alert(chrome.i18n.getMessage("errorRefineBusy") || "Wait for the running generation or refinement to finish, or press Stop.");
+      return;
+    }
+    const instruction = input.value.trim();
+    if (!instruction) {
+      alert(chrome.i18n.getMessage("errorRefineEmpty") || 'Describe the change you want, e.g. "convert to data-driven".');
+      return;
+    }
+
+    const { api, settings, requirements } = this.lastGeneration;
+    const langHint = settings.language ? settings.language.toLowerCase() : '';
+    const tag = getRefineTag(target, { requirements });
+    const request = {
+      role: 'user',
+      content: getRefinePrompt({
+        target,
+        instruction,
+        tool: settings.automationTool,
+        lang: settings.language,
+        requirements
+      })
+    };
+    const messages = [...session.conversation, request];
+    const previousContent = this.elements[`area-${target}`].value;
+
+    this.log(`Refining ${target}: "${instruction}"`);
+    this.setRefineBusy(target, true);
+    const controller = new AbortController();
+    this.refineController = controller;
+    this.activeControllers.add(controller);
+    // The progress bar holds the Stop button
+    this.startProgress();
+    this.elements['progress-label'].textContent = chrome.i18n.getMessage("btnRefining") || 'Refining...';
+    this.elements['progress-step'].textContent = instruction;
+    // A new generation or a restored run replaces the session: the revision no longer applies
+    const isStale = () => this.refineSessions[target] !== session || this.refineController !== controller;
+    const start = performance.now();
+    let streamed = '';
+
+    try {
+      const response = await api.sendMessageStream(messages, settings.llmModel, (token) => {
+        if (isStale() || controller.signal.aborted) return;
+        streamed += token;
+        const revised = this.extractTaggedContent(streamed, tag);
+        if (revised) this.renderOutput(target, revised, requirements, langHint);
+      }, { signal: controller.signal });
+      if (isStale()) return;
+
+      const revised = this.extractTaggedContent(response.content, tag) || cleanExtracted(response.content.trim());
+      if (!revised) throw new Error('The model returned an empty revision.');
+
+      const reply = { role: 'assistant', content: response.content };
+      session.conversation.push(request, reply);
+      session.undo.push({ content: previousContent, exchange: [request, reply] });
+      this.renderOutput(target, revised, requirements, langHint);
+      this.highlightCode();
+      input.value = '';
+
+      this.accumulateStats(response.usage, Math.round(performance.now() - start));
+      this.renderStats();
+    } catch (e) {
+      if (isStale()) return;
+      // Put back the version shown before the streamed revision started replacing it
+      this.renderOutput(target, previousContent, requirements, langHint);
+      this.highlightCode();
+      if (controller.signal.aborted) {
+        this.log(`Refinement of ${target} stopped by the user.`);
+      } else {
+        Logger.error("Refinement Failed:", e);
+        this.showApiError(`Refinement Failed:\n${e.message || "Unknown error occurred"}`);
+      }
+    } finally {
+      this.activeControllers.delete(controller);
+      if (this.refineController === controller) {
+        this.refineController = null;
+        this.stopProgress();
+      }
+      this.setRefineBusy(target, false);
+    }
+  }
+
+  /**
+   * Aborts the running refinement, if any. Its streamed and final output are dropped (see handleRefineClick).
+   */
+  abortRefinement() {
+    const controller = this.refineController;
+    if (!controller) return;
+    this.log("Aborting the running refinement.");
+    this.refineController = null;
+    this.activeControllers.delete(controller);
+    controller.abort();
+    this.stopProgress();
+  }
+
+  /**
+   * Restores the tab content from before its last refinement and drops that exchange from the shared
+   * conversation, so the next refinement no longer builds on it.
+   */
+  handleUndoClick(target) {
+    const session = this.refineSessions[target];
+    const previous = session?.undo.pop();
+    if (!previous || !this.lastGeneration) return;
+
+    const { settings, requirements } = this.lastGeneration;
+    const langHint = settings.language ? settings.language.toLowerCase() : '';
+    const conversation = session.conversation;
+    conversation.splice(0, conversation.length, ...conversation.filter(message => !previous.exchange.includes(message)));
+    this.renderOutput(target, previous.content, requirements, langHint);
+    this.highlightCode();
+    this.updateUndoButton(target);
+    this.log(`Undid last refinement of ${target}. ${session.undo.length} step(s) left.`);
+  }
+
+  resetRefineSessions() {
+    this.abortRefinement();
+    this.refineSessions = {};
+    this.lastGeneration = null;
+    document.querySelectorAll('.refine-input').forEach(input => { input.value = ''; });
+    ['test-case', 'pom', 'script'].forEach(target => this.updateUndoButton(target));
+  }
+
+  setRefineBusy(target, busy) {
+    const input = document.querySelector(`.refine-input[data-target="${target}"]`);
+    const refineBtn = document.querySelector(`.refine-btn[data-target="${target}"]`);
+    if (input) input.disabled = busy;
+    if (refineBtn) {
+      refineBtn.disabled = busy;
+      refineBtn.textContent = busy
+        ? (chrome.i18n.getMessage("btnRefining") || 'Refining...')
+        : (chrome.i18n.getMessage("btnRefine") || 'Refine');
     }
+    this.updateUndoButton(target, busy);
+  }
+
+  updateUndoButton(target, busy = false) {
+    const undoBtn = document.querySelector(`.undo-btn[data-target="${target}"]`);
+    if (undoBtn) undoBtn.disabled = busy || !this.refineSessions[target]?.undo.length;
+  }
+
+  /**
+   * Shows content in an output tab: the raw text goes to the hidden textarea used by copy/download
+   * and the rendered markdown to the preview.
+   * @param {'test-case'|'pom'|'script'} target
+   */
+  renderOutput(target, text, requirements, langHint) {
+    this.elements[`tab-${target}`].style.display = 'flex';
+    this.elements[`area-${target}`].value = text;
+
+    let renderContent = text;
+    if (target !== 'test-case') {
+      if (!renderContent.includes('```')) {
+        renderContent = `\`\`\`${langHint}\n${renderContent}\n\`\`\``;
+      }
+    } else if (requirements.feature) {
+      // Gherkin: wrap in code fence if not already wrapped
+      if (!renderContent.includes('```')) {
+        renderContent = `\`\`\`gherkin\n${renderContent}\n\`\`\``;
+      }
+    } else {
+      // Manual test: strip ALL embedded code fences added by the LLM.
+      // LLMs sometimes wrap test data, steps, or entire test cases in backtick fences
+      // which marked.js renders as dark <pre> blocks. For manual tests there is no
+      // legitimate reason to have code blocks — replace every fence with its inner text.
+      renderContent = renderContent.replace(/```[\w]*\n?([\s\S]*?)```/g, (_, inner) => inner.trim());
+    }
+
+    this.elements[`preview-${target}`].innerHTML = this.renderMarkdown(renderContent);
   }
 
   renderMarkdown(text) {
@@ -798,23 +1252,60 @@ export class CodeGenerator {
     }
   }
 
-  handleDownloadClick(btn) {
+  /**
+   * Settings and requirements for naming downloads. Outputs on screen come from a generation or a
+   * history restore; before either, the saved settings are used.
+   */
+  async getOutputContext() {
+    if (this.outputContext) return this.outputContext;
+    const settings = await chrome.storage.local.get(['automationTool', 'language', 'outputFormat']);
+    return { settings, requirements: { feature: settings.outputFormat === 'feature' } };
+  }
+
+  saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  async handleDownloadClick(btn) {
     const targetId = btn.dataset.target;
-    const filename = btn.dataset.filename;
     const textarea = document.getElementById(targetId);
     if (textarea && textarea.value) {
-      const blob = new Blob([textarea.value], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${filename}_${Date.now()}.txt`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      const { settings, requirements } = await this.getOutputContext();
+      // File name and type follow the output: LoginPage.ts, LoginTest.java, login.feature, ...
+      const file = getOutputFile(targetId.replace('output-area-', ''), textarea.value, settings, requirements);
+      this.log(`Downloading ${file.name} (${file.mime}).`);
+      this.saveBlob(new Blob([textarea.value], { type: `${file.mime};charset=utf-8` }), file.name);
     }
   }
 
+  /**
+   * Bundles the POM, test script and test cases / feature file into one ZIP
+   * (`pages/`, `tests/`, `features/` or `test-cases/`).
+   */
+  async handleDownloadAllClick() {
+    const outputs = {
+      testCase: this.elements['area-test-case'].value,
+      pom: this.elements['area-pom'].value,
+      script: this.elements['area-script'].value
+    };
+    const { settings, requirements } = await this.getOutputContext();
+    const files = getBundleFiles(outputs, settings, requirements);
+    if (files.length === 0) return;
+
+    const tool = (settings.automationTool || 'tests').toLowerCase();
+    const language = (settings.language || '').toLowerCase();
+    const archiveName = `${[tool, language].filter(Boolean).join('-')}_${Date.now()}.zip`;
+    this.log(`Downloading ${archiveName} with ${files.length} file(s):`, files.map(file => file.path));
+    this.saveBlob(createZip(files), archiveName);
+  }
+
   /**
    * sanitizeDOM
    * masks sensitive values and patterns in the captured HTML content.
@@ -853,12 +1344,103 @@ export class CodeGenerator {
         ...el,
         html: sanitizedHtml,
         attributes: this.sanitizeAttributes(el.attributes),
-        playwrightLocator: el.playwrightLocator,
-        seleniumLocator: el.seleniumLocator
+        constraints: this.sanitizeConstraints(el.constraints),
+        rowContext: this.sanitizeRowContext(el.rowContext),
+        ...this.sanitizeRowLocators(el)
       };
     });
   }
 
+  /**
+   * Applies the text redaction of sanitizeTextNodes to a plain string (e.g. a recorded typed value).
+   */
+  sanitizeText(text) {
+    const node = document.createTextNode(String(text));
+    this.sanitizeTextNodes(node);
+    return node.textContent;
+  }
+
+  /**
+   * Redacts the page text kept in an element's constraints: validation messages (which may echo the typed
+   * value), select options and datalist suggestions (e.g. a list of saved addresses or contacts).
+   */
+  sanitizeConstraints(constraints) {
+    if (!constraints) return constraints;
+    const sanitized = { ...constraints };
+    if (constraints.validationMessages) {
+      sanitized.validationMessages = constraints.validationMessages.map(message => this.sanitizeText(message));
+    }
+    if (constraints.options) {
+      sanitized.options = constraints.options.map(option => ({
+        ...option,
+        value: this.sanitizeText(option.value),
+        text: this.sanitizeText(option.text)
+      }));
+    }
+    if (constraints.datalist) {
+      sanitized.datalist = constraints.datalist.map(value => this.sanitizeText(value));
+    }
+    return sanitized;
+  }
+
+  /**
+   * Redacts the row key, which is page text (an email, a customer name...) copied out of the row's cells.
+   */
+  sanitizeRowContext(rowContext) {
+    if (!rowContext?.key) return rowContext;
+    return { ...rowContext, key: { ...rowContext.key, text: this.sanitizeText(rowContext.key.text) } };
+  }
+
+  /**
+   * Redacts the row key in the locators built from it (`filter({ hasText })`, the row XPath in `xpath` and
+   * the Selenium locator, the candidates and the pinned locators), in every quoting the tools use. A word
+   * of the key that survives (e.g. inside an XPath `concat()` split at quotes) is replaced on its own, so
+   * no locator sent to the LLM still holds the redacted text.
+   * @returns {object} - The element's locator fields, redacted; empty when the key holds nothing to redact.
+   */
+  sanitizeRowLocators(el) {
+    const keyText = el.rowContext?.key?.text;
+    if (!keyText) return {};
+    const redactedKey = this.sanitizeText(keyText);
+    if (redactedKey === keyText) return {};
+
+    const escapes = [
+      value => value,
+      value => value.replace(/\\/g, '\\\\').replace(/'/g, "\\'"),
+      value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+    ];
+    const leakedWords = keyText.split(/[\s'"\\]+/).filter(word => word && !redactedKey.includes(word));
+    const redact = (locator) => {
+      if (typeof locator !== 'string') return locator;
+      let redacted = escapes.reduce((text, escape) => text.split(escape(keyText)).join(escape(redactedKey)), locator);
+      leakedWords.forEach(word => {
+        const pattern = new RegExp(`(?<![A-Za-z0-9])${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![A-Za-z0-9])`, 'g');
+        redacted = redacted.replace(pattern, '[REDACTED]');
+      });
+      // Check: a word inside a longer identifier is still there; cut it out wherever it is
+      leakedWords.filter(word => redacted.includes(word)).forEach(word => {
+        this.log("WARN: Row key text still present in a locator after sanitizing; redacting it again.");
+        redacted = redacted.split(word).join('[REDACTED]');
+      });
+      return redacted;
+    };
+
+    const sanitized = {};
+    ['playwrightLocator', 'seleniumLocator', 'cypressLocator', 'xpath'].forEach(field => {
+      if (el[field]) sanitized[field] = redact(el[field]);
+    });
+    if (el.candidates) {
+      sanitized.candidates = Object.fromEntries(Object.entries(el.candidates).map(([tool, list]) => [
+        tool,
+        list.map(candidate => ({ ...candidate, locator: redact(candidate.locator) }))
+      ]));
+    }
+    if (el.pinnedLocators) {
+      sanitized.pinnedLocators = Object.fromEntries(Object.entries(el.pinnedLocators).map(([tool, locator]) => [tool, redact(locator)]));
+    }
+    return sanitized;
+  }
+
   sanitizeTextNodes(node) {
     if (node.nodeType === 3) { // Node.TEXT_NODE
       const parent = node.parentElement;
@@ -0,0 +1,251 @@
+import { listRuns, deleteRun, clearHistory } from '../scripts/history-store.js';
+
+// Blocks a run can be compared on, in the order offered by the diff selector; `messageKey` names them, `label` is the fallback
+const DIFF_BLOCKS = [
+  { key: 'testCase', messageKey: 'tabTestCase', label: 'Test Case', read: run => run.blocks?.MANUAL_TEST || run.blocks?.FEATURE_FILE || '' },
+  { key: 'pom', messageKey: 'tabPom', label: 'POM', read: run => run.blocks?.POM || '' },
+  { key: 'script', messageKey: 'tabTestScript', label: 'Test Script', read: run => run.blocks?.TEST_SCRIPT || '' },
+  { key: 'raw', messageKey: 'diffBlockRaw', label: 'Raw response', read: run => (run.responses || []).map(res => res.content).join('\n\n') }
+];
+
+// Longer inputs are compared on their first lines only, to keep the LCS table small
+const MAX_DIFF_LINES = 1500;
+
+/**
+ * Line diff based on the longest common subsequence.
+ * @returns {Array<{type: 'same'|'removed'|'added', text: string}>}
+ */
+function diffLines(before, after) {
+  const a = before.split('\n').slice(0, MAX_DIFF_LINES);
+  const b = after.split('\n').slice(0, MAX_DIFF_LINES);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'removed', text: a[i++] });
+    } else {
+      ops.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) ops.push({ type: 'added', text: b[j++] });
+  return ops;
+}
+
+/**
+ * Pairs diff operations into side-by-side rows: runs of removed lines are matched with
+ * the added lines that follow them, so a changed line shows up on one row.
+ * @returns {Array<{left: string|null, right: string|null, type: string}>}
+ */
+function toSideBySideRows(ops) {
+  const rows = [];
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index].type === 'same') {
+      rows.push({ left: ops[index].text, right: ops[index].text, type: 'same' });
+      index++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (index < ops.length && ops[index].type === 'removed') removed.push(ops[index++].text);
+    while (index < ops.length && ops[index].type === 'added') added.push(ops[index++].text);
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = k < removed.length ? removed[k] : null;
+      const right = k < added.length ? added[k] : null;
+      rows.push({ left, right, type: left !== null && right !== null ? 'changed' : (left !== null ? 'removed' : 'added') });
+    }
+  }
+  return rows;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+/**
+ * The History tab: lists saved generation runs with search, compares two runs side by side
+ * and restores a run into the generator.
+ */
+export class HistoryView {
+  /**
+   * @param {function(object): void} onRestore - Called with the run the user chose to restore.
+   */
+  constructor(onRestore) {
+    this.onRestore = onRestore;
+    this.runs = [];
+    this.selectedIds = []; // Up to two runs picked for comparison, in click order
+    this.elements = {};
+    this.searchTimer = null;
+    this.initialize();
+  }
+
+  log(message, ...args) {
+    Logger.log(`[HistoryView] ${message}`, ...args);
+  }
+
+  initialize() {
+    this.cacheElements();
+    if (!this.elements['history-list']) return;
+    this.populateDiffBlocks();
+    this.setupEventListeners();
+  }
+
+  cacheElements() {
+    const ids = [
+      'history-search', 'history-list', 'history-compare-btn', 'history-clear-btn',
+      'history-diff', 'history-diff-title', 'history-diff-block', 'history-diff-close', 'history-diff-view'
+    ];
+    ids.forEach(id => {
+      this.elements[id] = document.getElementById(id);
+    });
+  }
+
+  populateDiffBlocks() {
+    this.elements['history-diff-block'].innerHTML = DIFF_BLOCKS
+      .map(block => `<option value="${block.key}">${escapeHtml(chrome.i18n.getMessage(block.messageKey) || block.label)}</option>`)
+      .join('');
+  }
+
+  setupEventListeners() {
+    this.elements['history-search'].addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.refresh(), 250);
+    });
+
+    this.elements['history-compare-btn'].addEventListener('click', () => this.showDiff());
+    this.elements['history-diff-block'].addEventListener('change', () => this.showDiff());
+    this.elements['history-diff-close'].addEventListener('click', () => {
+      this.elements['history-diff'].style.display = 'none';
+    });
+
+    this.elements['history-clear-btn'].addEventListener('click', async () => {
+      const confirmed = confirm(chrome.i18n.getMessage("alertConfirmClearHistory") || "Delete all saved generation runs? This cannot be undone.");
+      if (!confirmed) return;
+      await clearHistory();
+      this.log("History cleared.");
+      this.selectedIds = [];
+      this.elements['history-diff'].style.display = 'none';
+      await this.refresh();
+    });
+
+    // Delegated actions on the run list
+    this.elements['history-list'].addEventListener('click', async (e) => {
+      const item = e.target.closest('.history-item');
+      if (!item) return;
+      const id = Number(item.dataset.id);
+
+      if (e.target.closest('.history-restore-btn')) {
+        const run = this.runs.find(r => r.id === id);
+        if (run) this.onRestore(run);
+      } else if (e.target.closest('.history-delete-btn')) {
+        await deleteRun(id);
+        this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+        await this.refresh();
+      }
+    });
+
+    this.elements['history-list'].addEventListener('change', (e) => {
+      if (!e.target.classList.contains('history-select')) return;
+      const id = Number(e.target.closest('.history-item').dataset.id);
+      if (e.target.checked) {
+        // Keep the two most recent picks
+        this.selectedIds = [...this.selectedIds.filter(selectedId => selectedId !== id), id].slice(-2);
+      } else {
+        this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+      }
+      this.renderList();
+    });
+  }
+
+  /**
+   * Reloads the runs matching the search box and re-renders the list.
+   */
+  async refresh() {
+    try {
+      this.runs = await listRuns(this.elements['history-search'].value);
+    } catch (error) {
+      Logger.error("[HistoryView] Could not load history:", error);
+      this.runs = [];
+    }
+    this.selectedIds = this.selectedIds.filter(id => this.runs.some(run => run.id === id));
+    this.renderList();
+  }
+
+  renderList() {
+    const list = this.elements['history-list'];
+    this.elements['history-compare-btn'].disabled = this.selectedIds.length !== 2;
+
+    if (this.runs.length === 0) {
+      list.innerHTML = `<div class="history-empty">${escapeHtml(chrome.i18n.getMessage("historyEmpty") || 'No saved runs yet.')}</div>`;
+      return;
+    }
+
+    const restoreLabel = chrome.i18n.getMessage("btnRestore") || 'Restore';
+    const compareLabel = chrome.i18n.getMessage("btnCompare") || 'Compare';
+    const deleteLabel = chrome.i18n.getMessage("titleDeleteRun") || 'Delete';
+    const partialLabel = chrome.i18n.getMessage("partialOutputSuffix") || 'partial';
+    const elementsSuffix = chrome.i18n.getMessage("historyElementsSuffix") || 'el.';
+    list.innerHTML = this.runs.map(run => {
+      const settings = run.settings || {};
+      const outputs = Object.keys(run.blocks || {}).join(' · ');
+      const partial = (run.responses || []).some(res => res.partial);
+      return `
+        <div class="history-item" data-id="${run.id}">
+          <input type="checkbox" class="history-select" title="${escapeHtml(compareLabel)}" ${this.selectedIds.includes(run.id) ? 'checked' : ''}>
+          <div class="history-info">
+            <div class="history-time">${escapeHtml(new Date(run.timestamp).toLocaleString())}${partial ? ` · ${escapeHtml(partialLabel)}` : ''}</div>
+            <div class="history-url" title="${escapeHtml((run.pageUrls || [run.pageUrl]).join('\n'))}">${escapeHtml(run.pageUrl)}</div>
+            <div class="history-meta">${escapeHtml(`${settings.automationTool || ''} · ${settings.language || ''} · ${settings.llmModel || settings.llmProvider || ''} · ${(run.elements || []).length} ${elementsSuffix}`)}</div>
+            <div class="history-meta">${escapeHtml(outputs)}</div>
+          </div>
+          <div class="history-actions">
+            <button class="history-restore-btn">${escapeHtml(restoreLabel)}</button>
+            <button class="history-delete-btn" title="${escapeHtml(deleteLabel)}">🗑️</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Renders the selected block of the two picked runs side by side (older run on the left).
+   */
+  showDiff() {
+    if (this.selectedIds.length !== 2) return;
+    const [older, newer] = this.selectedIds
+      .map(id => this.runs.find(run => run.id === id))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    if (!older || !newer) return;
+
+    const block = DIFF_BLOCKS.find(b => b.key === this.elements['history-diff-block'].value) || DIFF_BLOCKS[0];
+    const rows = toSideBySideRows(diffLines(block.read(older), block.read(newer)));
+    const cell = (text) => text === null ? '<td class="diff-empty"></td>' : `<td>${escapeHtml(text) || '&nbsp;'}</td>`;
+
+    this.elements['history-diff-title'].textContent =
+      `${new Date(older.timestamp).toLocaleString()} → ${new Date(newer.timestamp).toLocaleString()}`;
+    this.elements['history-diff-view'].innerHTML = `
+      <table class="history-diff-table">
+        ${rows.map(row => `<tr class="diff-${row.type}">${cell(row.left)}${cell(row.right)}</tr>`).join('')}
+      </table>
+    `;
+    this.elements['history-diff'].style.display = 'block';
+    this.log(`Compared runs ${older.id} and ${newer.id} on ${block.key}: ${rows.filter(row => row.type !== 'same').length} changed row(s).`);
+  }
+}
@@ -1,3 +1,16 @@
+// Message keys and fallback labels of the locator policy strategies, in the order of LocatorPolicy.STRATEGIES
+const POLICY_STRATEGY_LABELS = {
+  testid: { key: 'strategyTestId', fallback: 'Test id' },
+  role: { key: 'strategyRole', fallback: 'Role + name' },
+  label: { key: 'strategyLabel', fallback: 'Label' },
+  placeholder: { key: 'strategyPlaceholder', fallback: 'Placeholder' },
+  id: { key: 'strategyId', fallback: 'Id' },
+  name: { key: 'strategyName', fallback: 'Name' },
+  text: { key: 'strategyText', fallback: 'Text' },
+  xpath: { key: 'strategyXPath', fallback: 'XPath' },
+  css: { key: 'strategyCss', fallback: 'CSS' }
+};
+
 class SettingsManager {
   constructor() {
     this.dropdownData = {};
@@ -13,6 +26,7 @@ class SettingsManager {
   async initialize() {
     this.log("Initializing SettingsManager.");
     this.cacheElements();
+    this.renderPolicyStrategies();
     await this.fetchDropdownData();
     this.setupEventListeners();
     this.loadSettings();
@@ -23,7 +37,11 @@ class SettingsManager {
       'save-settings', 'automation-tool', 'llm-provider',
       'api-key', 'language', 'llm-model',
       'multi-page', 'test-page', 'test-script',
-      'api-key-error', 'sanitize-pii'
+      'api-key-error', 'sanitize-pii',
+      'llm-model-group', 'custom-provider-settings', 'custom-base-url',
+      'custom-model', 'custom-model-options', 'custom-headers', 'fetch-models-btn',
+      'policy-testid-attributes', 'policy-strategies', 'policy-id-blocklist', 'policy-class-blocklist',
+      'policy-max-fallbacks', 'policy-reset-btn'
     ];
     ids.forEach(id => {
       this.elements[id] = document.getElementById(id);
@@ -53,7 +71,17 @@ class SettingsManager {
     this.log("Setting up event listeners.");
     this.elements['save-settings'].addEventListener('click', () => this.saveSettings());
     this.elements['automation-tool'].addEventListener('change', () => this.populateProgrammingLanguages());
-    this.elements['llm-provider'].addEventListener('change', () => this.populateLlmModels());
+    this.elements['llm-provider'].addEventListener('change', () => {
+      this.populateLlmModels();
+      this.toggleCustomProviderFields();
+    });
+    this.elements['fetch-models-btn'].addEventListener('click', () => this.fetchCustomModels());
+    this.elements['policy-reset-btn'].addEventListener('click', () => this.applyLocatorPolicy(LocatorPolicy.normalize()));
+    this.elements['policy-strategies'].addEventListener('change', (event) => {
+      if (event.target.type === 'checkbox') {
+        event.target.closest('.policy-strategy').classList.toggle('off', !event.target.checked);
+      }
+    });
 
     this.elements.dualOptions.forEach(option => {
       option.addEventListener('click', (event) => {
@@ -152,6 +180,121 @@ class SettingsManager {
     this.populateDropdown(this.elements['llm-model'], models, selectedValue || 'llama-3.3-70b-versatile');
   }
 
+  isCustomProvider() {
+    return this.elements['llm-provider']?.value === 'custom';
+  }
+
+  // The custom provider replaces the fixed model list with a base URL, free-text model and extra headers
+  toggleCustomProviderFields() {
+    const isCustom = this.isCustomProvider();
+    this.elements['llm-model-group'].style.display = isCustom ? 'none' : '';
+    this.elements['custom-provider-settings'].style.display = isCustom ? '' : 'none';
+    if (isCustom) this.handleApiKeyInputValidation(); // The API key is optional for local servers
+  }
+
+  async fetchCustomModels() {
+    const baseUrl = this.elements['custom-base-url'].value.trim();
+    if (!baseUrl) {
+      alert(chrome.i18n.getMessage("errorBaseUrlMandatory") || 'Base URL is mandatory for the Custom / Local provider.');
+      return;
+    }
+
+    const button = this.elements['fetch-models-btn'];
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = chrome.i18n.getMessage("textFetchingModels") || 'Fetching...';
+
+    try {
+      // settings.js is a classic script, so the shared API module is loaded on demand
+      const { default: CustomAPI } = await import(chrome.runtime.getURL('src/scripts/api/custom-api.js'));
+      const api = new CustomAPI(this.elements['api-key'].value.trim(), {
+        baseUrl: baseUrl,
+        headers: this.elements['custom-headers'].value
+      });
+      const models = await api.listModels();
+      this.log(`Fetched ${models.length} models from ${api.rootUrl}`, models);
+
+      const datalist = this.elements['custom-model-options'];
+      datalist.innerHTML = '';
+      models.forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        datalist.appendChild(option);
+      });
+      if (!this.elements['custom-model'].value && models.length > 0) {
+        this.elements['custom-model'].value = models[0];
+      }
+      if (models.length === 0) {
+        alert(chrome.i18n.getMessage("errorNoModelsFound") || 'The server did not report any models. Type the model name manually.');
+      }
+    } catch (error) {
+      Logger.error("[SettingsManager] Error fetching models:", error);
+      alert(`${chrome.i18n.getMessage("errorFetchModels") || 'Could not fetch models'}: ${error.message}`);
+    } finally {
+      button.disabled = false;
+      button.textContent = originalText;
+    }
+  }
+
+  // One row per locator strategy: an on/off switch and its weight
+  renderPolicyStrategies() {
+    this.elements['policy-strategies'].innerHTML = LocatorPolicy.STRATEGIES.map(strategy => {
+      const label = POLICY_STRATEGY_LABELS[strategy];
+      return `
+      <label class="policy-strategy" data-strategy="${strategy}">
+        <input type="checkbox" class="policy-enabled">
+        <span>${label ? chrome.i18n.getMessage(label.key) || label.fallback : strategy}</span>
+        <input type="number" class="policy-weight" min="0" max="100" step="5">
+      </label>
+    `;
+    }).join('');
+  }
+
+  applyLocatorPolicy(policy) {
+    this.elements['policy-testid-attributes'].value = policy.testIdAttributes.join('\n');
+    this.elements['policy-id-blocklist'].value = policy.idBlocklist.join('\n');
+    this.elements['policy-class-blocklist'].value = policy.classBlocklist.join('\n');
+    this.elements['policy-max-fallbacks'].value = policy.maxFallbacks;
+    this.elements['policy-strategies'].querySelectorAll('.policy-strategy').forEach(row => {
+      const strategy = row.dataset.strategy;
+      const enabled = !policy.disabled.includes(strategy);
+      row.querySelector('.policy-enabled').checked = enabled;
+      row.querySelector('.policy-weight').value = policy.weights[strategy];
+      row.classList.toggle('off', !enabled);
+    });
+  }
+
+  /**
+   * Reads the locator policy from the editor.
+   * @returns {{policy: object|null, error: string|null}} `error` names the first invalid regular expression.
+   */
+  readLocatorPolicy() {
+    const lines = (id) => this.elements[id].value.split('\n').map(line => line.trim()).filter(Boolean);
+    const idBlocklist = lines('policy-id-blocklist');
+    const classBlocklist = lines('policy-class-blocklist');
+    const invalid = LocatorPolicy.findInvalidPatterns([...idBlocklist, ...classBlocklist])[0];
+    if (invalid) {
+      return { policy: null, error: `${invalid.pattern}: ${invalid.error}` };
+    }
+
+    const weights = {};
+    const disabled = [];
+    this.elements['policy-strategies'].querySelectorAll('.policy-strategy').forEach(row => {
+      weights[row.dataset.strategy] = row.querySelector('.policy-weight').value;
+      if (!row.querySelector('.policy-enabled').checked) disabled.push(row.dataset.strategy);
+    });
+
+    const policy = LocatorPolicy.normalize({
+      testIdAttributes: lines('policy-testid-attributes'),
+      weights,
+      disabled,
+      idBlocklist,
+      classBlocklist,
+      maxFallbacks: this.elements['policy-max-fallbacks'].value
+    });
+    return { policy, error: null };
+  }
+
   handleDualToggle(clickedOption) {
     this.elements.dualOptions.forEach(option => {
       option.classList.remove('active');
@@ -173,7 +316,11 @@ class SettingsManager {
       testPage: false,
       testScript: false,
       sanitizePii: true,
-      theme: 'system'
+      theme: 'system',
+      customBaseUrl: '',
+      customModel: '',
+      customHeaders: '',
+      locatorPolicy: null
     };
 
     const settings = await chrome.storage.local.get(defaultSettings);
@@ -195,6 +342,13 @@ class SettingsManager {
       this.elements['api-key'].value = settings.apiKey;
     }
 
+    this.elements['custom-base-url'].value = settings.customBaseUrl;
+    this.elements['custom-model'].value = settings.customModel;
+    this.elements['custom-headers'].value = settings.customHeaders;
+    this.toggleCustomProviderFields();
+
+    this.applyLocatorPolicy(LocatorPolicy.normalize(settings.locatorPolicy));
+
     // Set output format (dual toggle)
     this.elements.dualOptions.forEach(option => {
       option.classList.remove('active');
@@ -264,8 +418,11 @@ class SettingsManager {
     this.log("Saving settings...");
 
     const apiKey = this.elements['api-key'].value.trim();
+    const isCustom = this.isCustomProvider();
+    const customBaseUrl = this.elements['custom-base-url'].value.trim();
+    const customModel = this.elements['custom-model'].value.trim();
 
-    if (!apiKey) {
+    if (!apiKey && !isCustom) {
       this.log("API key is missing, showing error.");
       this.showApiKeyError();
       return;
@@ -273,21 +430,39 @@ class SettingsManager {
       this.handleApiKeyInputValidation(); // Clear any existing error
     }
 
+    if (isCustom) {
+      if (!customBaseUrl || !customModel) {
+        alert(chrome.i18n.getMessage("errorCustomProviderIncomplete") || 'Base URL and model name are mandatory for the Custom / Local provider.');
+        return;
+      }
+    }
+
+    const { policy: locatorPolicy, error: policyError } = this.readLocatorPolicy();
+    if (policyError) {
+      alert(`${chrome.i18n.getMessage("errorInvalidBlocklist") || 'Invalid regular expression in the locator policy'}: ${policyError}`);
+      return;
+    }
+
     const settings = {
       automationTool: this.elements['automation-tool'].value,
       language: this.elements['language'].value,
       llmProvider: this.elements['llm-provider'].value,
-      llmModel: this.elements['llm-model'].value,
+      llmModel: isCustom ? customModel : this.elements['llm-model'].value,
       apiKey: apiKey,
+      customBaseUrl: customBaseUrl,
+      customModel: customModel,
+      customHeaders: this.elements['custom-headers'].value.trim(),
       outputFormat: document.querySelector('.dual-option.active')?.dataset.value || 'manual',
       multiPage: this.elements['multi-page'].checked,
       testPage: this.elements['test-page'].checked,
       testScript: this.elements['test-script'].checked,
       sanitizePii: this.elements['sanitize-pii'].checked,
-      theme: document.querySelector('.theme-option.active')?.dataset.value || 'system'
+      theme: document.querySelector('.theme-option.active')?.dataset.value || 'system',
+      locatorPolicy: locatorPolicy
     };
 
     await chrome.storage.local.set(settings);
+    this.applyLocatorPolicy(locatorPolicy); // Show the policy as normalized (malformed entries dropped)
     this.log("Settings saved successfully:", settings);
     this.showSaveConfirmation();
   }
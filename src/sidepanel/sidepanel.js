@@ -1,8 +1,21 @@
 // Import the CodeGenerator class (assuming generate.js is loaded as a module or globally available)
 // If generate.js is loaded via <script type="module"> in HTML, you might use:
 import { CodeGenerator } from './codegenerate.js';
+import { HistoryView } from './history.js';
 // For simplicity in this direct modification, we assume it's available globally or loaded before this script.
 
+// Selection changes are batched before the live page is asked to validate the locators again
+const LOCATOR_VALIDATION_DELAY_MS = 300;
+// Message keys and fallback names of the locator strategies reported by the content script's validation
+const LOCATOR_STRATEGY_LABELS = {
+  testId: { key: 'strategyTestId', fallback: 'Test id' },
+  role: { key: 'strategyRole', fallback: 'Role + name' },
+  label: { key: 'strategyLabel', fallback: 'Label' },
+  placeholder: { key: 'strategyPlaceholder', fallback: 'Placeholder' },
+  css: { key: 'strategyCss', fallback: 'CSS' },
+  xpath: { key: 'strategyXPath', fallback: 'XPath' }
+};
+
 document.addEventListener('DOMContentLoaded', async () => {
   Logger.log("[Sidepanel] DOM fully loaded and parsed.");
 
@@ -19,15 +32,29 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   const generatorTabBtn = document.getElementById('generator-tab');
   const settingsTabBtn = document.getElementById('settings-tab');
+  const historyTabBtn = document.getElementById('history-tab');
   const inspectBtn = document.getElementById('inspect-btn');
+  const recordBtn = document.getElementById('record-btn');
+  const captureVisibleBtn = document.getElementById('capture-visible-btn');
   const stopBtn = document.getElementById('stop-btn');
   const resetBtn = document.getElementById('reset-btn');
   const generateBtn = document.getElementById('generate-btn');
   const selectedElementsDisplay = document.getElementById('selected-elements'); // Renamed to avoid confusion with internal currentElements
   const elementCountDisplay = document.getElementById('element-count'); // Renamed for clarity
+  const recordedStepsDisplay = document.getElementById('recorded-steps');
+  const stepCountDisplay = document.getElementById('step-count');
 
   let currentElements = [];
   let isInspecting = false;
+  let isRecording = false;
+  let recordedSteps = []; // Actions captured in Record mode, in the order performed
+  let multiPageEnabled = true; // Mirrors the "Enable Multi-Page Selection" setting
+  const inspectedTabIds = new Set(); // Tabs the inspector was started on during this session
+  const locatorValidation = new Map(); // Live match counts of the active page's elements, keyed by elementKeyOf
+  let validationTimer = null;
+  let repickIndex = null; // Position of the element being re-picked; the next new selection takes its place
+  const expandedElementKeys = new Set(); // Element cards the user opened
+  let automationTool = 'playwright'; // Tool chosen in Settings; element cards show its locators
   let codeGenerator; // Declare a variable to hold the CodeGenerator instance
 
   // Initialize CodeGenerator after DOM is ready
@@ -35,11 +62,21 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (document.getElementById('generator')) { // Check if generator tab elements are present
     codeGenerator = new CodeGenerator();
   }
+  const historyView = new HistoryView(restoreRun);
 
   // Initialize from storage for generator-specific elements and context
   // This part now primarily focuses on `selectedElements` as `context` is managed by CodeGenerator
-  chrome.storage.local.get(['selectedElements'], (result) => {
+  chrome.storage.local.get({ selectedElements: null, recordedSteps: null, multiPage: true, automationTool: 'playwright' }, (result) => {
     Logger.log("[Sidepanel] Initializing Generator from storage:", result);
+    multiPageEnabled = result.multiPage !== false;
+    automationTool = (result.automationTool || 'playwright').toLowerCase();
+    if (result.recordedSteps) {
+      recordedSteps = result.recordedSteps;
+      renderSteps();
+      if (codeGenerator) {
+        codeGenerator.updateRecordedSteps(recordedSteps);
+      }
+    }
     if (result.selectedElements) {
       currentElements = result.selectedElements;
       Logger.log("[Sidepanel] Loaded selected elements:", currentElements);
@@ -47,6 +84,27 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (codeGenerator) {
         codeGenerator.updateSelectedElements(currentElements); // Inform CodeGenerator about initial elements
       }
+      scheduleLocatorValidation();
+    }
+  });
+
+  // Keep the multi-page flag in sync when settings are saved
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.multiPage) {
+      multiPageEnabled = changes.multiPage.newValue !== false;
+      Logger.log(`[Sidepanel] Multi-page selection ${multiPageEnabled ? 'enabled' : 'disabled'}.`);
+    }
+    if (areaName === 'local' && changes.automationTool) {
+      automationTool = (changes.automationTool.newValue || 'playwright').toLowerCase();
+      renderElements();
+    }
+    // Forward a language, tool or locator policy change to pages that are being inspected so new selections use it
+    if (areaName === 'local' && (changes.language || changes.automationTool || changes.locatorPolicy) && (isInspecting || isRecording)) {
+      getStartInspectMessage(isRecording ? 'startRecord' : 'startInspect').then((message) => {
+        inspectedTabIds.forEach((tabId) => {
+          chrome.tabs.sendMessage(tabId, message).catch(() => inspectedTabIds.delete(tabId));
+        });
+      });
     }
   });
 
@@ -55,6 +113,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     Logger.log("[Sidepanel] Generator tab clicked.");
     switchTab('generator');
   });
+  historyTabBtn.addEventListener('click', () => {
+    Logger.log("[Sidepanel] History tab clicked.");
+    switchTab('history');
+    historyView.refresh();
+  });
   settingsTabBtn.addEventListener('click', () => {
     Logger.log("[Sidepanel] Settings tab clicked.");
     switchTab('settings');
@@ -85,64 +148,202 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
       // Add the new URL check here
-      if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+      if (!isInspectablePage(tab)) {
         Logger.log('Cannot use inspector on this page');
         alert(chrome.i18n.getMessage("alertCannotInspect") || 'Cannot use the inspector on Chrome internal pages or extension pages.');
         return; // Stop execution
       }
 
-      // ... rest of your inspection logic (sending messages to content script) ...
-      // Example of existing logic that would follow:
+      await startInspecting(tab);
+    });
+  });
+
+  // Starts inspect mode on a tab and switches the buttons to their inspecting state
+  async function startInspecting(tab) {
+    try {
+      await startInspectorOnTab(tab);
+      if (!isInspecting) {
+        isInspecting = true;
+      }
+      inspectBtn.disabled = true;
+      recordBtn.disabled = true;
+      stopBtn.disabled = false;
+      generateBtn.disabled = true;
+      Logger.log("[Sidepanel] Sent startInspect message.");
+    } catch (error) {
+      Logger.error("[Sidepanel] Error starting inspector:", error);
+      if (error.injectionFailed) {
+        alert(chrome.i18n.getMessage("alertFailedStart") || 'Failed to start inspector. Please refresh the web page and try again.');
+      } else {
+        alert('Failed to start inspector: ' + error.message);
+      }
+    }
+  }
+
+  // Record button: the page keeps working while the user's actions are captured as steps
+  recordBtn.addEventListener('click', () => {
+    Logger.log("[Sidepanel] Record button clicked.");
+
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      const tab = tabs[0];
+      if (!tab) {
+        Logger.error("No active tab found.");
+        return;
+      }
+      if (!isInspectablePage(tab)) {
+        alert(chrome.i18n.getMessage("alertCannotInspect") || 'Cannot use the inspector on Chrome internal pages or extension pages.');
+        return;
+      }
+
       try {
-        await chrome.tabs.sendMessage(tab.id, { action: "startInspect" });
-        if (!isInspecting) {
-          isInspecting = true;
-        }
+        await startInspectorOnTab(tab, 'startRecord');
+        isRecording = true;
+        isInspecting = false;
+        // The flow starts on the current page
+        addRecordedStep({ type: 'navigate', url: tab.url, pageUrl: tab.url, pageTitle: tab.title, timestamp: Date.now() });
         inspectBtn.disabled = true;
+        recordBtn.disabled = true;
+        captureVisibleBtn.disabled = true;
         stopBtn.disabled = false;
         generateBtn.disabled = true;
-        Logger.log("[Sidepanel] Sent startInspect message.");
+        Logger.log("[Sidepanel] Sent startRecord message.");
       } catch (error) {
-        Logger.error("[Sidepanel] Error sending startInspect message:", error);
-
-        // Check if the error is due to missing content script
-        if (error.message.includes("Could not establish connection") || error.message.includes("Receiving end does not exist")) {
-          Logger.log("[Sidepanel] Content script not found. Attempting to inject...");
-          try {
-            // Dynamically inject the scripts
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['src/scripts/log.js', 'src/content_scripts/content.js']
-            });
-            // Inject CSS as well
-            await chrome.scripting.insertCSS({
-              target: { tabId: tab.id },
-              files: ['src/content_scripts/inspect.css']
-            });
+        Logger.error("[Sidepanel] Error starting recorder:", error);
+        if (error.injectionFailed) {
+          alert(chrome.i18n.getMessage("alertFailedStart") || 'Failed to start inspector. Please refresh the web page and try again.');
+        } else {
+          alert('Failed to start recording: ' + error.message);
+        }
+      }
+    });
+  });
 
-            Logger.log("[Sidepanel] Scripts injected. Retrying startInspect...");
-            // Retry sending the message
-            await chrome.tabs.sendMessage(tab.id, { action: "startInspect" });
+  // Capture visible: selects every interactive element in the viewport of the page and its frames
+  captureVisibleBtn.title = chrome.i18n.getMessage("btnCaptureVisibleTitle") || captureVisibleBtn.title;
+  captureVisibleBtn.addEventListener('click', () => {
+    Logger.log("[Sidepanel] Capture visible button clicked.");
 
-            if (!isInspecting) {
-              isInspecting = true;
-            }
-            inspectBtn.disabled = true;
-            stopBtn.disabled = false;
-            generateBtn.disabled = true;
-            Logger.log("[Sidepanel] Sent startInspect message after injection.");
-
-          } catch (retryError) {
-            Logger.error("[Sidepanel] Failed to inject/retry:", retryError);
-            alert(chrome.i18n.getMessage("alertFailedStart") || 'Failed to start inspector. Please refresh the web page and try again.');
-          }
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      const tab = tabs[0];
+      if (!tab) {
+        Logger.error("No active tab found.");
+        return;
+      }
+      if (!isInspectablePage(tab)) {
+        alert(chrome.i18n.getMessage("alertCannotInspect") || 'Cannot use the inspector on Chrome internal pages or extension pages.');
+        return;
+      }
+
+      try {
+        // The captured elements arrive as "updateSelectedElements" messages, like clicked ones
+        await sendWithContentScripts(tab, await getStartInspectMessage('captureViewport'));
+        Logger.log("[Sidepanel] Sent captureViewport message.");
+      } catch (error) {
+        Logger.error("[Sidepanel] Error capturing visible elements:", error);
+        if (error.injectionFailed) {
+          alert(chrome.i18n.getMessage("alertFailedStart") || 'Failed to start inspector. Please refresh the web page and try again.');
         } else {
-          alert('Failed to start inspector: ' + error.message);
+          alert('Failed to capture elements: ' + error.message);
         }
       }
     });
   });
 
+  function isInspectablePage(tab) {
+    return !!(tab && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://'));
+  }
+
+  // Sends startInspect (or startRecord) to a tab and remembers the tab so Stop reaches it
+  async function startInspectorOnTab(tab, action = 'startInspect') {
+    await sendWithContentScripts(tab, await getStartInspectMessage(action));
+    inspectedTabIds.add(tab.id);
+  }
+
+  /**
+   * Sends a message to a tab, injecting the content scripts first when they are missing
+   * (e.g. the tab was opened before the extension was installed or reloaded).
+   * Errors raised while injecting are flagged with `injectionFailed`.
+   */
+  async function sendWithContentScripts(tab, message) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, message);
+    } catch (error) {
+      // Check if the error is due to missing content script
+      if (!error.message.includes("Could not establish connection") && !error.message.includes("Receiving end does not exist")) {
+        throw error;
+      }
+      Logger.log("[Sidepanel] Content script not found. Attempting to inject...");
+      try {
+        // Dynamically inject the scripts
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id, allFrames: true },
+          files: ['src/scripts/log.js', 'src/scripts/locator-policy.js', 'src/content_scripts/accname.js', 'src/content_scripts/content.js']
+        });
+        Logger.log(`[Sidepanel] Scripts injected. Retrying ${message.action}...`);
+        // Retry sending the message
+        await chrome.tabs.sendMessage(tab.id, message);
+      } catch (retryError) {
+        retryError.injectionFailed = true;
+        throw retryError;
+      }
+    }
+  }
+
+  // The content script generates locators in the syntax of the tool/language chosen in Settings,
+  // following the locator policy edited there; in a multi-page session it also restores the page's selections
+  async function getStartInspectMessage(action = 'startInspect') {
+    const { automationTool, language, locatorPolicy } = await chrome.storage.local.get({
+      automationTool: 'playwright',
+      language: 'typescript',
+      locatorPolicy: null
+    });
+    return {
+      action: action,
+      tool: automationTool,
+      language: language,
+      locatorPolicy: LocatorPolicy.normalize(locatorPolicy),
+      multiPage: multiPageEnabled
+    };
+  }
+
+  /**
+   * Restarts the inspector on a tab the user navigated or switched to, so a multi-page
+   * capture session carries on without pressing Inspect again. A recording always follows
+   * the user to the next page.
+   */
+  async function resumeInspection(tab) {
+    if (!isInspectablePage(tab)) return;
+    if (!isRecording && !(isInspecting && multiPageEnabled)) return;
+    try {
+      await startInspectorOnTab(tab, isRecording ? 'startRecord' : 'startInspect');
+      Logger.log(`[Sidepanel] ${isRecording ? 'Recording' : 'Inspection'} resumed on ${tab.url}.`);
+    } catch (error) {
+      Logger.warn("[Sidepanel] Could not resume inspection on tab:", error.message);
+    }
+  }
+
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // URL changes while recording (links, redirects, client-side routing) become navigate steps
+    if (isRecording && changeInfo.url && tab.active) {
+      const lastStep = recordedSteps[recordedSteps.length - 1];
+      if (!(lastStep && lastStep.type === 'navigate' && lastStep.url === changeInfo.url)) {
+        addRecordedStep({ type: 'navigate', url: changeInfo.url, pageUrl: changeInfo.url, pageTitle: tab.title, timestamp: Date.now() });
+      }
+    }
+    if (changeInfo.status === 'complete' && tab.active) {
+      resumeInspection(tab);
+      scheduleLocatorValidation();
+    }
+  });
+
+  chrome.tabs.onActivated.addListener(({ tabId }) => {
+    chrome.tabs.get(tabId, (tab) => {
+      if (chrome.runtime.lastError || !tab) return;
+      resumeInspection(tab);
+      scheduleLocatorValidation();
+    });
+  });
+
   // Stop button
   stopBtn.addEventListener('click', () => {
     Logger.log("[Sidepanel] Stop button clicked.");
@@ -166,7 +367,12 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
 
             currentElements = [];
+            repickIndex = null;
+            locatorValidation.clear();
+            expandedElementKeys.clear();
             renderElements();
+            recordedSteps = [];
+            saveSteps();
             // Reset context and output area via CodeGenerator if it exists
             if (codeGenerator && codeGenerator.elements['context-input']) {
               codeGenerator.elements['context-input'].value = '';
@@ -185,7 +391,7 @@ document.addEventListener('DOMContentLoaded', async () => {
               codeGenerator.elements['output-section'].style.display = 'none';
             }
             chrome.storage.local.remove(['selectedElements', 'context']);
-            Logger.log("[Sidepanel] Cleared selected elements, context, and output from storage.");
+            Logger.log("[Sidepanel] Cleared selected elements, recorded steps, context, and output from storage.");
           });
         }
       });
@@ -194,70 +400,351 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
-  // Stop inspection function
+  // Loads a run saved in the history back into the generator: elements, context and outputs
+  function restoreRun(run) {
+    Logger.log(`[Sidepanel] Restoring run ${run.id} from history.`);
+    if (isInspecting || isRecording) stopInspection();
+
+    currentElements = (run.elements || []).map(toStoredElement);
+    saveElements();
+    recordedSteps = (run.steps || []).map(toStoredStep);
+    saveSteps();
+
+    const context = run.context || '';
+    chrome.storage.local.set({ context });
+    if (codeGenerator) {
+      codeGenerator.elements['context-input'].value = context;
+      codeGenerator.restoreRun(run);
+    }
+    switchTab('generator');
+  }
+
+  // Stop inspection function; also ends a recording
   function stopInspection() {
     Logger.log("[Sidepanel] Stopping inspection.");
+    const stopAction = isRecording ? "stopRecord" : "stopInspect";
     isInspecting = false;
+    isRecording = false;
+    repickIndex = null;
     inspectBtn.disabled = false;
+    recordBtn.disabled = false;
+    captureVisibleBtn.disabled = false;
     stopBtn.disabled = true;
     generateBtn.disabled = false;
 
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tabIds = new Set(inspectedTabIds);
       if (tabs[0] && tabs[0].id) {
-        Logger.log("[Sidepanel] Sending stopInspect message to content script.");
-        chrome.tabs.sendMessage(tabs[0].id, { action: "stopInspect" }, () => {
+        tabIds.add(tabs[0].id);
+      }
+      inspectedTabIds.clear();
+      tabIds.forEach(tabId => {
+        Logger.log(`[Sidepanel] Sending ${stopAction} message to content script in tab ${tabId}.`);
+        chrome.tabs.sendMessage(tabId, { action: stopAction }, () => {
           if (chrome.runtime.lastError) {
-            Logger.warn("[Sidepanel] Could not send stopInspect (content script might be missing):", chrome.runtime.lastError.message);
+            Logger.warn(`[Sidepanel] Could not send ${stopAction} (content script might be missing):`, chrome.runtime.lastError.message);
           }
         });
+      });
+    });
+  }
+
+  // Normalises element data received from the content script into the shape kept in storage
+  function toStoredElement(element) {
+    return {
+      selector: element.selector,
+      name: element.name,
+      xpath: element.xpath,
+      html: element.html,
+      attributes: element.attributes || {},
+      constraints: element.constraints,
+      elementState: element.elementState,
+      playwrightLocator: element.playwrightLocator,
+      seleniumLocator: element.seleniumLocator,
+      cypressLocator: element.cypressLocator,
+      strategies: element.strategies,
+      candidates: element.candidates,
+      rowContext: element.rowContext,
+      pinnedLocators: element.pinnedLocators,
+      note: element.note,
+      logicalName: element.logicalName,
+      container: element.container,
+      pageUrl: element.pageUrl,
+      pageTitle: element.pageTitle,
+      frameChain: element.frameChain || [],
+      frameUrl: element.frameUrl
+    };
+  }
+
+  // Normalises a recorded step: the action data plus, except for navigations, the target element
+  function toStoredStep(step) {
+    const stored = {
+      type: step.type,
+      value: step.value,
+      optionValue: step.optionValue,
+      masked: step.masked,
+      key: step.key,
+      state: step.state,
+      url: step.url,
+      timestamp: step.timestamp
+    };
+    Object.keys(stored).forEach(key => { if (stored[key] === undefined) delete stored[key]; });
+    return step.type === 'navigate'
+      ? { ...stored, pageUrl: step.pageUrl, pageTitle: step.pageTitle }
+      : { ...stored, ...toStoredElement(step) };
+  }
+
+  function addRecordedStep(step) {
+    recordedSteps.push(toStoredStep(step));
+    saveSteps();
+  }
+
+  function saveSteps() {
+    chrome.storage.local.set({ recordedSteps }, () => {
+      renderSteps();
+      if (codeGenerator) {
+        codeGenerator.updateRecordedSteps(recordedSteps);
+      }
+    });
+  }
+
+  // Identifies the frame an element was captured in; the top frame has an empty chain
+  function frameKeyOf(element) {
+    return JSON.stringify(element.frameChain || []);
+  }
+
+  // Identifies an element across pages and frames
+  function elementKeyOf(element) {
+    return JSON.stringify([element.pageUrl, element.frameChain || [], element.selector]);
+  }
+
+  // The content script reports selections without the edits made on the element cards; carry them over
+  function withUserEdits(element, previous) {
+    if (!previous) return element;
+    return { ...element, pinnedLocators: previous.pinnedLocators, note: previous.note, logicalName: previous.logicalName };
+  }
+
+  /**
+   * Merges the selection reported by one frame of a page into the session (`elements`, by default all
+   * the captured elements). Elements of other pages and other frames are kept untouched; elements of the
+   * reporting frame keep their position when still selected, are dropped when deselected, and new ones
+   * are appended.
+   */
+  function mergePageElements(pageUrl, incoming, frameKey, elements = currentElements) {
+    const reportedPages = new Set([pageUrl, ...incoming.map(el => el.pageUrl)]);
+    const incomingBySelector = new Map(incoming.map(el => [el.selector, el]));
+    const merged = [];
+
+    elements.forEach(element => {
+      if (!reportedPages.has(element.pageUrl) || frameKeyOf(element) !== frameKey) {
+        merged.push(element);
+      } else if (incomingBySelector.has(element.selector)) {
+        merged.push(incomingBySelector.get(element.selector));
+        incomingBySelector.delete(element.selector);
+      }
+    });
+    incomingBySelector.forEach(element => merged.push(element));
+    return merged;
+  }
+
+  function saveElements() {
+    chrome.storage.local.set({ selectedElements: currentElements }, () => {
+      renderElements();
+      if (codeGenerator) {
+        codeGenerator.updateSelectedElements(currentElements); // Update CodeGenerator
+      }
+      scheduleLocatorValidation();
+    });
+  }
+
+  function scheduleLocatorValidation() {
+    clearTimeout(validationTimer);
+    validationTimer = setTimeout(validateLocators, LOCATOR_VALIDATION_DELAY_MS);
+  }
+
+  /**
+   * Asks the active tab to check the locators of the elements captured on its page. Every frame checks
+   * its own elements, reports the match counts with "locatorValidation" and checks again after DOM changes.
+   */
+  function validateLocators() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tab = tabs[0];
+      if (!tab || !isInspectablePage(tab)) return;
+
+      // Counts from another page are stale once the tab shows a different one
+      let changed = false;
+      locatorValidation.forEach((result, key) => {
+        if (JSON.parse(key)[0] !== tab.url) {
+          locatorValidation.delete(key);
+          changed = true;
+        }
+      });
+      if (changed) updateValidation();
+
+      const elements = currentElements
+        .filter(element => element.pageUrl === tab.url)
+        .map(({ selector, xpath, strategies, pageUrl, frameUrl, frameChain }) => ({ selector, xpath, strategies, pageUrl, frameUrl, frameChain }));
+      // Sent even when empty, so frames stop watching elements that were removed
+      chrome.tabs.sendMessage(tab.id, { action: "validateLocators", elements }, () => {
+        if (chrome.runtime.lastError) {
+          // Frames without captured elements do not answer; results arrive as separate messages
+          Logger.log("[Sidepanel] validateLocators not acknowledged:", chrome.runtime.lastError.message);
+        }
+      });
+    });
+  }
+
+  // Badge showing whether the locators of a captured element match exactly one element on the live page
+  function renderValidationBadge(validation) {
+    const statuses = {
+      unique: { icon: '✓', label: chrome.i18n.getMessage("locatorUnique") || 'Locator matches exactly one element' },
+      multiple: { icon: '⚠', label: chrome.i18n.getMessage("locatorMultiple") || 'Locator matches several elements' },
+      'not-found': { icon: '✗', label: chrome.i18n.getMessage("locatorNotFound") || 'Locator matches no element' }
+    };
+    const status = statuses[validation.status] || statuses['not-found'];
+    const counts = Object.entries(validation.counts || {});
+    const strategyName = (strategy) => {
+      const label = LOCATOR_STRATEGY_LABELS[strategy];
+      return label ? chrome.i18n.getMessage(label.key) || label.fallback : strategy;
+    };
+    const details = counts.map(([strategy, count]) => `${strategyName(strategy)}: ${count}`).join('\n');
+    const text = validation.status === 'multiple'
+      ? `${status.icon} ${validation.count}`
+      : status.icon;
+    return `<span class="locator-badge locator-${escapeHtml(validation.status)}" title="${escapeHtml(`${status.label}\n${details}`)}">${text}</span>`;
+  }
+
+  /**
+   * Replaces an element with the next one picked on the page: the element is deselected, inspect mode
+   * starts and the next new selection takes its place in the list.
+   */
+  function repickElement(index) {
+    const element = currentElements[index];
+    if (!element || isRecording) return;
+
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      const tab = tabs[0];
+      if (!tab || element.pageUrl !== tab.url) return;
+      Logger.log(`[Sidepanel] Re-picking element at index ${index}.`);
+
+      repickIndex = index;
+      currentElements = currentElements.filter(el => el !== element);
+      saveElements();
+      chrome.tabs.sendMessage(tab.id, {
+        action: "removeHighlight",
+        selector: element.selector,
+        frameChain: element.frameChain || []
+      }, () => {
+        if (chrome.runtime.lastError) {
+          Logger.warn("[Sidepanel] Could not send removeHighlight for re-pick:", chrome.runtime.lastError.message);
+        }
+      });
+      if (!isInspecting) {
+        await startInspecting(tab);
       }
     });
   }
 
+  // Moves the first element that was not in the list before to the position of the re-picked one
+  function placeRepickedElement(previousKeys) {
+    const picked = currentElements.find(element => !previousKeys.has(elementKeyOf(element)));
+    if (!picked) return;
+    currentElements = currentElements.filter(element => element !== picked);
+    currentElements.splice(Math.min(repickIndex, currentElements.length), 0, picked);
+    repickIndex = null;
+  }
+
+  // Also escapes double quotes, so the result is safe inside attribute values (selectors often contain them)
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
   // Render selected elements
   function renderElements() {
     Logger.log("[Sidepanel] Rendering selected elements:", currentElements);
     selectedElementsDisplay.innerHTML = '';
     elementCountDisplay.textContent = currentElements.length;
 
+    // Group the list under page headings once the session spans more than one page
+    const pageCount = new Set(currentElements.map(element => element.pageUrl)).size;
+    let lastPageUrl;
+    let lastContainerKey = null;
+
     currentElements.forEach((element, index) => {
-      const elemDiv = document.createElement('div');
-      elemDiv.className = 'element-item';
-      elemDiv.innerHTML = `
-        ${element.name || element.selector}
-        <span class="remove" data-index="${index}">×</span>
+      if (pageCount > 1 && element.pageUrl !== lastPageUrl) {
+        lastPageUrl = element.pageUrl;
+        lastContainerKey = null;
+        const pageHeader = document.createElement('div');
+        pageHeader.className = 'element-page-header';
+        pageHeader.title = element.pageUrl || '';
+        pageHeader.innerHTML = `📄 ${escapeHtml(element.pageTitle || element.pageUrl || 'Unknown page')}`;
+        selectedElementsDisplay.appendChild(pageHeader);
+      }
+
+      // Elements captured through a form, table or dialog are listed under it
+      const containerKey = element.container ? JSON.stringify([element.frameChain || [], element.container.selector]) : null;
+      if (containerKey && containerKey !== lastContainerKey) {
+        const groupHeader = document.createElement('div');
+        groupHeader.className = 'element-group-header';
+        groupHeader.title = element.container.selector;
+        groupHeader.innerHTML = `▤ ${escapeHtml(element.container.name)} &lt;${escapeHtml(element.container.tag)}&gt;`;
+        selectedElementsDisplay.appendChild(groupHeader);
+      }
+      lastContainerKey = containerKey;
+
+      const expanded = expandedElementKeys.has(elementKeyOf(element));
+      const card = document.createElement('div');
+      card.className = `element-card${expanded ? ' expanded' : ''}${element.container ? ' grouped' : ''}`;
+      card.dataset.index = index;
+      card.innerHTML = `
+        <div class="element-item" draggable="true">
+          <span class="element-name" title="${escapeHtml(element.selector)}">${expanded ? '▾' : '▸'} ${escapeHtml(element.logicalName || element.name || element.selector)}</span>
+          <span class="element-actions">
+            <span class="element-validation"></span>
+            <span class="remove" data-index="${index}">×</span>
+          </span>
+        </div>
+        ${expanded ? renderElementDetails(element) : ''}
       `;
-      selectedElementsDisplay.appendChild(elemDiv);
+      renderValidation(card);
+      selectedElementsDisplay.appendChild(card);
     });
 
-    document.querySelectorAll('.element-item .remove').forEach(btn => {
+    selectedElementsDisplay.querySelectorAll('.element-item .remove').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const index = parseInt(e.target.dataset.index);
         Logger.log(`[Sidepanel] Removing element at index ${index}.`);
 
         if (index >= 0 && index < currentElements.length) {
-          const selectorToRemove = currentElements[index].selector;
+          const elementToRemove = currentElements[index];
+          const removeLocally = () => {
+            currentElements = currentElements.filter(element => element !== elementToRemove);
+            saveElements();
+          };
 
           chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0] && tabs[0].id) {
-              chrome.tabs.sendMessage(tabs[0].id, {
-                action: "removeHighlight",
-                selector: selectorToRemove
-              }, (response) => {
-                if (chrome.runtime.lastError) {
-                  Logger.error("[Sidepanel] Error sending removeHighlight:", chrome.runtime.lastError);
-                } else {
-                  Logger.log("[Sidepanel] Remove highlight response:", response);
-                  currentElements.splice(index, 1);
-                  chrome.storage.local.set({ selectedElements: currentElements }, () => {
-                    renderElements();
-                    if (codeGenerator) {
-                      codeGenerator.updateSelectedElements(currentElements); // Update CodeGenerator
-                    }
-                  });
-                }
-              });
+            const tab = tabs[0];
+            // Elements captured on another page cannot be un-highlighted from here; drop them locally.
+            if (!tab || !tab.id || (elementToRemove.pageUrl && elementToRemove.pageUrl !== tab.url)) {
+              Logger.log("[Sidepanel] Removing element captured on another page locally.");
+              removeLocally();
+              return;
             }
+
+            chrome.tabs.sendMessage(tab.id, {
+              action: "removeHighlight",
+              selector: elementToRemove.selector,
+              frameChain: elementToRemove.frameChain || []
+            }, (response) => {
+              if (chrome.runtime.lastError) {
+                Logger.error("[Sidepanel] Error sending removeHighlight:", chrome.runtime.lastError);
+              } else {
+                Logger.log("[Sidepanel] Remove highlight response:", response);
+                removeLocally();
+              }
+            });
           });
         } else {
           Logger.error("[Sidepanel] Invalid index for removal:", index);
@@ -266,40 +753,304 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Fills the validation slot of an element card: the match-count badge and the Re-pick button
+  function renderValidation(card) {
+    const element = currentElements[parseInt(card.dataset.index)];
+    const validation = element && locatorValidation.get(elementKeyOf(element));
+    card.querySelector('.element-validation').innerHTML = validation ? `
+      ${renderValidationBadge(validation)}
+      <button class="repick-btn" title="${escapeHtml(chrome.i18n.getMessage("btnRepickTitle") || 'Deselect this element and pick its replacement on the page')}">${escapeHtml(chrome.i18n.getMessage("btnRepick") || 'Re-pick')}</button>
+    ` : '';
+  }
+
+  // Validation results arrive often (after every DOM change): update the badges without re-rendering the cards
+  function updateValidation() {
+    selectedElementsDisplay.querySelectorAll('.element-card').forEach(renderValidation);
+  }
+
+  // Expanded part of an element card: naming, note, locator candidates of the selected tool, attributes and HTML
+  function renderElementDetails(element) {
+    const candidates = (element.candidates && element.candidates[automationTool]) || [];
+    const pinned = (element.pinnedLocators && element.pinnedLocators[automationTool]) || '';
+    const generated = element[`${automationTool}Locator`] || '';
+    const options = candidates.map(candidate => candidate.locator);
+    // Keep a pinned locator selectable even when it is no longer among the candidates
+    if (pinned && !options.includes(pinned)) options.push(pinned);
+    const attributes = Object.entries(element.attributes || {});
+    // Table row or list item: its key, its position and the element's column
+    const row = element.rowContext;
+    const rowFacts = row ? [
+      row.key ? `${row.key.column ? `${row.key.column} = ` : ''}${row.key.text}` : null,
+      `${row.index} / ${row.rowCount}`,
+      row.column
+    ].filter(Boolean) : [];
+
+    return `
+      <div class="element-details">
+        <label class="element-field">
+          <span>${escapeHtml(chrome.i18n.getMessage("labelLogicalName") || 'Logical name (POM property)')}</span>
+          <input type="text" class="element-logical-name" value="${escapeHtml(element.logicalName || '')}" placeholder="promoCodeInput">
+        </label>
+        <label class="element-field">
+          <span>${escapeHtml(chrome.i18n.getMessage("labelElementNote") || 'Note')}</span>
+          <textarea class="element-note" rows="2" placeholder="${escapeHtml(chrome.i18n.getMessage("placeholderElementNote") || 'e.g. This is the promo code field, test invalid codes')}">${escapeHtml(element.note || '')}</textarea>
+        </label>
+        <label class="element-field">
+          <span>${escapeHtml(chrome.i18n.getMessage("labelPinnedLocator") || 'Locator')} (${escapeHtml(automationTool)})</span>
+          <select class="element-pin">
+            <option value="">${escapeHtml(chrome.i18n.getMessage("optionAutoLocator") || 'Automatic (generated fallback chain)')}</option>
+            ${options.map(locator => `<option value="${escapeHtml(locator)}" ${locator === pinned ? 'selected' : ''}>${escapeHtml(locator)}</option>`).join('')}
+          </select>
+        </label>
+        <div class="element-detail-title">${escapeHtml(chrome.i18n.getMessage("labelCandidates") || 'Candidate locators')}</div>
+        <table class="element-candidates">
+          ${candidates.map(candidate => `
+            <tr class="${candidate.locator === pinned ? 'pinned' : ''}">
+              <td class="candidate-score">${candidate.score}</td>
+              <td class="candidate-strategy">${escapeHtml(candidate.strategy)}</td>
+              <td><code>${escapeHtml(candidate.locator)}</code></td>
+            </tr>
+          `).join('')}
+          <tr class="${pinned ? '' : 'pinned'}">
+            <td class="candidate-score"></td>
+            <td class="candidate-strategy">${escapeHtml(chrome.i18n.getMessage("labelGenerated") || 'generated')}</td>
+            <td><code>${escapeHtml(generated)}</code></td>
+          </tr>
+        </table>
+        ${attributes.length > 0 ? `
+          <div class="element-detail-title">${escapeHtml(chrome.i18n.getMessage("labelAttributes") || 'Attributes')}</div>
+          <div class="element-attributes">${attributes.map(([name, value]) => `<code>${escapeHtml(name)}="${escapeHtml(value)}"</code>`).join(' ')}</div>
+        ` : ''}
+        ${row ? `
+          <div class="element-detail-title">${escapeHtml(chrome.i18n.getMessage("labelRowContext") || 'Row')} (${escapeHtml(row.kind)})</div>
+          <div class="element-attributes">${rowFacts.map(fact => `<code>${escapeHtml(fact)}</code>`).join(' ')}</div>
+        ` : ''}
+        <div class="element-detail-title">HTML</div>
+        <pre class="element-html">${escapeHtml(element.html || '')}</pre>
+      </div>
+    `;
+  }
+
+  // Persists an edit made on an element card without re-rendering the list, so focus stays in the card
+  function saveElementEdits() {
+    chrome.storage.local.set({ selectedElements: currentElements });
+    if (codeGenerator) {
+      codeGenerator.updateSelectedElements(currentElements);
+    }
+  }
+
+  // Delegated actions on the element cards
+  selectedElementsDisplay.addEventListener('click', (e) => {
+    const card = e.target.closest('.element-card');
+    if (!card) return;
+    const index = parseInt(card.dataset.index);
+    const element = currentElements[index];
+    if (!element) return;
+
+    if (e.target.closest('.repick-btn')) {
+      repickElement(index);
+    } else if (e.target.closest('.element-name')) {
+      const key = elementKeyOf(element);
+      if (!expandedElementKeys.delete(key)) expandedElementKeys.add(key);
+      renderElements();
+    }
+  });
+
+  selectedElementsDisplay.addEventListener('change', (e) => {
+    const card = e.target.closest('.element-card');
+    const element = card && currentElements[parseInt(card.dataset.index)];
+    if (!element) return;
+
+    if (e.target.classList.contains('element-pin')) {
+      element.pinnedLocators = { ...element.pinnedLocators, [automationTool]: e.target.value };
+      if (!e.target.value) delete element.pinnedLocators[automationTool];
+      Logger.log(`[Sidepanel] ${e.target.value ? 'Pinned' : 'Unpinned'} ${automationTool} locator of '${element.selector}'.`);
+      card.querySelectorAll('.element-candidates tr').forEach(row => {
+        const code = row.querySelector('code');
+        const isGenerated = row === row.parentNode.lastElementChild;
+        row.classList.toggle('pinned', e.target.value ? !isGenerated && code.textContent === e.target.value : isGenerated);
+      });
+    } else if (e.target.classList.contains('element-note')) {
+      element.note = e.target.value.trim();
+    } else if (e.target.classList.contains('element-logical-name')) {
+      element.logicalName = e.target.value.trim();
+      card.querySelector('.element-name').textContent = `▾ ${element.logicalName || element.name || element.selector}`;
+    } else {
+      return;
+    }
+    saveElementEdits();
+  });
+
+  // Drag-and-drop reordering: the list order is the interaction order the prompts follow.
+  // Elements only move within their own page, so a multi-page session stays grouped per page.
+  let draggedIndex = null;
+
+  selectedElementsDisplay.addEventListener('dragstart', (e) => {
+    const card = e.target.closest('.element-card');
+    if (!card) return;
+    draggedIndex = parseInt(card.dataset.index);
+    card.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(draggedIndex));
+  });
+
+  selectedElementsDisplay.addEventListener('dragover', (e) => {
+    const target = getDropTarget(e);
+    clearDropMarkers();
+    if (!target) return;
+    e.preventDefault(); // Allows the drop
+    e.dataTransfer.dropEffect = 'move';
+    target.card.classList.add(target.after ? 'drop-after' : 'drop-before');
+  });
+
+  selectedElementsDisplay.addEventListener('drop', (e) => {
+    const target = getDropTarget(e);
+    clearDropMarkers();
+    if (!target) return;
+    e.preventDefault();
+    moveElement(draggedIndex, target.after ? target.index + 1 : target.index);
+  });
+
+  selectedElementsDisplay.addEventListener('dragend', () => {
+    draggedIndex = null;
+    clearDropMarkers();
+    selectedElementsDisplay.querySelectorAll('.element-card.dragging').forEach(card => card.classList.remove('dragging'));
+  });
+
+  // The card under the pointer and whether the drop goes after it; null when the drop is not allowed
+  function getDropTarget(e) {
+    const card = e.target.closest('.element-card');
+    if (!card || draggedIndex === null) return null;
+    const index = parseInt(card.dataset.index);
+    if (!currentElements[index] || currentElements[index].pageUrl !== currentElements[draggedIndex]?.pageUrl) return null;
+    const rect = card.getBoundingClientRect();
+    return { card, index, after: e.clientY > rect.top + rect.height / 2 };
+  }
+
+  function clearDropMarkers() {
+    selectedElementsDisplay.querySelectorAll('.drop-before, .drop-after').forEach(card => {
+      card.classList.remove('drop-before', 'drop-after');
+    });
+  }
+
+  /**
+   * Moves an element in front of the element at `to` (an index before the move; the list length moves
+   * it last) and passes the new order on to the page.
+   */
+  function moveElement(from, to) {
+    const insertAt = to > from ? to - 1 : to;
+    if (insertAt === from) return;
+    const [element] = currentElements.splice(from, 1);
+    currentElements.splice(insertAt, 0, element);
+    Logger.log(`[Sidepanel] Moved element '${element.selector}' from position ${from + 1} to ${insertAt + 1}.`);
+    saveElements();
+    syncElementOrder(element.pageUrl);
+  }
+
+  // The content script reports its selection in its own order; keep it in line with the list
+  function syncElementOrder(pageUrl) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tab = tabs[0];
+      // Pages that are not open restore their selection from storage, which already has the new order
+      if (!tab || tab.url !== pageUrl) return;
+      const elements = currentElements
+        .filter(element => element.pageUrl === pageUrl)
+        .map(({ selector, frameChain }) => ({ selector, frameChain: frameChain || [] }));
+      chrome.tabs.sendMessage(tab.id, { action: "reorderElements", elements }, () => {
+        if (chrome.runtime.lastError) {
+          Logger.warn("[Sidepanel] Could not send reorderElements:", chrome.runtime.lastError.message);
+        }
+      });
+    });
+  }
+
+  // Render recorded steps
+  function renderSteps() {
+    stepCountDisplay.textContent = recordedSteps.length;
+    recordedStepsDisplay.innerHTML = recordedSteps.map((step, index) => {
+      const target = step.type === 'navigate' ? step.url : (step.name || step.selector);
+      const value = step.value !== undefined ? ` = "${step.value}"` : (step.key ? ` ${step.key}` : '');
+      return `
+        <div class="element-item step-item" title="${escapeHtml(step.pageUrl || '')}">
+          <span><b>${index + 1}. ${escapeHtml(step.type)}</b> ${escapeHtml(target)}${escapeHtml(value)}</span>
+          <span class="remove" data-index="${index}">×</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Remove a single recorded step
+  recordedStepsDisplay.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('remove')) return;
+    const index = parseInt(e.target.dataset.index);
+    if (index >= 0 && index < recordedSteps.length) {
+      Logger.log(`[Sidepanel] Removing recorded step ${index + 1}.`);
+      recordedSteps.splice(index, 1);
+      saveSteps();
+    }
+  });
+
   // Listen for element selections from content script
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     Logger.log("[Sidepanel] Received message from content script:", request);
     if (request.action === "elementSelected") {
-      currentElements.push({
-        selector: request.selector,
-        name: request.name,
-        xpath: request.xpath,
-        html: request.html,
-        attributes: request.attributes || {},
-        playwrightLocator: request.playwrightLocator,
-        seleniumLocator: request.seleniumLocator
-      });
+      currentElements.push(toStoredElement(request));
       chrome.storage.local.set({ selectedElements: currentElements });
       renderElements();
       if (codeGenerator) {
         codeGenerator.updateSelectedElements(currentElements); // Inform CodeGenerator
       }
+      scheduleLocatorValidation();
+    } else if (request.action === "inspectionStopped") {
+      // Esc pressed on the page: stop every frame and restore the buttons
+      if (isInspecting) {
+        stopInspection();
+      }
+      sendResponse({ status: "inspection stopped" });
+      return;
+    } else if (request.action === "locatorValidation") {
+      const pageUrl = sender.tab?.url;
+      (request.results || []).forEach(result => {
+        locatorValidation.set(elementKeyOf({ pageUrl, frameChain: request.frameChain, selector: result.selector }), result);
+      });
+      updateValidation();
+      sendResponse({ status: "validation received" });
+      return;
+    } else if (request.action === "recordedStep") {
+      // Stop leaves record mode before the content script flushes the field being typed into
+      if (!isRecording && !request.flushedOnStop) {
+        sendResponse({ status: "not recording" });
+        return;
+      }
+      // Steps recorded in child frames belong to the page loaded in the tab
+      const fromChildFrame = sender.frameId > 0 && sender.tab;
+      addRecordedStep(fromChildFrame ? { ...request.step, pageUrl: sender.tab.url, pageTitle: sender.tab.title } : request.step);
+      sendResponse({ status: "step recorded" });
+      return;
     } else if (request.action === "updateSelectedElements") {
-      currentElements = request.elements.map(element => ({
-        selector: element.selector,
-        name: element.name,
-        xpath: element.xpath,
-        html: element.html,
-        attributes: element.attributes || {},
-        playwrightLocator: element.playwrightLocator,
-        seleniumLocator: element.seleniumLocator
-      }));
+      // Child frames report their own URL; their elements belong to the page loaded in the tab
+      const fromChildFrame = sender.frameId > 0 && sender.tab;
+      const pageUrl = fromChildFrame ? sender.tab.url : (request.pageUrl || sender.tab?.url);
+      const previousByKey = new Map(currentElements.map(el => [elementKeyOf(el), el]));
+      const incoming = request.elements
+        .map(el => toStoredElement(fromChildFrame ? { ...el, pageUrl, pageTitle: sender.tab.title } : el))
+        .map(el => withUserEdits(el, previousByKey.get(elementKeyOf(el))));
+      const frameKey = JSON.stringify(request.frameChain || []);
+      const previousKeys = new Set(previousByKey.keys());
+      // Each frame of each page only reports its own selections; without multi-page only this page's are kept
+      currentElements = multiPageEnabled
+        ? mergePageElements(pageUrl, incoming, frameKey)
+        : mergePageElements(pageUrl, incoming, frameKey, currentElements.filter(el => el.pageUrl === pageUrl));
+      if (repickIndex !== null) {
+        placeRepickedElement(previousKeys);
+      }
       chrome.storage.local.set({ selectedElements: currentElements }, () => {
         try {
           renderElements();
           if (codeGenerator) {
             codeGenerator.updateSelectedElements(currentElements); // Inform CodeGenerator
           }
+          scheduleLocatorValidation();
           sendResponse({ status: "elements updated" });
         } catch (error) {
           Logger.error("[Sidepanel] Error updating elements:", error);